@@ -0,0 +1,122 @@
+// Capture profile - camera and encoder settings the conductor picks for the whole room.
+// The server keeps one per room and sends it to every phone; phones apply what they can
+// and report what they really got (readiness report → camera).
+//
+// Profile:
+//   width, height        requested resolution (phones get the closest their camera has)
+//   frameRate            frames per second
+//   facingMode           'environment' (back camera) or 'user' (front camera)
+//   videoBitsPerSecond   recorder bitrate
+//   codec                preferred video codec: 'auto', 'vp8', 'vp9', 'av1' or 'h264' - phones
+//                        that can't record it pick the next best they can (iPhones: H.264 MP4)
+//   bufferMs             longest pre-roll the phones keep in their ring buffer
+//   exposureLock, whiteBalanceLock, focusLock
+//                        freeze auto exposure / white balance / focus where the camera allows it
+//   version              bumped on every change, so phones can say which one they applied
+
+const FACING_MODES = ['environment', 'user'];
+const CODECS = ['auto', 'vp8', 'vp9', 'av1', 'h264'];
+
+// How each codec shows up in a recorder's mimeType
+const CODEC_PATTERNS = {
+  vp8: /vp8/i,
+  vp9: /vp9|vp09/i,
+  av1: /av1|av01/i,
+  h264: /avc1|h264|video\/mp4/i
+};
+
+const DEFAULT_CAPTURE_PROFILE = {
+  width: 1920,
+  height: 1080,
+  frameRate: 30,
+  facingMode: 'environment',
+  videoBitsPerSecond: 3000000,
+  codec: 'auto',
+  bufferMs: 20000,
+  exposureLock: false,
+  whiteBalanceLock: false,
+  focusLock: false
+};
+
+// Allowed range for each number
+const LIMITS = {
+  width: [320, 3840],
+  height: [240, 2160],
+  frameRate: [10, 60],
+  videoBitsPerSecond: [250000, 20000000],
+  bufferMs: [5000, 60000]
+};
+
+// Apply the conductor's changes to the current profile → new profile (next version).
+// Missing fields keep their current value, numbers are clamped to what phones can do.
+function updateCaptureProfile(current, changes = {}) {
+  const profile = { ...current };
+
+  Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+    if (changes[key] === undefined) return;
+    const value = Number(changes[key]);
+    if (!Number.isFinite(value)) {
+      const error = new Error(`${key} must be a number`);
+      error.status = 400;
+      throw error;
+    }
+    profile[key] = Math.min(Math.max(Math.round(value), min), max);
+  });
+
+  if (changes.facingMode !== undefined) {
+    if (!FACING_MODES.includes(changes.facingMode)) {
+      const error = new Error(`facingMode must be one of: ${FACING_MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    profile.facingMode = changes.facingMode;
+  }
+
+  if (changes.codec !== undefined) {
+    if (!CODECS.includes(changes.codec)) {
+      const error = new Error(`codec must be one of: ${CODECS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    profile.codec = changes.codec;
+  }
+
+  ['exposureLock', 'whiteBalanceLock', 'focusLock'].forEach(key => {
+    if (changes[key] !== undefined) profile[key] = !!changes[key];
+  });
+
+  profile.version = (current.version || 0) + 1;
+  return profile;
+}
+
+// What the phone got that differs from the profile → warnings for the readiness check
+// (report: the phone's readiness report - camera settings and the mimeType it records)
+function profileMismatches(profile, report) {
+  const camera = report && report.camera;
+  if (!profile || !camera || !camera.ok) return [];
+
+  const warnings = [];
+  if (camera.profileVersion !== profile.version) warnings.push('Camera settings not applied yet');
+  if (camera.profileError) warnings.push(`Camera settings: ${camera.profileError}`);
+  if (camera.width && camera.height && (camera.width !== profile.width || camera.height !== profile.height) &&
+      (camera.width !== profile.height || camera.height !== profile.width)) { // (portrait phones swap them)
+    warnings.push(`Got ${camera.width}×${camera.height} (asked ${profile.width}×${profile.height})`);
+  }
+  if (camera.frameRate && Math.round(camera.frameRate) < profile.frameRate - 1) {
+    warnings.push(`Got ${Math.round(camera.frameRate)}fps (asked ${profile.frameRate})`);
+  }
+  if (camera.facingMode && camera.facingMode !== profile.facingMode) {
+    warnings.push(`Using the ${camera.facingMode === 'user' ? 'front' : 'back'} camera`);
+  }
+  if (profile.codec !== 'auto' && report.mimeType && !CODEC_PATTERNS[profile.codec].test(report.mimeType)) {
+    warnings.push(`Can't record ${profile.codec.toUpperCase()} - using ${report.mimeType}`);
+  }
+  ['exposureLock', 'whiteBalanceLock', 'focusLock'].forEach(key => {
+    if (profile[key] && camera.locks && camera.locks[key] === false) {
+      warnings.push(`Cannot lock ${key.replace('Lock', '').replace('whiteBalance', 'white balance')}`);
+    }
+  });
+  return warnings;
+}
+
+module.exports = { DEFAULT_CAPTURE_PROFILE, updateCaptureProfile, profileMismatches };
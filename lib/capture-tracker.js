@@ -0,0 +1,250 @@
+// Keeps track of every capture: which phones are expected to upload,
+// what each one is doing right now, and writes a manifest.json when it's over.
+//
+// Device states:
+//   pending      - capture sent, phone hasn't answered yet
+//   acknowledged - phone got the capture signal
+//   uploading    - phone is sending its clip
+//   done         - clip saved to storage
+//   failed       - phone (or the server) reported an error
+//   missing      - capture timed out before this phone finished
+
+const { compareDevices } = require('./device-registry');
+
+const FINAL_STATES = ['done', 'failed', 'missing'];
+const ALL_STATES = ['pending', 'acknowledged', 'uploading', ...FINAL_STATES];
+
+function createCaptureTracker({ storage, onProgress, timeoutMs = 120000 }) {
+  const captures = new Map(); // folderName → capture record
+
+  // Summary sent to the conductor as 'capture-progress'
+  function toProgress(capture) {
+    const counts = {};
+    ALL_STATES.forEach(state => { counts[state] = 0; });
+
+    const devices = Array.from(capture.devices.values()).sort(compareDevices).map(device => {
+      counts[device.status]++;
+      return { ...device };
+    });
+
+    return {
+      folderName: capture.folderName,
+      window: capture.window,
+      slate: capture.slate,
+      total: devices.length,
+      counts,
+      devices,
+      finished: capture.finished,
+      timedOut: capture.timedOut
+    };
+  }
+
+  function emitProgress(capture) {
+    if (onProgress) {
+      onProgress(toProgress(capture));
+    }
+  }
+
+  async function writeManifest(capture) {
+    // In rig order, so clip 1 is camera position 1
+    const clips = Array.from(capture.devices.values()).sort(compareDevices);
+
+    // Every container/codec mix among the saved clips - more than one means an editor has
+    // to handle (or convert) different formats for this take
+    const formats = [];
+    clips.forEach(clip => {
+      if (!clip.format) return;
+      const format = [clip.format.container, clip.format.video, clip.format.audio].filter(Boolean).join('/');
+      if (!formats.includes(format)) formats.push(format);
+    });
+
+    const manifest = {
+      folderName: capture.folderName,
+      sessionId: capture.sessionId,
+      timestamp: capture.timestamp,
+      executeAt: capture.executeAt,
+      window: capture.window,
+      slate: capture.slate,
+      finishedAt: capture.finishedAt,
+      complete: clips.every(clip => clip.status === 'done'),
+      timedOut: capture.timedOut,
+      expected: clips.length,
+      received: clips.filter(clip => clip.status === 'done').length,
+      formats,
+      mixedFormats: formats.length > 1,
+      clips
+    };
+
+    const key = `captures/${capture.folderName}/manifest.json`;
+    await storage.putObject(key, JSON.stringify(manifest, null, 2), 'application/json');
+    console.log(`📋 Manifest written: ${capture.folderName}/manifest.json (${manifest.received}/${manifest.expected} clips)`);
+    return manifest;
+  }
+
+  async function finish(capture, timedOut) {
+    if (capture.finished) return;
+
+    clearTimeout(capture.timer);
+    capture.finished = true;
+    capture.timedOut = timedOut;
+    capture.finishedAt = Date.now();
+
+    // Anyone who hasn't finished by now is missing
+    capture.devices.forEach(device => {
+      if (!FINAL_STATES.includes(device.status)) {
+        device.status = 'missing';
+        device.updatedAt = capture.finishedAt;
+      }
+    });
+
+    emitProgress(capture);
+
+    try {
+      await writeManifest(capture);
+    } catch (error) {
+      console.error(`❌ Could not write manifest for ${capture.folderName}:`, error.message);
+    }
+
+    // Keep finished captures around for a while so late uploads still get logged
+    setTimeout(() => captures.delete(capture.folderName), timeoutMs);
+  }
+
+  // Update one device's state and tell the conductor
+  function update(folderName, deviceId, status, details = {}) {
+    const capture = captures.get(folderName);
+    if (!capture) return false;
+
+    const device = capture.devices.get(deviceId);
+    if (!device) {
+      console.log(`⚠️ ${deviceId} is not part of capture ${folderName} - ignoring '${status}'`);
+      return false;
+    }
+
+    // Never move backwards (e.g. a late 'acknowledged' after 'uploading'),
+    // and a saved clip stays saved. A failed phone may retry ('uploading' again).
+    if (device.status === 'done' && status !== 'done') {
+      return false;
+    }
+    if (status === 'acknowledged' && device.status !== 'pending') {
+      return false;
+    }
+    if (capture.finished && status !== 'done') {
+      return false;
+    }
+
+    Object.assign(device, details, { status, updatedAt: Date.now() });
+
+    if (capture.finished) {
+      // A late upload after the timeout - rewrite the manifest so it's not lost
+      console.log(`📦 Late upload for ${folderName} from ${deviceId}`);
+      emitProgress(capture);
+      writeManifest(capture).catch(error => {
+        console.error(`❌ Could not update manifest for ${folderName}:`, error.message);
+      });
+      return true;
+    }
+
+    emitProgress(capture);
+
+    const allFinal = Array.from(capture.devices.values())
+      .every(d => FINAL_STATES.includes(d.status));
+    if (allFinal) {
+      finish(capture, false);
+    }
+    return true;
+  }
+
+  return {
+    // Called when the conductor triggers a capture
+    // devices: [{ deviceId, role, deviceIndex, name, position }]
+    // (deviceIndex = what the phone's sync chirp carries)
+    // window: { preRollMs, postRollMs } - what every clip gets trimmed to
+    // slate: { project, scene, take, note, rating } - what it was (lib/slate.js)
+    start({ folderName, sessionId, timestamp, executeAt, window = null, slate = null, devices }) {
+      const capture = {
+        folderName,
+        sessionId,
+        timestamp,
+        executeAt,
+        window,
+        slate,
+        devices: new Map(),
+        finished: false,
+        timedOut: false,
+        finishedAt: null,
+        timer: null
+      };
+
+      devices.forEach(({ deviceId, role, deviceIndex = null, name = null, position = null }) => {
+        capture.devices.set(deviceId, {
+          deviceId,
+          name,
+          position,
+          role,
+          deviceIndex,
+          status: 'pending',
+          filename: null,
+          size: null,
+          error: null,
+          updatedAt: Date.now()
+        });
+      });
+
+      capture.timer = setTimeout(() => {
+        console.log(`⏰ Capture ${folderName} timed out`);
+        finish(capture, true);
+      }, timeoutMs);
+
+      captures.set(folderName, capture);
+      emitProgress(capture);
+      return toProgress(capture);
+    },
+
+    update,
+
+    get(folderName) {
+      const capture = captures.get(folderName);
+      return capture ? toProgress(capture) : null;
+    },
+
+    // The conductor changed a capture's slate - clips still to come (and the manifest) get the new one
+    setSlate(folderName, slate) {
+      const capture = captures.get(folderName);
+      if (!capture) return false;
+      capture.slate = slate;
+      return true;
+    },
+
+    // Every capture we're still keeping track of, as plain data (to save across restarts)
+    snapshot() {
+      return Array.from(captures.values()).map(capture => {
+        const { timer, devices, ...record } = capture;
+        return { ...record, devices: Array.from(devices.values()).map(device => ({ ...device })) };
+      });
+    },
+
+    // Put back captures from snapshot() after a restart. Unfinished ones get the rest of
+    // their time (a capture that ran out while the server was down finishes right away).
+    restore(records, now = Date.now()) {
+      records.forEach(record => {
+        const capture = {
+          ...record,
+          devices: new Map(record.devices.map(device => [device.deviceId, { ...device }])),
+          timer: null
+        };
+        captures.set(capture.folderName, capture);
+
+        if (capture.finished) {
+          setTimeout(() => captures.delete(capture.folderName), Math.max(capture.finishedAt + timeoutMs - now, 0));
+        } else {
+          capture.timer = setTimeout(() => {
+            console.log(`⏰ Capture ${capture.folderName} timed out`);
+            finish(capture, true);
+          }, Math.max(capture.timestamp + timeoutMs - now, 0));
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createCaptureTracker };
@@ -0,0 +1,264 @@
+// Capture browser API - lets the gallery (and anyone else) look at what was shot
+// without opening the S3 console. Works with whichever storage backend is configured.
+//
+//   GET /api/captures                          - list every capture folder
+//                                                filter by slate: ?scene=12A &take=3 &project=
+//                                                &rating=good|bad|circle|none &q=text in the note
+//
+// :folder may be nested ("Project/Scene/Take" naming, lib/naming.js) - send it URL-encoded.
+//   GET /api/captures/:folder                  - one capture: manifest, clips and their .json sidecars
+//   GET /api/captures/:folder/clips/:filename  - stream a clip (supports Range for scrubbing)
+//                                                add ?download=1 to save it as a file,
+//                                                ?original=1 for the untrimmed clip
+//   GET /api/captures/:folder/export/:format   - synced timeline for an editor (fcpxml, edl, premiere)
+//                                                ?fps=30 (1-120, or 23.976 / 29.97 / 59.94) &mediaRoot=/path/to/clips/
+
+const express = require('express');
+const { exportTimeline, parseFrameRate, EXPORT_FORMATS } = require('./timeline-export');
+const { originalName } = require('./clip-trim');
+const { MAX_FOLDER_DEPTH } = require('./naming');
+const { parseSlateFilter, matchesSlate } = require('./slate');
+
+// Folder and file names only ever contain these characters - anything else
+// (slashes, "..") could reach outside the captures folder
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const VIDEO_EXTENSIONS = /\.(webm|mp4)$/i;
+
+function isSafeName(name) {
+  return SAFE_NAME.test(name) && !name.includes('..');
+}
+
+// A capture folder: one safe name, or a few of them joined by "/"
+function isSafeFolder(folder) {
+  const parts = String(folder).split('/');
+  return parts.length <= MAX_FOLDER_DEPTH && parts.every(isSafeName);
+}
+
+// Every capture folder under captures/. A folder with files in it is a capture; one with
+// only folders in it (Project/, Project/Scene/) is looked into.
+async function listCaptureFolders(storage, parent = '') {
+  const names = (await storage.listFolders(`captures/${parent}`)).filter(isSafeName);
+  const found = await Promise.all(names.map(async (name) => {
+    const folder = `${parent}${name}`;
+    if (folder.split('/').length >= MAX_FOLDER_DEPTH ||
+        (await storage.listObjects(`captures/${folder}/`)).length > 0) {
+      return [folder];
+    }
+    return listCaptureFolders(storage, `${folder}/`);
+  }));
+  return found.flat();
+}
+
+// Helper: Read and parse a JSON file from storage (null if missing or broken)
+async function readJson(storage, key) {
+  const object = await storage.getObject(key);
+  if (!object) return null;
+  try {
+    return JSON.parse(object.body.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper: Parse "bytes=start-end" (or "bytes=start-"). Returns null if there's no usable range.
+function parseRange(header) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(header || '');
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : undefined;
+  if (end !== undefined && end < start) return null;
+  return { start, end };
+}
+
+// Load one capture: every clip with its metadata sidecar, plus the manifest (null if folder is empty)
+async function loadCapture(storage, folder) {
+  const prefix = `captures/${folder}/`;
+  const objects = await storage.listObjects(prefix);
+  if (objects.length === 0) return null;
+
+  const names = new Set(objects.map(object => object.name));
+  const clips = await Promise.all(objects
+    .filter(object => VIDEO_EXTENSIONS.test(object.name))
+    .map(async (object) => ({
+      filename: object.name,
+      size: object.size,
+      lastModified: object.lastModified,
+      metadata: names.has(`${object.name}.json`)
+        ? await readJson(storage, `${prefix}${object.name}.json`)
+        : null
+    })));
+
+  return {
+    folderName: folder,
+    manifest: names.has('manifest.json') ? await readJson(storage, `${prefix}manifest.json`) : null,
+    clips
+  };
+}
+
+// Every capture, newest first, with a summary from its manifest (if written yet).
+// filter: from parseSlateFilter (lib/slate.js), null for all
+async function listCaptures(storage, filter = null) {
+  const folders = await listCaptureFolders(storage);
+  folders.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+
+  const captures = await Promise.all(folders.map(async (folderName) => {
+    const manifest = await readJson(storage, `captures/${folderName}/manifest.json`);
+    return {
+      folderName,
+      timestamp: manifest ? manifest.timestamp : null,
+      expected: manifest ? manifest.expected : null,
+      received: manifest ? manifest.received : null,
+      complete: manifest ? manifest.complete : null,
+      slate: manifest ? manifest.slate || null : null
+    };
+  }));
+
+  return captures.filter(capture => matchesSlate(capture.slate, filter));
+}
+
+function createCapturesRouter({ storage }) {
+  const router = express.Router();
+
+  // Reject unsafe folder/file names before they get near storage
+  router.param('folder', (req, res, next, folder) => {
+    if (!isSafeFolder(folder)) {
+      return res.status(400).json({ success: false, error: 'Invalid capture folder name' });
+    }
+    next();
+  });
+
+  router.param('filename', (req, res, next, filename) => {
+    if (!isSafeName(filename)) {
+      return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+    next();
+  });
+
+  // List every capture (or those whose slate matches the query)
+  router.get('/', async (req, res) => {
+    let filter;
+    try {
+      filter = parseSlateFilter(req.query);
+    } catch (error) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    try {
+      const captures = await listCaptures(storage, filter);
+      res.json({ success: true, captures });
+    } catch (error) {
+      console.error('❌ Could not list captures:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // One capture: every clip with its metadata sidecar, plus the manifest
+  router.get('/:folder', async (req, res) => {
+    const { folder } = req.params;
+
+    try {
+      const capture = await loadCapture(storage, folder);
+
+      if (!capture) {
+        return res.status(404).json({ success: false, error: 'Capture not found' });
+      }
+
+      capture.clips.forEach(clip => {
+        clip.url = `${req.baseUrl}/${encodeURIComponent(folder)}/clips/${encodeURIComponent(clip.filename)}`;
+        // Trimmed on upload? The full clip is still there
+        clip.originalUrl = clip.metadata && clip.metadata.trim ? `${clip.url}?original=1` : null;
+      });
+
+      res.json({ success: true, ...capture });
+    } catch (error) {
+      console.error(`❌ Could not read capture ${folder}:`, error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Stream (or download) one clip
+  router.get('/:folder/clips/:filename', async (req, res) => {
+    const { folder, filename } = req.params;
+
+    try {
+      const range = parseRange(req.headers.range);
+      const key = req.query.original
+        ? `captures/${folder}/${originalName(filename)}`
+        : `captures/${folder}/${filename}`;
+      const object = await storage.getObjectStream(key, range);
+
+      if (!object) {
+        return res.status(404).json({ success: false, error: 'Clip not found' });
+      }
+
+      res.set('Accept-Ranges', 'bytes');
+      res.set('Content-Type', object.contentType || 'application/octet-stream');
+      res.set('Content-Length', String(object.end - object.start + 1));
+
+      if (req.query.download) {
+        res.set('Content-Disposition', `attachment; filename="${req.query.original ? 'original_' : ''}${filename}"`);
+      }
+
+      if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${object.start}-${object.end}/${object.size}`);
+      }
+
+      object.stream.on('error', (error) => {
+        console.error(`❌ Stream error for ${folder}/${filename}:`, error.message);
+        res.destroy(error);
+      });
+      object.stream.pipe(res);
+    } catch (error) {
+      if (error.name === 'InvalidRange' || error.code === 'ERR_OUT_OF_RANGE') {
+        return res.status(416).json({ success: false, error: 'Range not satisfiable' });
+      }
+      console.error(`❌ Could not stream ${folder}/${filename}:`, error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Export a synced multicam timeline for an editor
+  router.get('/:folder/export/:format', async (req, res) => {
+    const { folder, format } = req.params;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown format (use ${Object.keys(EXPORT_FORMATS).join(', ')})`
+      });
+    }
+
+    try {
+      parseFrameRate(req.query.fps);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+      const capture = await loadCapture(storage, folder);
+      if (!capture) {
+        return res.status(404).json({ success: false, error: 'Capture not found' });
+      }
+
+      const file = exportTimeline(format, {
+        folderName: folder,
+        clips: capture.clips,
+        fps: req.query.fps,
+        mediaRoot: req.query.mediaRoot || ''
+      });
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.body);
+    } catch (error) {
+      console.error(`❌ Could not export ${folder} as ${format}:`, error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCapturesRouter, loadCapture, listCaptures, isSafeName, isSafeFolder };
@@ -0,0 +1,206 @@
+// Chunked, resumable uploads
+// Phones send a clip in small parts. Parts are kept in a temp folder until the
+// phone says "complete", then glued back together. Sending the same part twice
+// just overwrites it, so retries after a dropped connection are always safe.
+//
+// Each upload belongs to whoever started it (claim): later requests for the same
+// upload id must be for the same clip. Parts stop being taken at maxParts / maxBytes.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function chunkError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function createChunkStore({
+  dir = path.join(os.tmpdir(), 'retro-capture-uploads'),
+  maxAgeMs = 24 * 60 * 60 * 1000,
+  maxParts = 100000,
+  maxBytes = Infinity
+} = {}) {
+  const assembling = new Map(); // uploadId → Promise (so two "complete" calls don't race)
+  const saving = new Map();     // uploadId → Promise of the last part being saved (one at a time, so maxBytes holds)
+
+  function uploadDir(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+      const error = new Error('Invalid upload id');
+      error.status = 400;
+      throw error;
+    }
+    return path.join(dir, uploadId);
+  }
+
+  function partPath(uploadId, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= maxParts) {
+      throw chunkError(400, 'invalid-metadata', `Part index must be 0-${maxParts - 1}`);
+    }
+    return path.join(uploadDir(uploadId), `${String(index).padStart(6, '0')}.part`);
+  }
+
+  async function listParts(uploadId) {
+    try {
+      const files = await fs.readdir(uploadDir(uploadId));
+      return files
+        .filter(file => file.endsWith('.part'))
+        .map(file => parseInt(file, 10))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Bytes in the parts we have, not counting part `except` (it's about to be replaced)
+  async function storedBytes(uploadId, except) {
+    let total = 0;
+    for (const index of await listParts(uploadId)) {
+      if (index === except) continue;
+      total += (await fs.stat(partPath(uploadId, index))).size;
+    }
+    return total;
+  }
+
+  async function savePart(uploadId, index, buffer) {
+    const filePath = partPath(uploadId, index);
+    if (buffer.length === 0) {
+      throw chunkError(400, 'invalid-size', 'Part is empty');
+    }
+    if (await storedBytes(uploadId, index) + buffer.length > maxBytes) {
+      throw chunkError(413, 'too-large', `Clip is over ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.tmp-${Date.now()}`;
+    await fs.writeFile(tmpPath, buffer);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  return {
+    isValidId(uploadId) {
+      return UPLOAD_ID_PATTERN.test(uploadId);
+    },
+
+    // Tie an upload to one clip (owner: a string naming it). The first request sets it;
+    // a request for another clip is refused (403), so nobody can add parts to, or read
+    // back, someone else's upload. Kept after finish() and removed by cleanup().
+    async claim(uploadId, owner) {
+      const ownerPath = `${uploadDir(uploadId)}.owner`;
+      let current;
+      try {
+        current = await fs.readFile(ownerPath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        await fs.mkdir(dir, { recursive: true });
+        try {
+          await fs.writeFile(ownerPath, owner, { flag: 'wx' });
+          current = owner;
+        } catch (writeError) {
+          if (writeError.code !== 'EEXIST') throw writeError;
+          current = await fs.readFile(ownerPath, 'utf8'); // Someone got there first
+        }
+      }
+      if (current !== owner) {
+        throw chunkError(403, 'wrong-capture', 'This upload belongs to another clip');
+      }
+    },
+
+    // Save one part (overwrites if it was already sent)
+    async putPart(uploadId, index, buffer) {
+      const job = (saving.get(uploadId) || Promise.resolve())
+        .catch(() => {})
+        .then(() => savePart(uploadId, index, buffer));
+      saving.set(uploadId, job);
+      try {
+        await job;
+      } finally {
+        if (saving.get(uploadId) === job) saving.delete(uploadId);
+      }
+    },
+
+    listParts,
+
+    // Join parts 0..totalParts-1 into one Buffer. Throws if any are missing.
+    async assemble(uploadId, totalParts) {
+      if (assembling.has(uploadId)) {
+        return assembling.get(uploadId);
+      }
+
+      const job = (async () => {
+        const parts = await listParts(uploadId);
+        const missing = [];
+        for (let i = 0; i < totalParts; i++) {
+          if (!parts.includes(i)) missing.push(i);
+        }
+        if (missing.length > 0) {
+          const error = new Error(`Missing parts: ${missing.join(', ')}`);
+          error.status = 409;
+          error.missing = missing;
+          throw error;
+        }
+
+        const buffers = [];
+        for (let i = 0; i < totalParts; i++) {
+          buffers.push(await fs.readFile(partPath(uploadId, i)));
+        }
+        return Buffer.concat(buffers);
+      })();
+
+      assembling.set(uploadId, job);
+      try {
+        return await job;
+      } finally {
+        assembling.delete(uploadId);
+      }
+    },
+
+    // Throw away all parts (e.g. they turned out to be corrupt)
+    async discard(uploadId) {
+      await fs.rm(uploadDir(uploadId), { recursive: true, force: true });
+    },
+
+    // Throw away the parts once the clip is safely stored, but remember the result
+    // so a phone that never got our reply can ask again and get the same answer
+    async finish(uploadId, result) {
+      await fs.mkdir(dir, { recursive: true }); // (direct uploads never sent us a part)
+      await fs.writeFile(`${uploadDir(uploadId)}.done.json`, JSON.stringify(result));
+      await fs.rm(uploadDir(uploadId), { recursive: true, force: true });
+    },
+
+    // Result of an upload that already completed (null if it hasn't)
+    async getFinished(uploadId) {
+      try {
+        return JSON.parse(await fs.readFile(`${uploadDir(uploadId)}.done.json`, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Remove parts from uploads that were abandoned long ago
+    async cleanup() {
+      let removed = 0;
+      try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+          const stat = await fs.stat(path.join(dir, entry.name));
+          if (Date.now() - stat.mtimeMs > maxAgeMs) {
+            await fs.rm(path.join(dir, entry.name), { recursive: true, force: true });
+            removed++;
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createChunkStore };
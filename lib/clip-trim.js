@@ -0,0 +1,88 @@
+// Clip trimming - cuts every uploaded clip to the same window around the capture moment.
+//
+// Phones cut their clip on a keyframe at or before "capture - preRoll", so each one
+// starts with a different amount of lead-in. Here the server cuts them all again to
+// [capture - preRoll, capture + postRoll]:
+//   - the start snaps to the nearest keyframe (a WebM can only start on one)
+//   - the end is frame-accurate (frames from the cut point on are dropped)
+// Frames are copied, never re-encoded (see lib/webm.js). The untrimmed clip is kept
+// in an "original/" subfolder next to the trimmed one.
+
+const { parseWebm, describeWebm, remuxWebm } = require('./webm');
+
+const ORIGINALS_FOLDER = 'original';
+
+// Ticks ↔ milliseconds for this file's timecode scale
+function toMs(file, ticks) {
+  return Math.round(ticks * file.timecodeScale / 1e6 * 1000) / 1000;
+}
+
+function toTicks(file, ms) {
+  return Math.round(ms * 1e6 / file.timecodeScale);
+}
+
+// Decide where to cut. Times in ms from the start of the clip.
+// Returns null if the clip can't (or doesn't need to) be trimmed.
+function planTrim(file, { captureOffsetMs, preRollMs, postRollMs }) {
+  if (![captureOffsetMs, preRollMs, postRollMs].every(Number.isFinite)) return null;
+
+  const video = file.tracks.find(track => track.type === 'video');
+  const base = file.clusters[0].time;
+  const wantedStartMs = captureOffsetMs - preRollMs;
+  const wantedEndMs = captureOffsetMs + postRollMs;
+
+  // Clusters that start on a video keyframe are the only places a clip can start
+  const keyframeStarts = file.clusters
+    .filter(cluster => {
+      const first = cluster.blocks.find(block => !video || block.track === video.number);
+      return first && first.keyframe;
+    })
+    .map(cluster => toMs(file, cluster.time - base));
+  if (keyframeStarts.length === 0) return null;
+
+  const startMs = keyframeStarts.reduce((best, time) =>
+    Math.abs(time - wantedStartMs) < Math.abs(best - wantedStartMs) ? time : best);
+
+  const lastFrameMs = Math.max(...file.clusters.flatMap(cluster =>
+    cluster.blocks.map(block => toMs(file, cluster.time + block.relative - base))));
+  const endMs = Math.min(wantedEndMs, lastFrameMs + 1);
+
+  if (endMs <= startMs) return null;
+  // Already inside the window - nothing to cut
+  if (startMs === 0 && endMs > lastFrameMs) return null;
+
+  return { startMs, endMs, wantedStartMs, wantedEndMs };
+}
+
+// Trim a parsed WebM. window: { captureOffsetMs, preRollMs, postRollMs }
+// Returns { buffer, media, cut } or null if the clip was left as it is.
+function trimWebm(file, window) {
+  const plan = planTrim(file, window);
+  if (!plan) return null;
+
+  const base = file.clusters[0].time;
+  const buffer = remuxWebm(file, {
+    fromTicks: base + toTicks(file, plan.startMs),
+    toTicks: base + toTicks(file, plan.endMs)
+  });
+
+  return {
+    buffer,
+    media: describeWebm(parseWebm(buffer)),
+    cut: {
+      startMs: plan.startMs,
+      endMs: plan.endMs,
+      // How far the keyframe snap moved the start (negative = earlier than asked)
+      keyframeSnapMs: Math.round((plan.startMs - plan.wantedStartMs) * 1000) / 1000,
+      wantedStartMs: plan.wantedStartMs,
+      wantedEndMs: plan.wantedEndMs
+    }
+  };
+}
+
+// Where the untrimmed clip is stored, relative to the capture folder
+function originalName(filename) {
+  return `${ORIGINALS_FOLDER}/${filename}`;
+}
+
+module.exports = { trimWebm, planTrim, originalName, ORIGINALS_FOLDER };
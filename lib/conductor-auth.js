@@ -0,0 +1,48 @@
+// Conductor authentication - who is allowed to run a room.
+//
+// The phone that becomes conductor gets a secret token from the server. It keeps it
+// (localStorage) and sends it when it reconnects, so it gets control back even if
+// someone else has it. Only one token per room is valid: handing off control or
+// claiming it issues a new one.
+//
+// With CONDUCTOR_PIN set, nobody gets control just by being first - a phone has to
+// claim it with the PIN (which also lets the crew take control back from anyone).
+
+const crypto = require('crypto');
+
+const MAX_PIN_FAILURES = 5;      // Wrong PINs allowed per room...
+const PIN_LOCKOUT_MS = 60000;    // ...within this long, before claims are refused
+
+function createConductorToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Compare two secrets without leaking how much of them matched
+function secretsMatch(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Counts wrong PINs so one can't be guessed by trying them all
+function createPinGuard() {
+  let failures = []; // Times of recent wrong PINs
+
+  return {
+    isLocked(now = Date.now()) {
+      failures = failures.filter(time => now - time < PIN_LOCKOUT_MS);
+      return failures.length >= MAX_PIN_FAILURES;
+    },
+
+    recordFailure(now = Date.now()) {
+      failures.push(now);
+    },
+
+    reset() {
+      failures = [];
+    }
+  };
+}
+
+module.exports = { createConductorToken, secretsMatch, createPinGuard };
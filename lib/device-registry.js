@@ -0,0 +1,130 @@
+// Device registry - remembers every phone by the stable ID it keeps in localStorage,
+// so its name, camera position and chirp index survive reconnects (socket ids don't).
+//
+// Device record: { deviceId, name, position, index, lastSeen }
+//   name     - human name set by the conductor ("left-wing"), or null
+//   position - camera position number (1, 2, 3... around the rig), or null
+//   index    - short number carried in the sync chirp (0-63), null while it's lent out
+//   lastSeen - when it last connected (ms)
+//
+// Indexes are never shared. Once all 64 are taken, a new phone gets the index of the
+// phone that has been away longest (which gets a new one when it's back); with 64
+// phones connected there's none to give and the new one is refused.
+
+const DEVICE_ID = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_NAME_LENGTH = 32;
+const MAX_POSITION = 999;
+const MAX_INDEX = 64; // The sync chirp has 6 bits for it
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID.test(deviceId);
+}
+
+function createDeviceRegistry() {
+  const devices = new Map(); // deviceId → device record
+
+  // Lowest chirp index no other device has - or, when they're all taken, the index of the
+  // device away longest (online: IDs of connected devices, they keep theirs). null if none.
+  function nextIndex(online) {
+    const used = new Set(Array.from(devices.values()).map(device => device.index));
+    let index = 0;
+    while (used.has(index)) index++;
+    if (index < MAX_INDEX) return index;
+
+    const away = Array.from(devices.values())
+      .filter(device => device.index !== null && !online.has(device.deviceId))
+      .sort((a, b) => a.lastSeen - b.lastSeen)[0];
+    if (!away) return null;
+    index = away.index;
+    away.index = null;
+    return index;
+  }
+
+  return {
+    // A phone connected: find it (or add it) → device record.
+    // online: IDs of the devices connected right now. Throws (409) if every chirp index is in use.
+    register(deviceId, online = new Set()) {
+      const device = devices.get(deviceId) || { deviceId, name: null, position: null, index: null, lastSeen: 0 };
+      if (device.index === null) {
+        const index = nextIndex(online);
+        if (index === null) {
+          const error = new Error(`Room is full - ${MAX_INDEX} phones are connected`);
+          error.status = 409;
+          throw error;
+        }
+        device.index = index;
+      }
+      device.lastSeen = Date.now();
+      devices.set(deviceId, device);
+      return { ...device };
+    },
+
+    get(deviceId) {
+      const device = devices.get(deviceId);
+      return device ? { ...device } : null;
+    },
+
+    // Conductor renamed / repositioned a phone. Throws if the values aren't usable.
+    update(deviceId, { name, position }) {
+      const device = devices.get(deviceId);
+      if (!device) {
+        throw new Error('Unknown device');
+      }
+
+      if (name !== undefined) {
+        name = name === null ? '' : String(name).trim();
+        if (name.length > MAX_NAME_LENGTH) {
+          throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+      }
+
+      if (position !== undefined && position !== null && position !== '') {
+        position = Number(position);
+        if (!Number.isInteger(position) || position < 1 || position > MAX_POSITION) {
+          throw new Error(`Position must be a whole number from 1 to ${MAX_POSITION}`);
+        }
+        // Two phones on one position would overwrite each other's files
+        const taken = Array.from(devices.values())
+          .find(other => other.position === position && other.deviceId !== deviceId);
+        if (taken) {
+          throw new Error(`Position ${position} is already ${taken.name || taken.deviceId}`);
+        }
+      }
+
+      if (name !== undefined) device.name = name || null;
+      if (position !== undefined) device.position = position === null || position === '' ? null : position;
+      return { ...device };
+    },
+
+    // Put back devices saved before a restart (records from list())
+    restore(records) {
+      records.forEach(record => {
+        if (!isValidDeviceId(record.deviceId)) return;
+        devices.set(record.deviceId, {
+          deviceId: record.deviceId,
+          name: record.name || null,
+          position: Number.isInteger(record.position) ? record.position : null,
+          index: Number.isInteger(record.index) ? record.index : null, // (one is given when it connects)
+          lastSeen: Number.isFinite(record.lastSeen) ? record.lastSeen : 0
+        });
+      });
+    },
+
+    // Every known device, in rig order (numbered positions first)
+    list() {
+      return Array.from(devices.values())
+        .map(device => ({ ...device }))
+        .sort(compareDevices);
+    }
+  };
+}
+
+// Sort by position, then name, then ID (unpositioned phones last)
+function compareDevices(a, b) {
+  const pa = a.position === null || a.position === undefined ? Infinity : a.position;
+  const pb = b.position === null || b.position === undefined ? Infinity : b.position;
+  if (pa !== pb) return pa - pb;
+  return String(a.name || a.deviceId).localeCompare(String(b.name || b.deviceId));
+}
+
+module.exports = { createDeviceRegistry, isValidDeviceId, compareDevices };
@@ -0,0 +1,251 @@
+// MP4 (ISO BMFF) reader - pure JavaScript, no ffmpeg needed
+//
+// iPhones (Safari) can only record MP4: H.264 video + AAC audio, written as a
+// fragmented MP4 (ftyp + moov up front, then moof/mdat pairs as it records).
+// These files play and seek fine as they are, so unlike WebM we don't rewrite them:
+//   isMp4(buffer)     - does it look like an MP4 at all? (ftyp box first)
+//   parseMp4(buffer)  - read the boxes, rejecting corrupted or truncated uploads
+//   describeMp4(file) - duration, codecs, resolution and fragment times (for the .json sidecar)
+
+// Boxes that only hold other boxes (the ones we need to look inside)
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'mvex', 'moof', 'traf']);
+
+const HANDLER_TYPES = { vide: 'video', soun: 'audio' };
+
+// Sample flags: bit 16 = "not a sync sample" (= not a keyframe)
+const NON_SYNC_SAMPLE = 0x10000;
+
+// Thrown for uploads that aren't a usable MP4 file (422 - resending won't help)
+class Mp4Error extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'Mp4Error';
+    this.status = 422;
+  }
+}
+
+// === READING ===
+
+function isMp4(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 8 && buf.toString('latin1', 4, 8) === 'ftyp';
+}
+
+// Read the boxes between start and end → [{ type, start, dataStart, end, children? }]
+function readBoxes(buf, start, end) {
+  const boxes = [];
+  let pos = start;
+  while (pos < end) {
+    if (pos + 8 > end) throw new Mp4Error(`Truncated box header at byte ${pos}`);
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let dataStart = pos + 8;
+
+    if (size === 1) {
+      // 64-bit size follows
+      if (pos + 16 > end) throw new Mp4Error(`Truncated box header at byte ${pos}`);
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      dataStart = pos + 16;
+    } else if (size === 0) {
+      size = end - pos; // Runs to the end of the file
+    }
+    if (size < dataStart - pos || pos + size > end) {
+      throw new Mp4Error(`"${type}" box at byte ${pos} is cut off (file truncated?)`);
+    }
+
+    const box = { type, start: pos, dataStart, end: pos + size };
+    if (CONTAINER_BOXES.has(type)) box.children = readBoxes(buf, dataStart, box.end);
+    boxes.push(box);
+    pos += size;
+  }
+  return boxes;
+}
+
+function child(box, type) {
+  return box && box.children ? box.children.find(b => b.type === type) : undefined;
+}
+
+function children(box, type) {
+  return box && box.children ? box.children.filter(b => b.type === type) : [];
+}
+
+// "Full" boxes start with version (1 byte) + flags (3 bytes)
+function versionAndFlags(buf, box) {
+  return { version: buf[box.dataStart], flags: buf.readUIntBE(box.dataStart + 1, 3) };
+}
+
+function readTrack(buf, trak) {
+  const tkhd = child(trak, 'tkhd');
+  const mdia = child(trak, 'mdia');
+  const mdhd = child(mdia, 'mdhd');
+  const hdlr = child(mdia, 'hdlr');
+  const stsd = child(child(child(mdia, 'minf'), 'stbl'), 'stsd');
+  if (!tkhd || !mdhd || !hdlr) throw new Mp4Error('Track is missing its header boxes');
+
+  const track = {
+    id: buf.readUInt32BE(tkhd.dataStart + (versionAndFlags(buf, tkhd).version === 1 ? 20 : 12)),
+    type: HANDLER_TYPES[buf.toString('latin1', hdlr.dataStart + 8, hdlr.dataStart + 12)] || 'other',
+    timescale: buf.readUInt32BE(mdhd.dataStart + (versionAndFlags(buf, mdhd).version === 1 ? 20 : 12)),
+    codec: null
+  };
+
+  // First sample description: its box type is the codec (avc1, hvc1, mp4a...)
+  if (stsd && stsd.end - stsd.dataStart >= 16) {
+    const entry = stsd.dataStart + 8;
+    track.codec = buf.toString('latin1', entry + 4, entry + 8);
+    if (track.type === 'video' && entry + 36 <= stsd.end) {
+      track.width = buf.readUInt16BE(entry + 32);
+      track.height = buf.readUInt16BE(entry + 34);
+    }
+    if (track.type === 'audio' && entry + 36 <= stsd.end) {
+      track.channels = buf.readUInt16BE(entry + 24);
+      track.sampleRate = buf.readUInt32BE(entry + 32) >>> 16;
+    }
+  }
+  return track;
+}
+
+// Defaults for fragments (mvex/trex): trackId → { duration, flags }
+function readTrackDefaults(buf, moov) {
+  const defaults = new Map();
+  children(child(moov, 'mvex'), 'trex').forEach(trex => {
+    defaults.set(buf.readUInt32BE(trex.dataStart + 4), {
+      duration: buf.readUInt32BE(trex.dataStart + 12),
+      flags: buf.readUInt32BE(trex.dataStart + 20)
+    });
+  });
+  return defaults;
+}
+
+// One track's part of a moof → { trackId, time (ticks), duration (ticks), samples, keyframe }
+function readTrackFragment(buf, traf, trackDefaults) {
+  const tfhd = child(traf, 'tfhd');
+  if (!tfhd) throw new Mp4Error('Track fragment without a header');
+  const trackId = buf.readUInt32BE(tfhd.dataStart + 4);
+  const defaults = { ...(trackDefaults.get(trackId) || { duration: 0, flags: 0 }) };
+
+  // Optional tfhd fields, in this order, when their flag is set
+  let pos = tfhd.dataStart + 8;
+  const { flags: tfhdFlags } = versionAndFlags(buf, tfhd);
+  if (tfhdFlags & 0x1) pos += 8; // base data offset
+  if (tfhdFlags & 0x2) pos += 4; // sample description index
+  if (tfhdFlags & 0x8) { defaults.duration = buf.readUInt32BE(pos); pos += 4; }
+  if (tfhdFlags & 0x10) pos += 4; // default sample size
+  if (tfhdFlags & 0x20) defaults.flags = buf.readUInt32BE(pos);
+
+  const tfdt = child(traf, 'tfdt');
+  const time = !tfdt ? null
+    : versionAndFlags(buf, tfdt).version === 1 ? Number(buf.readBigUInt64BE(tfdt.dataStart + 4)) : buf.readUInt32BE(tfdt.dataStart + 4);
+
+  let duration = 0;
+  let samples = 0;
+  let keyframe = null;
+  children(traf, 'trun').forEach(trun => {
+    const { flags } = versionAndFlags(buf, trun);
+    const count = buf.readUInt32BE(trun.dataStart + 4);
+    let at = trun.dataStart + 8;
+    if (flags & 0x1) at += 4; // data offset
+    let firstFlags = null;
+    if (flags & 0x4) { firstFlags = buf.readUInt32BE(at); at += 4; }
+
+    for (let i = 0; i < count; i++) {
+      let sampleDuration = defaults.duration;
+      let sampleFlags = defaults.flags;
+      if (flags & 0x100) { sampleDuration = buf.readUInt32BE(at); at += 4; }
+      if (flags & 0x200) at += 4; // size
+      if (flags & 0x400) { sampleFlags = buf.readUInt32BE(at); at += 4; }
+      if (flags & 0x800) at += 4; // composition time offset
+      if (i === 0 && firstFlags !== null) sampleFlags = firstFlags;
+      if (at > trun.end) throw new Mp4Error('Track run is cut off');
+
+      if (keyframe === null) keyframe = !(sampleFlags & NON_SYNC_SAMPLE);
+      duration += sampleDuration;
+    }
+    samples += count;
+  });
+
+  return { trackId, time, duration, samples, keyframe: !!keyframe };
+}
+
+// Read and check a whole MP4 file → { tracks, timescale, duration, fragments, size }
+function parseMp4(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8) {
+    throw new Mp4Error('File is empty');
+  }
+  if (!isMp4(buf)) {
+    throw new Mp4Error('Not an MP4 file (missing ftyp box)');
+  }
+
+  const boxes = readBoxes(buf, 0, buf.length);
+  const moov = boxes.find(box => box.type === 'moov');
+  if (!moov) throw new Mp4Error('No moov box (track info) - not a playable MP4');
+
+  const mvhd = child(moov, 'mvhd');
+  const mvhdVersion = mvhd ? versionAndFlags(buf, mvhd).version : 0;
+  const tracks = children(moov, 'trak').map(trak => readTrack(buf, trak));
+  if (tracks.length === 0) throw new Mp4Error('MP4 file has no tracks');
+  const trackDefaults = readTrackDefaults(buf, moov);
+
+  // Fragmented MP4: every moof must be followed by its mdat (no mdat = cut off mid-fragment)
+  const fragments = [];
+  boxes.forEach((box, i) => {
+    if (box.type !== 'moof') return;
+    if (!boxes.slice(i + 1).some(next => next.type === 'mdat')) {
+      throw new Mp4Error('Last fragment has no media data (file truncated?)');
+    }
+    fragments.push(children(box, 'traf').map(traf => readTrackFragment(buf, traf, trackDefaults)));
+  });
+  if (fragments.length === 0 && !boxes.some(box => box.type === 'mdat')) {
+    throw new Mp4Error('MP4 file has no media data');
+  }
+
+  return {
+    tracks,
+    timescale: mvhd ? buf.readUInt32BE(mvhd.dataStart + (mvhdVersion === 1 ? 20 : 12)) : 1000,
+    duration: !mvhd ? 0
+      : mvhdVersion === 1 ? Number(buf.readBigUInt64BE(mvhd.dataStart + 24)) : buf.readUInt32BE(mvhd.dataStart + 16),
+    fragments,
+    size: buf.length
+  };
+}
+
+// Everything worth knowing about the file, for the .json sidecar (times in ms) -
+// the same shape as describeWebm, with fragments where WebM has clusters
+function describeMp4(file) {
+  const video = file.tracks.find(track => track.type === 'video');
+  const audio = file.tracks.find(track => track.type === 'audio');
+  const main = video || audio;
+  const ms = (ticks) => Math.round(ticks / main.timescale * 1000 * 1000) / 1000;
+
+  // Main track's part of each fragment
+  const parts = file.fragments
+    .map(fragment => fragment.find(traf => traf.trackId === main.id))
+    .filter(part => part && part.time !== null);
+
+  let durationMs;
+  let base = 0;
+  if (parts.length > 0) {
+    base = parts[0].time;
+    const last = parts[parts.length - 1];
+    durationMs = ms(last.time + last.duration - base);
+  } else {
+    durationMs = Math.round(file.duration / file.timescale * 1000 * 1000) / 1000;
+  }
+
+  return {
+    container: 'mp4',
+    durationMs,
+    startTimecodeMs: ms(base),
+    video: video ? { codec: video.codec, width: video.width || null, height: video.height || null } : null,
+    audio: audio ? { codec: audio.codec, sampleRate: audio.sampleRate || null, channels: audio.channels || null } : null,
+    frames: video && parts.length > 0 ? parts.reduce((sum, part) => sum + part.samples, 0) : null,
+    startsWithKeyframe: parts.length > 0 ? parts[0].keyframe : true,
+    fragments: parts.map(part => ({ timeMs: ms(part.time - base), keyframe: part.keyframe }))
+  };
+}
+
+module.exports = {
+  isMp4,
+  parseMp4,
+  describeMp4,
+  Mp4Error
+};
@@ -0,0 +1,212 @@
+// Capture naming - how capture folders and clip files are named, from templates.
+// The server keeps one naming setup per room; the conductor sets project/scene/take
+// (take goes up by one with every capture) and, if they like, the templates.
+//
+// Tokens:
+//   {project} {scene} {take}       from the conductor ({take} is two digits: 01, 02...)
+//   {counter}                      the room's capture number (02, 03... - also in the sync chirp)
+//   {date} {time}                  server local time: 20251020, 152430
+//   {utcDate} {utcTime}            the same in UTC
+//   {epoch}                        capture time in ms since 1970
+//   {room}                         room code
+//   clips only: {position} (03, or XX when not set), {name} (phone name), {device} (short device ID)
+//
+// A folder template may contain "/" for nested folders: "{project}/{scene}/T{take}".
+// Templates are checked so two captures never share a folder and two phones never share
+// a clip name: the folder needs {counter} or {epoch}, or all of {project}, {scene} and {take}
+// (a scene's take numbers are never handed out twice); the clip needs {device} or {position}
+// (phones with no position then get their device ID added). Settings whose longest names
+// wouldn't fit in NAME_LENGTH characters are refused.
+
+const FOLDER_TOKENS = ['project', 'scene', 'take', 'counter', 'date', 'time', 'utcDate', 'utcTime', 'epoch', 'room'];
+const CLIP_TOKENS = [...FOLDER_TOKENS, 'position', 'name', 'device'];
+
+const DEFAULT_NAMING = {
+  project: 'project',
+  scene: '1',
+  take: 1,
+  folderTemplate: '{counter}_{date}_{time}_{epoch}',
+  clipTemplate: 'cam{position}_{name}_{device}_{epoch}',
+  takes: {} // "project/scene" → last take shot
+};
+
+const MAX_TEMPLATE_LENGTH = 120;
+const MAX_LABEL_LENGTH = 40;
+const MAX_FOLDER_DEPTH = 4;
+const MAX_TAKE = 9999;
+const NAME_LENGTH = 200; // Longest folder / clip name upload tokens accept (lib/upload-auth.js)
+const TEMPLATE_TEXT = /^[A-Za-z0-9_.\-/{}]+$/;
+
+function namingError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// A value as it may appear in a storage key: letters, numbers, "_-." (anything else → "-"),
+// starting with a letter or number and never ".." - the folder names upload tokens accept
+function safePart(value) {
+  return String(value)
+    .replace(/[^A-Za-z0-9_.-]+/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .slice(0, MAX_LABEL_LENGTH)
+    .replace(/^[^A-Za-z0-9]+|[-.]+$/g, '');
+}
+
+function tokensOf(template) {
+  return Array.from(template.matchAll(/\{([^{}]*)\}/g), match => match[1]);
+}
+
+// Throws (400) if a template can't be used. kind: 'folder' or 'clip'
+function checkTemplate(template, kind) {
+  const label = kind === 'folder' ? 'Folder template' : 'Clip template';
+  if (typeof template !== 'string' || !template || template.length > MAX_TEMPLATE_LENGTH) {
+    throw namingError(`${label} must be 1-${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  if (!TEMPLATE_TEXT.test(template) || template.replace(/\{[^{}]*\}/g, '').match(/[{}]/)) {
+    throw namingError(`${label} may only use letters, numbers, "_-." and {tokens}${kind === 'folder' ? ' and "/"' : ''}`);
+  }
+
+  const allowed = kind === 'folder' ? FOLDER_TOKENS : CLIP_TOKENS;
+  const tokens = tokensOf(template);
+  const unknown = tokens.find(token => !allowed.includes(token));
+  if (unknown !== undefined) {
+    throw namingError(`${label}: unknown token {${unknown}} (use ${allowed.map(token => `{${token}}`).join(' ')})`);
+  }
+
+  if (kind === 'clip') {
+    if (template.includes('/')) throw namingError('Clip template can\'t contain "/"');
+    if (!/^[A-Za-z0-9{]/.test(template)) throw namingError('Clip template must start with a letter, number or {token}');
+    if (!tokens.includes('device') && !tokens.includes('position')) {
+      throw namingError('Clip template needs {device} or {position}, or phones would overwrite each other');
+    }
+    return;
+  }
+
+  const segments = template.split('/');
+  if (segments.length > MAX_FOLDER_DEPTH || segments.some(segment => !/^[A-Za-z0-9{]/.test(segment) || segment.includes('..'))) {
+    throw namingError(`Folder template: up to ${MAX_FOLDER_DEPTH} folders, each starting with a letter, number or {token}, without ".."`);
+  }
+  const unique = tokens.includes('counter') || tokens.includes('epoch') ||
+    ['project', 'scene', 'take'].every(token => tokens.includes(token));
+  if (!unique) {
+    throw namingError('Folder template needs {counter}, {epoch}, or all of {project} {scene} {take}, or captures would share a folder');
+  }
+}
+
+// Throws (400) if the longest names this setup can make are too long for uploads:
+// a counter in the thousands, the last take, an 8-letter room, the longest phone name, position 999
+function checkNameLength(naming) {
+  const { folderName, values } = nameCapture({ ...naming, take: MAX_TAKE, takes: {} }, {
+    counter: 9999,
+    time: Date.now(),
+    room: 'X'.repeat(8)
+  });
+  const device = { deviceId: 'example-phone-a1b2c3d4', name: 'x'.repeat(MAX_LABEL_LENGTH) };
+  const longestClip = Math.max(
+    clipName(naming, values, { ...device, position: 999 }).length,
+    clipName(naming, values, { ...device, position: null }).length
+  );
+  if (folderName.length > NAME_LENGTH) {
+    throw namingError(`Folder names could get ${folderName.length} characters long (at most ${NAME_LENGTH}) - use a shorter project, scene or folder template`);
+  }
+  if (longestClip > NAME_LENGTH) {
+    throw namingError(`Clip names could get ${longestClip} characters long (at most ${NAME_LENGTH}) - use a shorter clip template`);
+  }
+}
+
+function takeKey(naming) {
+  return `${naming.project}/${naming.scene}`;
+}
+
+// Lowest take this scene can still use
+function nextTake(naming) {
+  return (naming.takes[takeKey(naming)] || 0) + 1;
+}
+
+// Apply the conductor's changes → new naming setup. Missing fields keep their value;
+// a new project/scene carries on after its last take (or starts at 1).
+function updateNaming(current, changes = {}) {
+  const naming = { ...current, takes: { ...current.takes } };
+
+  ['project', 'scene'].forEach(key => {
+    if (changes[key] === undefined) return;
+    const value = safePart(String(changes[key]).trim());
+    if (!value) throw namingError(`${key} must have a letter or number in it`);
+    naming[key] = value;
+  });
+  if (naming.project !== current.project || naming.scene !== current.scene) {
+    naming.take = nextTake(naming);
+  }
+
+  if (changes.take !== undefined && changes.take !== null && changes.take !== '') {
+    const take = Number(changes.take);
+    if (!Number.isInteger(take) || take < 1 || take > MAX_TAKE) {
+      throw namingError(`take must be a whole number from 1 to ${MAX_TAKE}`);
+    }
+    if (take < nextTake(naming)) {
+      throw namingError(`Scene ${naming.scene} already has take ${take} - next is ${nextTake(naming)}`);
+    }
+    naming.take = take;
+  }
+
+  ['folderTemplate', 'clipTemplate'].forEach(key => {
+    if (changes[key] === undefined) return;
+    checkTemplate(changes[key], key === 'folderTemplate' ? 'folder' : 'clip');
+    naming[key] = changes[key];
+  });
+
+  checkNameLength(naming);
+  return naming;
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+function render(template, values) {
+  return template.replace(/\{([^{}]*)\}/g, (match, token) => values[token]);
+}
+
+// Name a new capture → { folderName, slate, values }, and move on to the next take.
+// values are what its clip names are made from (see clipName).
+function nameCapture(naming, { counter, time, room }) {
+  const date = new Date(time);
+  const iso = date.toISOString();
+  const values = {
+    project: naming.project,
+    scene: naming.scene,
+    take: pad(naming.take),
+    counter: pad(counter),
+    date: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+    utcDate: iso.slice(0, 10).replace(/-/g, ''),
+    utcTime: iso.slice(11, 19).replace(/:/g, ''),
+    epoch: String(time),
+    room: room || ''
+  };
+
+  const slate = { project: naming.project, scene: naming.scene, take: naming.take };
+  naming.takes[takeKey(naming)] = Math.max(naming.takes[takeKey(naming)] || 0, naming.take);
+  naming.take = nextTake(naming);
+
+  return { folderName: render(naming.folderTemplate, values), slate, values };
+}
+
+// One phone's clip name for a capture (no extension - that follows the recording format)
+// device: { deviceId, name, position }
+function clipName(naming, values, device) {
+  const deviceShort = device.deviceId.replace(/[^A-Za-z0-9]/g, '').slice(-8);
+  const tokens = tokensOf(naming.clipTemplate);
+  let name = render(naming.clipTemplate, {
+    ...values,
+    position: device.position ? pad(device.position) : 'XX',
+    name: safePart((device.name || 'phone').toLowerCase()) || 'phone',
+    device: deviceShort
+  });
+  // Only positions keep the names apart - a phone without one needs its ID in there
+  if (!tokens.includes('device') && !device.position) name += `_${deviceShort}`;
+  return name;
+}
+
+module.exports = { DEFAULT_NAMING, updateNaming, checkTemplate, nameCapture, clipName, MAX_FOLDER_DEPTH };
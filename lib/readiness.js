@@ -0,0 +1,67 @@
+// Readiness check - before START SYNC every phone reports how it's doing, and the
+// conductor sees which phones can actually record.
+//
+// Report sent by a phone (all fields optional, null = unknown):
+//   camera      { ok, error, width, height, frameRate }  - what getUserMedia really gave us
+//               + facingMode, videoBitsPerSecond, bufferMs, locks, profileVersion, profileError
+//                 (how the room's capture profile worked out - see lib/capture-profile.js)
+//   mic         { ok }
+//   audioMixing { ok, error }                             - the chirp is mixed into the recording here
+//   torch       true/false                                - detectTorchCapability() result
+//   mimeType    recording format the phone picked (null = can't record) - WebM or MP4
+//   battery     { level (0-100), charging }
+//   storage     { freeBytes }                             - navigator.storage.estimate()
+//   rttMs       round trip to the server (clock sync)
+// Phones also send recording { active, bufferedMs, segments } and uploads { pending, failed }
+// with it - not checked here, only shown on the operator dashboard.
+
+const { profileMismatches } = require('./capture-profile');
+
+const MIN_BATTERY_PERCENT = 15;
+const MIN_FREE_BYTES = 200 * 1024 * 1024; // A few clips waiting in the upload queue
+const MAX_RTT_MS = 500;                   // Longer than SCHEDULE_LEAD_MS can't fire on time
+
+// Check one phone's report → { ready, problems, warnings }
+//   problems - why it can't record (not ready)
+//   warnings - it can record, but someone should take a look
+// profile: the room's capture profile (differences from it are warnings)
+function checkReadiness(report, profile = null) {
+  if (!report) {
+    return { ready: false, problems: ['No report yet'], warnings: [] };
+  }
+
+  const problems = [];
+  const warnings = [];
+  const camera = report.camera || {};
+
+  if (!camera.ok) problems.push(camera.error ? `Camera: ${camera.error}` : 'No camera');
+  if (!report.mic || !report.mic.ok) problems.push('No microphone');
+  if (!report.audioMixing || !report.audioMixing.ok) {
+    problems.push(report.audioMixing && report.audioMixing.error ? `Audio: ${report.audioMixing.error}` : 'Audio mixing not set up');
+  }
+  if (!report.mimeType) problems.push('Browser cannot record video');
+  if (!Number.isFinite(report.rttMs)) problems.push('Clock not synced yet');
+
+  if (Number.isFinite(report.rttMs) && report.rttMs > MAX_RTT_MS) {
+    warnings.push(`Slow network (${Math.round(report.rttMs)}ms)`);
+  }
+  if (report.battery && Number.isFinite(report.battery.level) &&
+      report.battery.level < MIN_BATTERY_PERCENT && !report.battery.charging) {
+    warnings.push(`Battery ${report.battery.level}%`);
+  }
+  warnings.push(...profileMismatches(profile, report));
+  if (report.storage && Number.isFinite(report.storage.freeBytes) && report.storage.freeBytes < MIN_FREE_BYTES) {
+    warnings.push(`Only ${Math.round(report.storage.freeBytes / 1024 / 1024)}MB free`);
+  }
+
+  return { ready: problems.length === 0, problems, warnings };
+}
+
+// How many ready phones START SYNC needs: quorum "all" (default) or a number
+function requiredReady(quorum, total) {
+  const count = parseInt(quorum, 10);
+  if (quorum === 'all' || !Number.isFinite(count)) return total;
+  return Math.min(Math.max(count, 1), total);
+}
+
+module.exports = { checkReadiness, requiredReady };
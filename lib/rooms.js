@@ -0,0 +1,37 @@
+// Rooms - lets several crews use one server at the same time.
+// Each room has a short join code ("K7PX2M"); phones open /?room=CODE to join it.
+// Everything a room does (phones, conductor, capture counter, stored files) is kept
+// apart from every other room.
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I - codes get read out loud and typed on phones
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const ROOM_CODE = /^[A-Z2-9]{4,8}$/;
+
+// Tidy up a code someone typed → "K7PX2M", or null if it can't be a room code
+function normalizeRoomCode(code) {
+  if (typeof code !== 'string') return null;
+  const tidy = code.trim().toUpperCase();
+  return ROOM_CODE.test(tidy) ? tidy : null;
+}
+
+// A fresh code no room in `taken` (a Map or Set of codes) is using
+function generateRoomCode(taken = new Set()) {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+    }
+  } while (taken.has(code));
+  return code;
+}
+
+// Where a room's files live in storage (its captures/ folder goes under this)
+function roomPrefix(code) {
+  return `rooms/${code}/`;
+}
+
+module.exports = { normalizeRoomCode, generateRoomCode, roomPrefix };
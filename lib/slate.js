@@ -0,0 +1,103 @@
+// Slate - what a capture was. Scene and take come from the room's naming (lib/naming.js),
+// the note and the rating from the conductor, before the capture or any time after it.
+//
+// Slate:
+//   project, scene, take   what it was shot as
+//   note                   free text ("car enters late", "best light")
+//   rating                 null, 'good', 'bad' or 'circle' (the circled take - the one to use)
+//
+// It's kept in the capture's manifest.json and in every clip's .json sidecar; changing it
+// afterwards rewrites those files.
+
+const RATINGS = ['good', 'bad', 'circle'];
+const MAX_NOTE_LENGTH = 500;
+
+function slateError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Slate for a new capture (a note that's too long is cut - it must never stop a capture)
+function newSlate({ project, scene, take }, note = '') {
+  return { project, scene, take, note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH), rating: null };
+}
+
+// Apply the conductor's changes to a slate → new slate. Missing fields keep their value.
+function updateSlate(current, changes = {}) {
+  const slate = { ...current };
+
+  if (changes.note !== undefined) {
+    const note = String(changes.note || '').trim();
+    if (note.length > MAX_NOTE_LENGTH) throw slateError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+    slate.note = note;
+  }
+
+  if (changes.rating !== undefined) {
+    const rating = changes.rating || null;
+    if (rating !== null && !RATINGS.includes(rating)) {
+      throw slateError(`rating must be one of: ${RATINGS.join(', ')} (or empty)`);
+    }
+    slate.rating = rating;
+  }
+
+  return slate;
+}
+
+// Filter from query/command-line options → { project, scene, take, rating, text } (null = no filter).
+// rating 'none' finds captures nobody has rated yet.
+function parseSlateFilter({ project, scene, take, rating, q } = {}) {
+  const filter = {
+    project: project ? String(project) : null,
+    scene: scene ? String(scene) : null,
+    take: take ? Number(take) : null,
+    rating: rating ? String(rating) : null,
+    text: q ? String(q).toLowerCase() : null
+  };
+  if (filter.take !== null && !Number.isInteger(filter.take)) {
+    throw slateError('take must be a whole number');
+  }
+  if (filter.rating && filter.rating !== 'none' && !RATINGS.includes(filter.rating)) {
+    throw slateError(`rating must be one of: ${[...RATINGS, 'none'].join(', ')}`);
+  }
+  return Object.values(filter).some(value => value !== null) ? filter : null;
+}
+
+// Does a capture's slate match the filter? Scene and project ignore case; text looks in the note.
+// (A capture without a slate only matches no filter at all.)
+function matchesSlate(slate, filter) {
+  if (!filter) return true;
+  if (!slate) return false;
+
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  if (filter.project && !same(slate.project, filter.project)) return false;
+  if (filter.scene && !same(slate.scene, filter.scene)) return false;
+  if (filter.take && slate.take !== filter.take) return false;
+  if (filter.rating && (slate.rating || 'none') !== filter.rating) return false;
+  if (filter.text && !String(slate.note || '').toLowerCase().includes(filter.text)) return false;
+  return true;
+}
+
+// Put a changed slate into the capture's manifest and sidecars → how many files were updated
+async function writeSlate(storage, folderName, slate) {
+  const prefix = `captures/${folderName}/`;
+  const files = (await storage.listObjects(prefix))
+    .filter(object => object.name === 'manifest.json' || /\.(webm|mp4)\.json$/i.test(object.name));
+
+  await Promise.all(files.map(async ({ name }) => {
+    const object = await storage.getObject(`${prefix}${name}`);
+    if (!object) return;
+    let data;
+    try {
+      data = JSON.parse(object.body.toString('utf8'));
+    } catch (error) {
+      return; // Not ours to fix
+    }
+    data.slate = slate;
+    await storage.putObject(`${prefix}${name}`, JSON.stringify(data, null, 2), 'application/json');
+  }));
+
+  return files.length;
+}
+
+module.exports = { RATINGS, newSlate, updateSlate, parseSlateFilter, matchesSlate, writeSlate };
@@ -0,0 +1,95 @@
+// State store - keeps the server's memory in a JSON file, so a crash or a restart in the
+// middle of a shoot picks up where it left off: same sessions, capture numbering, conductor
+// tokens, phone names/positions and unfinished captures.
+//
+//   load()    - read the file once at startup → saved state (or null if there's none yet)
+//   save()    - write the current state soon (collect() is asked for it); cheap to call often
+//   flush()   - write it right now, synchronously (on shutdown)
+//
+// The file is replaced in one go (write to a temp file, then rename), so a crash while
+// saving leaves the previous version, never half a file.
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+function createStateStore({ file, collect }) {
+  let pending = false; // A save is scheduled
+  let writing = null;  // Promise of the write in progress
+  let again = false;   // Something changed while writing - write once more afterwards
+
+  function serialize() {
+    return JSON.stringify({ version: STATE_VERSION, savedAt: Date.now(), ...collect() }, null, 2);
+  }
+
+  async function write() {
+    const tmpPath = `${file}.tmp-${process.pid}`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmpPath, serialize());
+    await fs.promises.rename(tmpPath, file);
+  }
+
+  function run() {
+    pending = false;
+    if (writing) {
+      again = true;
+      return;
+    }
+    writing = write()
+      .catch(error => console.error('⚠️ Could not save server state:', error.message))
+      .finally(() => {
+        writing = null;
+        if (again) {
+          again = false;
+          run();
+        }
+      });
+  }
+
+  return {
+    file,
+
+    load() {
+      let text;
+      try {
+        text = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      try {
+        const state = JSON.parse(text);
+        if (state.version !== STATE_VERSION) {
+          throw new Error(`version ${state.version}, expected ${STATE_VERSION}`);
+        }
+        return state;
+      } catch (error) {
+        // Keep the broken file for a look later, and start fresh rather than not at all
+        const brokenPath = `${file}.broken-${Date.now()}`;
+        fs.renameSync(file, brokenPath);
+        console.error(`⚠️ Saved state unreadable (${error.message}) - moved to ${brokenPath}, starting fresh`);
+        return null;
+      }
+    },
+
+    // Several changes in a row (one event often changes a few things) become one write
+    save() {
+      if (pending) return;
+      pending = true;
+      setImmediate(run);
+    },
+
+    flush() {
+      if (!pending && !writing) return;
+      pending = false;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpPath = `${file}.tmp-${process.pid}-sync`;
+      fs.writeFileSync(tmpPath, serialize());
+      fs.renameSync(tmpPath, file);
+    }
+  };
+}
+
+module.exports = { createStateStore };
@@ -0,0 +1,48 @@
+// Storage backends for captured videos
+// Every backend has the same shape, so the rest of the server doesn't care where files go:
+//   putObject(key, body, contentType)  - save a file
+//   listFolders(prefix)                - list folder names directly under a prefix
+//   listObjects(prefix)                - list files directly under a prefix ([{ name, size, lastModified }])
+//   getObject(key)                     - read a file back ({ body, contentType, size } or null)
+//   getObjectStream(key, range)        - stream a file, optionally just bytes start..end
+//                                        ({ stream, size, start, end, contentType } or null)
+//   deleteObject(key)                  - remove a file (no error if it isn't there)
+//
+// S3 can also take uploads straight from the phones (local can't - phones send clips through
+// the server there): createMultipartUpload, signPartUrl, listParts, completeMultipartUpload.
+
+const path = require('path');
+const { createS3Storage } = require('./s3');
+const { createLocalStorage } = require('./local');
+const { withPrefix } = require('./prefixed');
+
+// Pick a backend from environment variables (STORAGE_BACKEND=s3 | local)
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 's3').toLowerCase();
+
+  switch (backend) {
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET_NAME || 'retro-capture-videos',
+        region: env.AWS_REGION || 'us-east-1',
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        endpoint: env.S3_ENDPOINT || undefined,
+        publicEndpoint: env.S3_PUBLIC_ENDPOINT || undefined,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+      });
+    case 'local':
+      return createLocalStorage({
+        rootDir: env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage')
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use "s3" or "local")`);
+  }
+}
+
+// Can phones upload straight to this storage? (presigned multipart uploads)
+function supportsDirectUploads(storage) {
+  return typeof storage.signPartUrl === 'function';
+}
+
+module.exports = { createStorage, withPrefix, supportsDirectUploads };
@@ -0,0 +1,120 @@
+// Local filesystem storage backend
+// Stores captures on this computer's disk - works with no internet at all.
+// Uses the same layout as S3: <root>/captures/<folderName>/<file>
+
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.json': 'application/json'
+};
+
+function createLocalStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  // Turn an object key into a file path, refusing anything that escapes the root folder
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  function contentTypeOf(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  return {
+    name: 'local',
+    description: `local folder ${root}`,
+
+    async putObject(key, body, contentType) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temp file first so a crash never leaves a half-written clip
+      const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+      await fs.writeFile(tmpPath, body);
+      await fs.rename(tmpPath, filePath);
+    },
+
+    async listFolders(prefix) {
+      try {
+        const entries = await fs.readdir(resolveKey(prefix), { withFileTypes: true });
+        return entries
+          .filter(entry => entry.isDirectory())
+          .map(entry => entry.name)
+          .sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async listObjects(prefix) {
+      try {
+        const dir = resolveKey(prefix);
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const objects = [];
+        for (const entry of entries) {
+          // Skip folders and half-written temp files
+          if (!entry.isFile() || entry.name.includes('.tmp-')) continue;
+          const stat = await fs.stat(path.join(dir, entry.name));
+          objects.push({ name: entry.name, size: stat.size, lastModified: stat.mtime });
+        }
+        return objects.sort((a, b) => a.name.localeCompare(b.name));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async getObject(key) {
+      try {
+        const body = await fs.readFile(resolveKey(key));
+        return { body, contentType: contentTypeOf(key), size: body.length };
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+        throw error;
+      }
+    },
+
+    async getObjectStream(key, range) {
+      const filePath = resolveKey(key);
+      let stat;
+      try {
+        stat = await fs.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (!stat.isFile()) return null;
+
+      const start = range ? range.start : 0;
+      const end = range && range.end !== undefined ? Math.min(range.end, stat.size - 1) : stat.size - 1;
+      if (range && start >= stat.size) {
+        const error = new Error('Range not satisfiable');
+        error.name = 'InvalidRange'; // Same name S3 uses
+        throw error;
+      }
+
+      return {
+        stream: createReadStream(filePath, { start, end }),
+        size: stat.size,
+        start,
+        end,
+        contentType: contentTypeOf(key)
+      };
+    },
+
+    async deleteObject(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
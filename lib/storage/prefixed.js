@@ -0,0 +1,46 @@
+// Prefixed storage - wraps any backend so every key goes under one folder.
+// Used for rooms: a room sees "captures/..." but the files land in "rooms/<CODE>/captures/...".
+
+function withPrefix(storage, prefix) {
+  const prefixed = {
+    name: storage.name,
+    description: `${storage.description} (under ${prefix})`,
+
+    putObject(key, body, contentType) {
+      return storage.putObject(prefix + key, body, contentType);
+    },
+
+    listFolders(folderPrefix) {
+      return storage.listFolders(prefix + folderPrefix);
+    },
+
+    listObjects(folderPrefix) {
+      return storage.listObjects(prefix + folderPrefix);
+    },
+
+    getObject(key) {
+      return storage.getObject(prefix + key);
+    },
+
+    getObjectStream(key, range) {
+      return storage.getObjectStream(prefix + key, range);
+    },
+
+    deleteObject(key) {
+      return storage.deleteObject(prefix + key);
+    }
+  };
+
+  // Direct uploads only if the wrapped backend has them
+  if (storage.signPartUrl) {
+    Object.assign(prefixed, {
+      createMultipartUpload: (key, contentType) => storage.createMultipartUpload(prefix + key, contentType),
+      signPartUrl: (key, uploadId, partNumber, expiresInSec) => storage.signPartUrl(prefix + key, uploadId, partNumber, expiresInSec),
+      listParts: (key, uploadId) => storage.listParts(prefix + key, uploadId),
+      completeMultipartUpload: (key, uploadId, parts) => storage.completeMultipartUpload(prefix + key, uploadId, parts)
+    });
+  }
+  return prefixed;
+}
+
+module.exports = { withPrefix };
@@ -0,0 +1,201 @@
+// AWS S3 storage backend
+// Stores captures in an S3 bucket (the original setup). Also works with S3-compatible
+// servers (MinIO, LocalStack...) - set endpoint to their URL.
+//
+// Phones can upload clips straight to the bucket: the server starts a multipart upload
+// and hands out presigned URLs for its parts, so the bytes never pass through the server.
+
+const {
+  S3Client,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Helper: Run a paginated ListObjectsV2 and collect every page
+async function listAll(s3Client, params, collect) {
+  let continuationToken;
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      ...params,
+      ContinuationToken: continuationToken
+    }));
+    collect(response);
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+}
+
+// endpoint:       S3-compatible server to use instead of AWS (e.g. http://localhost:9000)
+// publicEndpoint: the same server as phones reach it, for presigned URLs (default: endpoint)
+function createS3Storage({ bucket, region, accessKeyId, secretAccessKey, endpoint, publicEndpoint, forcePathStyle }) {
+  function makeClient(clientEndpoint) {
+    return new S3Client({
+      region,
+      credentials: {
+        accessKeyId,
+        secretAccessKey
+      },
+      // Otherwise presigned part URLs carry a checksum of an empty body and S3 refuses the real one
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      ...(clientEndpoint ? { endpoint: clientEndpoint, forcePathStyle: forcePathStyle !== false } : {})
+    });
+  }
+
+  const s3Client = makeClient(endpoint);
+  // Presigned URLs are signed for one host - sign them for the one phones can reach
+  const presignClient = publicEndpoint && publicEndpoint !== endpoint ? makeClient(publicEndpoint) : s3Client;
+
+  return {
+    name: 's3',
+    description: `S3 bucket ${bucket}${endpoint ? ` at ${endpoint}` : ''}`,
+
+    // Save a file (Buffer or string) under the given key
+    async putObject(key, body, contentType) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    // List the "folders" directly under a prefix (e.g. 'captures/' → ['01_...', '02_...'])
+    async listFolders(prefix) {
+      const folders = [];
+      await listAll(s3Client, { Bucket: bucket, Prefix: prefix, Delimiter: '/' }, (response) => {
+        (response.CommonPrefixes || []).forEach(p => {
+          folders.push(p.Prefix.slice(prefix.length).replace(/\/$/, ''));
+        });
+      });
+      return folders;
+    },
+
+    // List the files directly under a prefix (not in sub-folders)
+    async listObjects(prefix) {
+      const objects = [];
+      await listAll(s3Client, { Bucket: bucket, Prefix: prefix, Delimiter: '/' }, (response) => {
+        (response.Contents || []).forEach(object => {
+          objects.push({
+            name: object.Key.slice(prefix.length),
+            size: object.Size,
+            lastModified: object.LastModified
+          });
+        });
+      });
+      return objects;
+    },
+
+    // Read a whole file back as a Buffer (null if it doesn't exist)
+    async getObject(key) {
+      try {
+        const response = await s3Client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key
+        }));
+        const body = Buffer.from(await response.Body.transformToByteArray());
+        return { body, contentType: response.ContentType, size: body.length };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    // Stream a file (or a byte range of it) without loading it all into memory
+    async getObjectStream(key, range) {
+      try {
+        const response = await s3Client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: range ? `bytes=${range.start}-${range.end === undefined ? '' : range.end}` : undefined
+        }));
+
+        // "bytes 0-99/1234" → total size 1234
+        const total = response.ContentRange
+          ? parseInt(response.ContentRange.split('/')[1], 10)
+          : response.ContentLength;
+        const start = range ? range.start : 0;
+
+        return {
+          stream: response.Body,
+          size: total,
+          start,
+          end: start + response.ContentLength - 1,
+          contentType: response.ContentType
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // === DIRECT UPLOADS (multipart) ===
+
+    // Start a multipart upload → its upload id
+    async createMultipartUpload(key, contentType) {
+      const response = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType
+      }));
+      return response.UploadId;
+    },
+
+    // Presigned URL a phone can PUT one part to (part numbers start at 1)
+    signPartUrl(key, uploadId, partNumber, expiresInSec) {
+      return getSignedUrl(presignClient, new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber
+      }), { expiresIn: expiresInSec });
+    },
+
+    // Parts that arrived so far → [{ partNumber, etag, size }] (null if the upload is gone)
+    async listParts(key, uploadId) {
+      const parts = [];
+      let marker;
+      try {
+        do {
+          const response = await s3Client.send(new ListPartsCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            PartNumberMarker: marker
+          }));
+          (response.Parts || []).forEach(part => {
+            parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+          });
+          marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+        } while (marker);
+      } catch (error) {
+        if (error.name === 'NoSuchUpload') return null;
+        throw error;
+      }
+      return parts;
+    },
+
+    // Glue the parts into one object (parts from listParts)
+    async completeMultipartUpload(key, uploadId, parts) {
+      await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,249 @@
+// Sync chirp decoder - finds the coded chirp (public/sync-chirp.js) in a clip's Opus audio
+// and reads back which capture and phone it came from.
+//
+//   1. decode the Opus track to 48kHz mono PCM (opusscript = libopus compiled to JS)
+//   2. cross-correlate with the 1→4 kHz sweep (via FFT) → exact sample where the chirp starts
+//      (first close to where the phone says it fired, then - if it isn't there - further around it)
+//   3. read the 24 bits after the sweep with a Goertzel filter on the 2 kHz / 3 kHz tones
+
+const OpusScript = require('opusscript');
+const { SYNC_CHIRP, decodeChirpPayload } = require('../public/sync-chirp');
+
+const RATE = SYNC_CHIRP.SAMPLE_RATE;
+const MIN_SCORE = 0.3;         // Normalized correlation needed to call it a match (1 = perfect)
+const SEARCH_BEFORE_MS = 1000; // With a hint: search this long before the expected moment...
+const SEARCH_AFTER_MS = 2000;  // ...and this long after (phones fire late, never early)
+const WIDE_SEARCH_MS = 10000;  // Not there: this long either side (not the whole clip - it runs on the main thread)
+const MAX_SEARCH_MS = 60000;   // Without a hint: only look at the first minute
+const BLOCK_MS = 10000;        // Long searches go this much at a time (keeps the FFTs small)
+
+// Decode the Opus track → { samples (Float32Array, mono), startMs (time of sample 0 from clip start) }
+function decodeOpusTrack(file) {
+  const track = file.tracks.find(t => t.type === 'audio' && t.codec === 'A_OPUS');
+  if (!track) return null;
+
+  const channels = track.channels || 1;
+  const base = file.clusters[0].time;
+  const ticksToMs = file.timecodeScale / 1e6;
+  // Decoded audio starts this much before the first packet's timestamp
+  const delayMs = Number.isFinite(track.opusPreSkip)
+    ? track.opusPreSkip / RATE * 1000
+    : (track.codecDelayNs || 0) / 1e6;
+
+  const packets = [];
+  file.clusters.forEach(cluster => cluster.blocks.forEach(block => {
+    if (block.track === track.number && block.frame) {
+      packets.push({ timeMs: (cluster.time + block.relative - base) * ticksToMs, frame: block.frame });
+    }
+  }));
+  if (packets.length === 0) return null;
+
+  const startMs = packets[0].timeMs - delayMs;
+  const lastMs = packets[packets.length - 1].timeMs;
+  const samples = new Float32Array(Math.ceil((lastMs - packets[0].timeMs + 200) / 1000 * RATE));
+
+  const decoder = new OpusScript(RATE, channels, OpusScript.Application.AUDIO);
+  try {
+    // Place every packet at its own timestamp so gaps in the recording don't shift the audio
+    packets.forEach(packet => {
+      let pcm;
+      try {
+        pcm = decoder.decode(packet.frame);
+      } catch (error) {
+        return; // One bad packet - skip it
+      }
+      const at = Math.round((packet.timeMs - packets[0].timeMs) / 1000 * RATE);
+      const frames = pcm.length / 2 / channels;
+      for (let i = 0; i < frames && at + i < samples.length; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) sum += pcm.readInt16LE((i * channels + c) * 2);
+        samples[at + i] = sum / channels / 32768;
+      }
+    });
+  } finally {
+    decoder.delete();
+  }
+
+  return { samples, startMs };
+}
+
+// The sweep exactly as the phone's oscillator makes it (linear frequency ramp)
+function sweepTemplate() {
+  const length = Math.round(SYNC_CHIRP.SWEEP_MS / 1000 * RATE);
+  const seconds = SYNC_CHIRP.SWEEP_MS / 1000;
+  const rate = (SYNC_CHIRP.SWEEP_TO_HZ - SYNC_CHIRP.SWEEP_FROM_HZ) / seconds;
+  const template = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / RATE;
+    template[i] = Math.sin(2 * Math.PI * (SYNC_CHIRP.SWEEP_FROM_HZ * t + rate * t * t / 2));
+  }
+  return template;
+}
+
+// In-place radix-2 FFT (re/im arrays of power-of-two length). inverse = true for IFFT (unscaled).
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+// Where does the sweep start in samples[from, to)? → { index, score } (score = normalized correlation)
+function findSweep(samples, from, to) {
+  const template = sweepTemplate();
+  const length = to - from;
+  if (length < template.length) return null;
+
+  let size = 1;
+  while (size < length + template.length) size <<= 1;
+
+  const xRe = new Float64Array(size);
+  const xIm = new Float64Array(size);
+  const tRe = new Float64Array(size);
+  const tIm = new Float64Array(size);
+  for (let i = 0; i < length; i++) xRe[i] = samples[from + i];
+  tRe.set(template);
+
+  fft(xRe, xIm, false);
+  fft(tRe, tIm, false);
+  // X · conj(T) → correlation after the inverse FFT
+  for (let i = 0; i < size; i++) {
+    const re = xRe[i] * tRe[i] + xIm[i] * tIm[i];
+    const im = xIm[i] * tRe[i] - xRe[i] * tIm[i];
+    xRe[i] = re;
+    xIm[i] = im;
+  }
+  fft(xRe, xIm, true);
+
+  // Normalize by the signal energy under the template, so loud noise doesn't win
+  const templateEnergy = template.reduce((sum, v) => sum + v * v, 0);
+  let energy = 0;
+  for (let i = 0; i < template.length; i++) energy += samples[from + i] ** 2;
+
+  let best = null;
+  for (let k = 0; k + template.length <= length; k++) {
+    if (k > 0) {
+      energy += samples[from + k + template.length - 1] ** 2 - samples[from + k - 1] ** 2;
+    }
+    if (energy <= 1e-9) continue;
+    const score = xRe[k] / size / Math.sqrt(energy * templateEnergy);
+    if (!best || score > best.score) best = { index: from + k, score };
+  }
+  return best;
+}
+
+// findSweep over a long stretch, one block at a time. Blocks overlap by a sweep
+// so one that straddles two blocks is still found whole.
+function findSweepInBlocks(samples, from, to) {
+  const block = Math.round(BLOCK_MS / 1000 * RATE);
+  const overlap = Math.round(SYNC_CHIRP.SWEEP_MS / 1000 * RATE);
+  let best = null;
+  for (let start = from; start < to; start += block) {
+    const match = findSweep(samples, start, Math.min(start + block + overlap, to));
+    if (match && (!best || match.score > best.score)) best = match;
+  }
+  return best;
+}
+
+// Energy of one frequency in samples[start, end)
+function goertzel(samples, start, end, frequency) {
+  const coeff = 2 * Math.cos(2 * Math.PI * frequency / RATE);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = start; i < end; i++) {
+    const s0 = samples[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+}
+
+// Read the payload bits that follow the sweep
+function readBits(samples, sweepStart) {
+  const bitLength = Math.round(SYNC_CHIRP.BIT_MS / 1000 * RATE);
+  const guard = Math.round(bitLength / 10); // Skip the edges where the tone switches
+  const first = sweepStart + Math.round(SYNC_CHIRP.SWEEP_MS / 1000 * RATE);
+
+  const bits = [];
+  for (let i = 0; i < SYNC_CHIRP.PAYLOAD_BITS; i++) {
+    const start = first + i * bitLength + guard;
+    const end = first + (i + 1) * bitLength - guard;
+    if (end > samples.length) return null;
+    bits.push(goertzel(samples, start, end, SYNC_CHIRP.ONE_HZ) > goertzel(samples, start, end, SYNC_CHIRP.ZERO_HZ) ? 1 : 0);
+  }
+  return bits;
+}
+
+// Find and decode the chirp in a parsed WebM (lib/webm.js).
+// hintMs: where it should be (ms from clip start) - looked at first, then WIDE_SEARCH_MS
+// either side of it. Without a hint only the first minute is searched.
+// Returns null if the clip has no Opus audio, else { found, ... }.
+function detectSyncChirp(file, { hintMs } = {}) {
+  const audio = decodeOpusTrack(file);
+  if (!audio) return null;
+
+  const { samples, startMs } = audio;
+  const toSample = (ms) => Math.min(Math.max(Math.round((ms - startMs) / 1000 * RATE), 0), samples.length);
+
+  let match;
+  if (Number.isFinite(hintMs)) {
+    match = findSweep(samples, toSample(hintMs - SEARCH_BEFORE_MS), toSample(hintMs + SEARCH_AFTER_MS + SYNC_CHIRP.DURATION_MS));
+    if (!match || match.score < MIN_SCORE) {
+      const wide = findSweepInBlocks(samples, toSample(hintMs - WIDE_SEARCH_MS), toSample(hintMs + WIDE_SEARCH_MS + SYNC_CHIRP.DURATION_MS));
+      if (wide && (!match || wide.score > match.score)) match = wide;
+    }
+  } else {
+    match = findSweepInBlocks(samples, 0, toSample(MAX_SEARCH_MS));
+  }
+  if (!match || match.score < MIN_SCORE) {
+    return { found: false, score: match ? round(match.score) : 0 };
+  }
+
+  const bits = readBits(samples, match.index);
+  const payload = bits ? decodeChirpPayload(bits) : { counter: null, deviceIndex: null, valid: false };
+  // Sample offset from the start of the clip (48kHz)
+  const sampleOffset = match.index + Math.round(startMs / 1000 * RATE);
+
+  return {
+    found: true,
+    sampleOffset,
+    sampleRate: RATE,
+    timeMs: round(sampleOffset / RATE * 1000),
+    score: round(match.score),
+    ...payload
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { detectSyncChirp, decodeOpusTrack };
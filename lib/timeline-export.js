@@ -0,0 +1,265 @@
+// Timeline export - turns one capture folder into a file an editor can import:
+//   FCPXML        (Final Cut Pro / DaVinci Resolve)
+//   CMX3600 EDL   (almost anything)
+//   Premiere XML  (Final Cut 7 "xmeml", which Premiere imports)
+// Every clip goes on its own track, placed using the timing the phones recorded,
+// so the editor gets a ready-synced multicam instead of lining up 30 beeps by hand.
+
+const DEFAULT_FPS = 30;
+const MAX_FPS = 120;
+const DEFAULT_WIDTH = 1920;
+const DEFAULT_HEIGHT = 1080;
+// NTSC rates → their timebase. They really run at timebase × 1000/1001 (29.97 = 30000/1001)
+const NTSC_RATES = { '23.976': 24, '29.97': 30, '59.94': 60 };
+
+// Frame rate asked for (?fps= / --fps, number or text) → { fps, timebase, ntsc }
+//   fps      - real frames per second (what clip times are counted in)
+//   timebase - whole frames per second the formats write (timecode counts in these)
+// Whole numbers 1-120 or an NTSC rate; anything else throws (400) - editors refuse other rates.
+function parseFrameRate(value) {
+  const text = value === undefined || value === null || value === '' ? String(DEFAULT_FPS) : String(value).trim();
+  if (NTSC_RATES[text]) {
+    const timebase = NTSC_RATES[text];
+    return { fps: timebase * 1000 / 1001, timebase, ntsc: true };
+  }
+  const fps = Number(text);
+  if (/^\d+$/.test(text) && fps >= 1 && fps <= MAX_FPS) {
+    return { fps, timebase: fps, ntsc: false };
+  }
+  const error = new Error(`fps must be a whole number from 1 to ${MAX_FPS}, or ${Object.keys(NTSC_RATES).join(', ')}`);
+  error.status = 400;
+  throw error;
+}
+
+// Helper: Escape text for XML
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// When did this clip start, on the server clock? Uses the best timing data available:
+//   1. clipStartServerTime   - phones with the ring buffer + clock sync
+//   2. capture time - captureOffsetMs
+//   3. localTimestamp corrected by the clock offset, minus duration (oldest clips)
+function clipStartTime(metadata) {
+  if (Number.isFinite(metadata.clipStartServerTime)) {
+    return metadata.clipStartServerTime;
+  }
+
+  const captureTime = metadata.executeAt || metadata.captureTimestamp;
+  if (Number.isFinite(captureTime) && Number.isFinite(metadata.captureOffsetMs)) {
+    return captureTime - metadata.captureOffsetMs;
+  }
+
+  const offset = (metadata.clockSync && metadata.clockSync.offsetMs) || 0;
+  return (metadata.localTimestamp || 0) + offset - (metadata.duration || 0);
+}
+
+// Real length from the server's file check (lib/webm.js, lib/mp4.js), else what the phone reported
+function clipDuration(metadata) {
+  if (metadata.media && Number.isFinite(metadata.media.durationMs)) {
+    return metadata.media.durationMs;
+  }
+  return metadata.duration || 0;
+}
+
+// Work out where every clip sits on the timeline (in frames)
+// clips: [{ filename, metadata }], fps: anything parseFrameRate takes
+function buildTimeline({ folderName, clips, fps: fpsValue = DEFAULT_FPS, mediaRoot = '' }) {
+  const { fps, timebase, ntsc } = parseFrameRate(fpsValue);
+  const usable = clips
+    .filter(clip => clip.metadata)
+    .map(clip => ({ ...clip, startTime: clipStartTime(clip.metadata) }));
+
+  if (usable.length === 0) {
+    throw new Error('No clips with metadata in this capture');
+  }
+
+  const origin = Math.min(...usable.map(clip => clip.startTime));
+  const first = usable[0].metadata;
+  const firstVideo = (first.media && first.media.video) || {};
+
+  const tracks = usable
+    // Rig order: camera position 1 on track 1 (phones without a position go last)
+    .sort((a, b) => (a.metadata.position || Infinity) - (b.metadata.position || Infinity) ||
+      a.filename.localeCompare(b.filename))
+    .map((clip, index) => {
+      const durationFrames = Math.max(1, Math.round(clipDuration(clip.metadata) / 1000 * fps));
+      const offsetFrames = Math.round((clip.startTime - origin) / 1000 * fps);
+      return {
+        index: index + 1,
+        filename: clip.filename,
+        name: clip.metadata.deviceName || clip.metadata.deviceId || clip.filename,
+        path: `${mediaRoot}${clip.filename}`,
+        offsetFrames,
+        durationFrames,
+        // Where the beep is, in frames from the start of the timeline (for a marker)
+        captureFrame: Number.isFinite(clip.metadata.captureOffsetMs)
+          ? offsetFrames + Math.round(clip.metadata.captureOffsetMs / 1000 * fps)
+          : null
+      };
+    });
+
+  return {
+    name: folderName,
+    fps,
+    timebase,
+    ntsc,
+    width: first.width || firstVideo.width || DEFAULT_WIDTH,
+    height: first.height || firstVideo.height || DEFAULT_HEIGHT,
+    durationFrames: Math.max(...tracks.map(track => track.offsetFrames + track.durationFrames)),
+    tracks
+  };
+}
+
+// Frames → "HH:MM:SS:FF" (non-drop-frame: counts whole timebase frames, as NTSC NDF timecode does)
+function toTimecode(frames, timebase, startHours = 0) {
+  const total = frames + startHours * 3600 * timebase;
+  const ff = total % timebase;
+  const seconds = Math.floor(total / timebase);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}:${pad(ff)}`;
+}
+
+// FCPXML: one gap on the spine spanning the whole capture, each clip connected on its own lane
+function toFcpxml(timeline) {
+  const { timebase, ntsc, tracks } = timeline;
+  // Times are rationals: frames/30s, or for NTSC frames×1001/30000s
+  const t = (frames) => (ntsc ? `${frames * 1001}/${timebase * 1000}s` : `${frames}/${timebase}s`);
+
+  const assets = tracks.map(track => `
+    <asset id="a${track.index}" name="${xmlEscape(track.filename)}" start="0s" duration="${t(track.durationFrames)}" hasVideo="1" hasAudio="1" format="r1">
+      <media-rep kind="original-media" src="${xmlEscape(encodeURI(`file://${track.path}`))}"/>
+    </asset>`).join('');
+
+  const clips = tracks.map(track => `
+              <asset-clip ref="a${track.index}" lane="${track.index}" name="${xmlEscape(track.name)}" offset="${t(track.offsetFrames)}" start="0s" duration="${t(track.durationFrames)}">${track.captureFrame === null ? '' : `
+                <marker start="${t(track.captureFrame - track.offsetFrames)}" duration="${t(1)}" value="Capture"/>`}
+              </asset-clip>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.9">
+  <resources>
+    <format id="r1" name="RetroCapture${timeline.height}p${ntsc ? Math.round(timeline.fps * 100) : timebase}" frameDuration="${t(1)}" width="${timeline.width}" height="${timeline.height}"/>${assets}
+  </resources>
+  <library>
+    <event name="${xmlEscape(timeline.name)}">
+      <project name="${xmlEscape(timeline.name)}">
+        <sequence format="r1" duration="${t(timeline.durationFrames)}" tcStart="0s" tcFormat="NDF">
+          <spine>
+            <gap name="Capture" offset="0s" start="0s" duration="${t(timeline.durationFrames)}">${clips}
+            </gap>
+          </spine>
+        </sequence>
+      </project>
+    </event>
+  </library>
+</fcpxml>
+`;
+}
+
+// CMX3600 EDL. The format only has ONE video track, so each clip is an event whose
+// record in/out is its synced position; the comment lines say which track it belongs on
+// (Resolve and Premiere stack overlapping events onto separate tracks when importing).
+function toEdl(timeline) {
+  const { timebase: fps, tracks } = timeline;
+  const lines = [`TITLE: ${timeline.name}`, 'FCM: NON-DROP FRAME', ''];
+
+  tracks.forEach(track => {
+    const event = String(track.index).padStart(3, '0');
+    // Reel names are max 8 characters in CMX3600
+    const reel = `CAM${String(track.index).padStart(3, '0')}`.padEnd(8, ' ');
+    const srcIn = toTimecode(0, fps);
+    const srcOut = toTimecode(track.durationFrames, fps);
+    const recIn = toTimecode(track.offsetFrames, fps, 1);
+    const recOut = toTimecode(track.offsetFrames + track.durationFrames, fps, 1);
+
+    lines.push(`${event}  ${reel} AA/V  C        ${srcIn} ${srcOut} ${recIn} ${recOut}`);
+    lines.push(`* FROM CLIP NAME: ${track.filename}`);
+    lines.push(`* TRACK: V${track.index} (${track.name})`);
+    if (track.captureFrame !== null) {
+      lines.push(`* CAPTURE AT: ${toTimecode(track.captureFrame, fps, 1)}`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+// Premiere XML (xmeml v4): one video track + one audio track per clip
+function toPremiereXml(timeline) {
+  const { timebase, ntsc, tracks } = timeline;
+  const rate = `<rate><timebase>${timebase}</timebase><ntsc>${ntsc ? 'TRUE' : 'FALSE'}</ntsc></rate>`;
+
+  const fileElement = (track) => `<file id="file-${track.index}">
+              <name>${xmlEscape(track.filename)}</name>
+              <pathurl>${xmlEscape(encodeURI(`file://${track.path}`))}</pathurl>
+              ${rate}
+              <duration>${track.durationFrames}</duration>
+              <media>
+                <video><samplecharacteristics>${rate}<width>${timeline.width}</width><height>${timeline.height}</height></samplecharacteristics></video>
+                <audio><channelcount>1</channelcount></audio>
+              </media>
+            </file>`;
+
+  const clipItem = (track, kind) => `
+        <track>
+          <clipitem id="clipitem-${kind}${track.index}">
+            <name>${xmlEscape(track.name)}</name>
+            <duration>${track.durationFrames}</duration>
+            ${rate}
+            <start>${track.offsetFrames}</start>
+            <end>${track.offsetFrames + track.durationFrames}</end>
+            <in>0</in>
+            <out>${track.durationFrames}</out>
+            ${kind === 'v' ? fileElement(track) : `<file id="file-${track.index}"/>`}${kind === 'a' ? `
+            <sourcetrack><mediatype>audio</mediatype><trackindex>1</trackindex></sourcetrack>` : ''}
+          </clipitem>
+        </track>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE xmeml>
+<xmeml version="4">
+  <sequence id="sequence-1">
+    <name>${xmlEscape(timeline.name)}</name>
+    <duration>${timeline.durationFrames}</duration>
+    ${rate}
+    <media>
+      <video>
+        <format><samplecharacteristics>${rate}<width>${timeline.width}</width><height>${timeline.height}</height></samplecharacteristics></format>${tracks.map(track => clipItem(track, 'v')).join('')}
+      </video>
+      <audio>${tracks.map(track => clipItem(track, 'a')).join('')}
+      </audio>
+    </media>
+  </sequence>
+</xmeml>
+`;
+}
+
+const EXPORT_FORMATS = {
+  fcpxml: { extension: 'fcpxml', contentType: 'application/xml', render: toFcpxml },
+  edl: { extension: 'edl', contentType: 'text/plain', render: toEdl },
+  premiere: { extension: 'xml', contentType: 'application/xml', render: toPremiereXml }
+};
+
+// Render one capture in one format → { filename, contentType, body }
+function exportTimeline(format, options) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const timeline = buildTimeline(options);
+  return {
+    filename: `${options.folderName.replace(/\//g, '_')}.${exporter.extension}`, // (nested folders → one flat name)
+    contentType: exporter.contentType,
+    body: exporter.render(timeline)
+  };
+}
+
+module.exports = { exportTimeline, buildTimeline, parseFrameRate, EXPORT_FORMATS };
@@ -0,0 +1,125 @@
+// Upload authorization - only clips the server asked for get into storage.
+//
+// With every capture the server gives each phone a signed upload token that says
+// "this phone may upload one clip for this capture in this room". Uploads without a
+// valid token are refused, and the folder/file names and size in the metadata are
+// checked before anything is written - so nobody can pick their own storage keys,
+// overwrite another phone's clips or fill the bucket.
+//
+// Token: base64url(JSON { room, folderName, deviceId, clipName, expiresAt }) + "." + HMAC-SHA256 of it.
+// It carries everything needed to check it, so it works even if the server restarts
+// (as long as UPLOAD_TOKEN_SECRET stays the same).
+
+const crypto = require('crypto');
+const { isValidDeviceId } = require('./device-registry');
+
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // Phones keep retrying for a long time (offline, reloads...)
+// (capture folders may be nested - "Project/Scene/Take", see lib/naming.js)
+const FOLDER_NAME_PATTERN = /^(?=.{1,200}$)[A-Za-z0-9][A-Za-z0-9_.-]*(\/[A-Za-z0-9][A-Za-z0-9_.-]*)*$/;
+const FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,199}\.(webm|mp4)$/;
+const CONTENT_TYPES = ['video/webm', 'video/mp4'];
+
+// Thrown for every refused upload. code says why (also sent to the phone):
+//   401 missing-token      403 invalid-token, expired-token, wrong-capture
+//   400 invalid-metadata, invalid-folder, invalid-filename, invalid-size
+//   413 too-large          415 unsupported-type
+class UploadError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function createUploadTokens({ secret = crypto.randomBytes(32).toString('base64url'), ttlMs = TOKEN_TTL_MS } = {}) {
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  return {
+    // Token for one phone's clip of one capture (clipName: the name the server gave it, no extension)
+    issue({ room, folderName, deviceId, clipName = null }, now = Date.now()) {
+      const payload = Buffer.from(JSON.stringify({ room, folderName, deviceId, clipName, expiresAt: now + ttlMs })).toString('base64url');
+      return `${payload}.${sign(payload)}`;
+    },
+
+    // Check a token → { room, folderName, deviceId, clipName, expiresAt }. Throws UploadError.
+    verify(token, now = Date.now()) {
+      if (!token) throw new UploadError(401, 'missing-token', 'Upload token missing');
+
+      const [payload, signature, extra] = String(token).split('.');
+      // (Buffer lengths, not string lengths - timingSafeEqual throws on a multibyte mismatch)
+      const given = Buffer.from(signature || '');
+      const expected = Buffer.from(payload ? sign(payload) : '');
+      if (!signature || extra !== undefined || given.length !== expected.length ||
+          !crypto.timingSafeEqual(given, expected)) {
+        throw new UploadError(403, 'invalid-token', 'Upload token is not valid');
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!(claims.expiresAt > now)) {
+        throw new UploadError(403, 'expired-token', 'Upload token has expired');
+      }
+      return claims;
+    }
+  };
+}
+
+// Check a clip's metadata against its token before it's stored.
+// Returns the checked metadata (filename tidied up, token removed - it doesn't belong in the sidecar).
+//   size:        bytes actually received (or announced, for uploads not sent yet)
+//   contentType: type the upload declared (multipart file type, or metadata.mimeType)
+function checkUpload(tokens, metadata, { size, contentType, maxBytes }) {
+  if (!metadata || typeof metadata !== 'object') {
+    throw new UploadError(400, 'invalid-metadata', 'Clip metadata missing');
+  }
+
+  const claims = tokens.verify(metadata.uploadToken);
+  const folderName = metadata.folderName || metadata.sessionId;
+  if (String(folderName) !== claims.folderName || metadata.deviceId !== claims.deviceId ||
+      (metadata.room || null) !== (claims.room || null)) {
+    throw new UploadError(403, 'wrong-capture', 'Upload token is for another capture or phone');
+  }
+  if (!FOLDER_NAME_PATTERN.test(claims.folderName) || claims.folderName.includes('..') || !isValidDeviceId(claims.deviceId)) {
+    throw new UploadError(400, 'invalid-folder', 'Invalid capture folder');
+  }
+
+  // Only a plain name (no folders), and it must be the name the server gave this phone -
+  // so it can't replace another phone's clip (older tokens: it must contain the phone's ID)
+  const filename = String(metadata.filename || '').split(/[\\/]/).pop();
+  if (!FILENAME_PATTERN.test(filename)) {
+    throw new UploadError(400, 'invalid-filename', 'Clip name must be letters, numbers, "_-." ending in .webm or .mp4');
+  }
+  if (claims.clipName) {
+    if (filename.replace(/\.(webm|mp4)$/, '') !== claims.clipName) {
+      throw new UploadError(400, 'invalid-filename', `Clip name must be "${claims.clipName}" (.webm or .mp4)`);
+    }
+  } else {
+    const shortId = claims.deviceId.replace(/[^A-Za-z0-9]/g, '').slice(-8);
+    if (!filename.includes(shortId)) {
+      throw new UploadError(400, 'invalid-filename', `Clip name must contain "${shortId}"`);
+    }
+  }
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw new UploadError(400, 'invalid-size', 'Clip is empty');
+  }
+  if (size > maxBytes) {
+    throw new UploadError(413, 'too-large', `Clip is over ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  }
+  if (Number.isInteger(metadata.size) && metadata.size !== size) {
+    throw new UploadError(400, 'invalid-size', `Clip is ${size} bytes, metadata says ${metadata.size}`);
+  }
+
+  const baseType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!CONTENT_TYPES.includes(baseType)) {
+    throw new UploadError(415, 'unsupported-type', `Only WebM and MP4 clips are accepted (got ${baseType || 'no type'})`);
+  }
+
+  const checked = { ...metadata, folderName: claims.folderName, filename };
+  delete checked.uploadToken;
+  return checked;
+}
+
+module.exports = { createUploadTokens, checkUpload, UploadError };
@@ -0,0 +1,552 @@
+// WebM (EBML) reader/writer - pure JavaScript, no ffmpeg needed
+//
+// MediaRecorder writes WebM "live": no Duration, no Cues (seek index), and sizes
+// marked as unknown. Many players then can't seek or show the length. Here we:
+//   parseWebm(buffer)  - read the file, rejecting corrupted or truncated uploads
+//   describeWebm(file) - duration, codecs, resolution and cluster timecodes (for the .json sidecar)
+//   remuxWebm(file)    - write it back out with Duration, Cues and proper sizes
+// Frames are copied as-is - nothing is ever re-encoded.
+
+// Element IDs (with their length marker bits, as they appear in the file)
+const ID = {
+  EBML: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  AUDIO: 0xE1,
+  SAMPLING_FREQUENCY: 0xB5,
+  CHANNELS: 0x9F,
+  CODEC_DELAY: 0x56AA,
+  CODEC_PRIVATE: 0x63A2,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  POSITION: 0xA7,
+  PREV_SIZE: 0xAB,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  REFERENCE_BLOCK: 0xFB,
+  CUES: 0x1C53BB6B,
+  CUE_POINT: 0xBB,
+  CUE_TIME: 0xB3,
+  CUE_TRACK_POSITIONS: 0xB7,
+  CUE_TRACK: 0xF7,
+  CUE_CLUSTER_POSITION: 0xF1,
+  VOID: 0xEC
+};
+
+// Elements that live directly in the Segment (they end an unknown-size Cluster)
+const SEGMENT_LEVEL_IDS = new Set([
+  ID.SEEK_HEAD, ID.INFO, ID.TRACKS, ID.CLUSTER, ID.CUES,
+  0x1254C367, // Tags
+  0x1043A770, // Chapters
+  0x1941A469  // Attachments
+]);
+
+const TRACK_TYPES = { 1: 'video', 2: 'audio' };
+
+// Thrown for uploads that aren't a usable WebM file (422 - resending won't help)
+class WebmError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebmError';
+    this.status = 422;
+  }
+}
+
+// === READING ===
+
+// Read an element header at pos → { id, size (null = unknown), dataStart } or null if cut off
+function readHeader(buf, pos) {
+  if (pos >= buf.length) return null;
+
+  const idLength = vintLength(buf[pos], 4);
+  if (!idLength) throw new WebmError(`Invalid element id at byte ${pos}`);
+  if (pos + idLength >= buf.length) return null;
+  const id = buf.readUIntBE(pos, idLength);
+
+  const sizePos = pos + idLength;
+  const sizeLength = vintLength(buf[sizePos], 8);
+  if (!sizeLength) throw new WebmError(`Invalid element size at byte ${sizePos}`);
+  if (sizePos + sizeLength > buf.length) return null;
+
+  let size = buf[sizePos] & (0xFF >> sizeLength);
+  let allOnes = size === (0xFF >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) {
+    size = size * 256 + buf[sizePos + i];
+    if (buf[sizePos + i] !== 0xFF) allOnes = false;
+  }
+
+  return { id, size: allOnes ? null : size, dataStart: sizePos + sizeLength };
+}
+
+// Number of bytes in a variable-length integer, from its first byte (0 = invalid)
+function vintLength(firstByte, max) {
+  for (let length = 1; length <= max; length++) {
+    if (firstByte & (0x80 >> (length - 1))) return length;
+  }
+  return 0;
+}
+
+// Read the children of a master element with a known size → [{ id, dataStart, end }]
+function readChildren(buf, start, end) {
+  const children = [];
+  let pos = start;
+  while (pos < end) {
+    const header = readHeader(buf, pos);
+    if (!header || header.size === null || header.dataStart + header.size > end) {
+      throw new WebmError(`Corrupted element at byte ${pos}`);
+    }
+    children.push({ id: header.id, start: pos, dataStart: header.dataStart, end: header.dataStart + header.size });
+    pos = header.dataStart + header.size;
+  }
+  return children;
+}
+
+function readUint(buf, el) {
+  const length = el.end - el.dataStart;
+  if (length === 0) return 0;
+  if (length > 6) {
+    // Bigger than readUIntBE handles - still fine as a (possibly rounded) number
+    let value = 0;
+    for (let i = el.dataStart; i < el.end; i++) value = value * 256 + buf[i];
+    return value;
+  }
+  return buf.readUIntBE(el.dataStart, length);
+}
+
+function readFloat(buf, el) {
+  const length = el.end - el.dataStart;
+  if (length === 4) return buf.readFloatBE(el.dataStart);
+  if (length === 8) return buf.readDoubleBE(el.dataStart);
+  return 0;
+}
+
+function readString(buf, el) {
+  return buf.toString('utf8', el.dataStart, el.end).replace(/\0+$/, '');
+}
+
+function parseTracks(buf, tracksEl) {
+  return readChildren(buf, tracksEl.dataStart, tracksEl.end)
+    .filter(el => el.id === ID.TRACK_ENTRY)
+    .map(entry => {
+      const track = { number: null, type: null, codec: null };
+      readChildren(buf, entry.dataStart, entry.end).forEach(el => {
+        if (el.id === ID.TRACK_NUMBER) track.number = readUint(buf, el);
+        if (el.id === ID.TRACK_TYPE) track.type = TRACK_TYPES[readUint(buf, el)] || String(readUint(buf, el));
+        if (el.id === ID.CODEC_ID) track.codec = readString(buf, el);
+        if (el.id === ID.CODEC_DELAY) track.codecDelayNs = readUint(buf, el);
+        // Opus: samples the decoder outputs before the real audio starts ("pre-skip")
+        if (el.id === ID.CODEC_PRIVATE && el.end - el.dataStart >= 12 &&
+            buf.toString('latin1', el.dataStart, el.dataStart + 8) === 'OpusHead') {
+          track.opusPreSkip = buf.readUInt16LE(el.dataStart + 10);
+        }
+        if (el.id === ID.VIDEO) {
+          readChildren(buf, el.dataStart, el.end).forEach(v => {
+            if (v.id === ID.PIXEL_WIDTH) track.width = readUint(buf, v);
+            if (v.id === ID.PIXEL_HEIGHT) track.height = readUint(buf, v);
+          });
+        }
+        if (el.id === ID.AUDIO) {
+          readChildren(buf, el.dataStart, el.end).forEach(a => {
+            if (a.id === ID.SAMPLING_FREQUENCY) track.sampleRate = readFloat(buf, a);
+            if (a.id === ID.CHANNELS) track.channels = readUint(buf, a);
+          });
+        }
+      });
+      return track;
+    });
+}
+
+// Read one block (SimpleBlock or BlockGroup) → { track, relative, keyframe, bytes, frame }
+// frame = the codec data (null if the block packs several laced frames)
+function parseBlock(buf, el) {
+  let blockStart = el.dataStart;
+  let blockEnd = el.end;
+  let keyframe;
+
+  if (el.id === ID.BLOCK_GROUP) {
+    // A BlockGroup is a keyframe unless it references another frame
+    keyframe = true;
+    readChildren(buf, el.dataStart, el.end).forEach(child => {
+      if (child.id === ID.BLOCK) {
+        blockStart = child.dataStart;
+        blockEnd = child.end;
+      }
+      if (child.id === ID.REFERENCE_BLOCK) keyframe = false;
+    });
+  }
+
+  const trackLength = vintLength(buf[blockStart], 8);
+  if (!trackLength || blockStart + trackLength + 3 > el.end) {
+    throw new WebmError(`Corrupted block at byte ${el.start}`);
+  }
+
+  let track = buf[blockStart] & (0xFF >> trackLength);
+  for (let i = 1; i < trackLength; i++) track = track * 256 + buf[blockStart + i];
+
+  const relative = buf.readInt16BE(blockStart + trackLength);
+  const flags = buf[blockStart + trackLength + 2];
+  if (el.id === ID.SIMPLE_BLOCK) {
+    keyframe = (flags & 0x80) !== 0;
+  }
+  const laced = (flags & 0x06) !== 0;
+
+  return {
+    track,
+    relative,
+    keyframe,
+    bytes: buf.subarray(el.start, el.end),
+    frame: laced ? null : buf.subarray(blockStart + trackLength + 3, blockEnd)
+  };
+}
+
+// Parse a whole WebM file. Throws WebmError if it's corrupted or truncated.
+function parseWebm(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 4) {
+    throw new WebmError('File is empty');
+  }
+
+  // EBML header
+  const ebml = readHeader(buf, 0);
+  if (!ebml || ebml.id !== ID.EBML) {
+    throw new WebmError('Not a WebM file (missing EBML header)');
+  }
+  if (ebml.size === null || ebml.dataStart + ebml.size > buf.length) {
+    throw new WebmError('Truncated EBML header');
+  }
+  const ebmlEnd = ebml.dataStart + ebml.size;
+  const docTypeEl = readChildren(buf, ebml.dataStart, ebmlEnd).find(el => el.id === ID.DOC_TYPE);
+  const docType = docTypeEl ? readString(buf, docTypeEl) : null;
+  if (docType !== 'webm' && docType !== 'matroska') {
+    throw new WebmError(`Unsupported DocType "${docType}"`);
+  }
+
+  // Segment (often "unknown size" from MediaRecorder = runs to the end of the file)
+  const segment = readHeader(buf, ebmlEnd);
+  if (!segment || segment.id !== ID.SEGMENT) {
+    throw new WebmError('Missing Segment');
+  }
+  const segmentEnd = segment.size === null ? buf.length : segment.dataStart + segment.size;
+  if (segmentEnd > buf.length) {
+    throw new WebmError(`Truncated file (Segment needs ${segmentEnd} bytes, got ${buf.length})`);
+  }
+
+  const file = {
+    buffer: buf,
+    docType,
+    ebmlHeader: buf.subarray(0, ebmlEnd),
+    timecodeScale: 1000000, // nanoseconds per tick (default = 1ms)
+    infoChildren: [],       // raw Info children (Duration is left out - we write our own)
+    tracksBytes: null,
+    tracks: [],
+    clusters: []            // { time (ticks), blocks: [{ track, relative, keyframe, bytes }] }
+  };
+
+  let pos = segment.dataStart;
+  while (pos < segmentEnd) {
+    const header = readHeader(buf, pos);
+    if (!header) {
+      throw new WebmError(`Truncated file (cut off inside an element header at byte ${pos})`);
+    }
+
+    if (header.id === ID.CLUSTER) {
+      pos = parseCluster(buf, header, segmentEnd, file);
+      continue;
+    }
+
+    if (header.size === null) {
+      throw new WebmError(`Unknown-size element ${header.id.toString(16)} at byte ${pos}`);
+    }
+    const end = header.dataStart + header.size;
+    if (end > segmentEnd) {
+      throw new WebmError(`Truncated file (element at byte ${pos} runs past the end)`);
+    }
+    const el = { id: header.id, start: pos, dataStart: header.dataStart, end };
+
+    if (header.id === ID.INFO) {
+      readChildren(buf, el.dataStart, el.end).forEach(child => {
+        if (child.id === ID.TIMECODE_SCALE) file.timecodeScale = readUint(buf, child) || 1000000;
+        if (child.id !== ID.DURATION) file.infoChildren.push(buf.subarray(child.start, child.end));
+      });
+    } else if (header.id === ID.TRACKS) {
+      file.tracksBytes = buf.subarray(el.start, el.end);
+      file.tracks = parseTracks(buf, el);
+    }
+    // SeekHead, Cues, Void etc. are dropped - remuxWebm writes fresh ones
+
+    pos = end;
+  }
+
+  // Sanity checks
+  if (file.tracks.length === 0) {
+    throw new WebmError('No tracks');
+  }
+  const trackNumbers = new Set(file.tracks.map(track => track.number));
+  const blockCount = file.clusters.reduce((sum, cluster) => sum + cluster.blocks.length, 0);
+  if (blockCount === 0) {
+    throw new WebmError('No video/audio frames');
+  }
+  file.clusters.forEach(cluster => cluster.blocks.forEach(block => {
+    if (!trackNumbers.has(block.track)) {
+      throw new WebmError(`Frame for unknown track ${block.track}`);
+    }
+  }));
+
+  return file;
+}
+
+// Read a cluster starting at header; returns the position just after it
+function parseCluster(buf, header, segmentEnd, file) {
+  const clusterEnd = header.size === null ? segmentEnd : header.dataStart + header.size;
+  if (clusterEnd > segmentEnd) {
+    throw new WebmError(`Truncated file (cluster at byte ${header.dataStart} runs past the end)`);
+  }
+
+  const cluster = { time: null, blocks: [] };
+  let pos = header.dataStart;
+
+  while (pos < clusterEnd) {
+    const child = readHeader(buf, pos);
+    if (!child) {
+      throw new WebmError(`Truncated file (cut off inside a cluster at byte ${pos})`);
+    }
+    // Unknown-size cluster ends where the next segment-level element starts
+    if (header.size === null && SEGMENT_LEVEL_IDS.has(child.id)) break;
+
+    if (child.size === null || child.dataStart + child.size > clusterEnd) {
+      throw new WebmError(`Truncated file (frame at byte ${pos} is cut off)`);
+    }
+    const el = { id: child.id, start: pos, dataStart: child.dataStart, end: child.dataStart + child.size };
+
+    if (el.id === ID.TIMECODE) {
+      cluster.time = readUint(buf, el);
+    } else if (el.id === ID.SIMPLE_BLOCK || el.id === ID.BLOCK_GROUP) {
+      cluster.blocks.push(parseBlock(buf, el));
+    }
+    pos = el.end;
+  }
+
+  if (cluster.time === null) {
+    throw new WebmError(`Cluster without a timecode at byte ${header.dataStart}`);
+  }
+  file.clusters.push(cluster);
+  return pos;
+}
+
+// === DESCRIBING ===
+
+// Frame times in ticks, by track
+function frameTimes(file, trackNumber) {
+  const times = [];
+  file.clusters.forEach(cluster => cluster.blocks.forEach(block => {
+    if (block.track === trackNumber) times.push(cluster.time + block.relative);
+  }));
+  return times;
+}
+
+// Typical gap between video frames (ticks) - used as the last frame's duration
+function frameInterval(file) {
+  const video = file.tracks.find(track => track.type === 'video');
+  const times = video ? frameTimes(file, video.number) : [];
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) gaps.push(times[i] - times[i - 1]);
+  }
+  if (gaps.length === 0) return Math.round(33333333 / file.timecodeScale); // ~30fps
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+// First and last frame time (ticks) over every track
+function timeRange(file) {
+  let first = Infinity;
+  let last = -Infinity;
+  file.clusters.forEach(cluster => cluster.blocks.forEach(block => {
+    const time = cluster.time + block.relative;
+    first = Math.min(first, time);
+    last = Math.max(last, time);
+  }));
+  return { first, last };
+}
+
+// Is this cluster's first video frame a keyframe? (= a place players can seek to)
+function clusterStartsWithKeyframe(cluster, videoTrack) {
+  const firstVideo = cluster.blocks.find(block => videoTrack === undefined || block.track === videoTrack);
+  return !!firstVideo && firstVideo.keyframe;
+}
+
+// Everything worth knowing about the file, for the .json sidecar (times in ms)
+function describeWebm(file) {
+  const ms = (ticks) => Math.round(ticks * file.timecodeScale / 1e6 * 1000) / 1000;
+  const video = file.tracks.find(track => track.type === 'video');
+  const audio = file.tracks.find(track => track.type === 'audio');
+  const { first, last } = timeRange(file);
+  const base = file.clusters[0].time;
+
+  return {
+    container: 'webm',
+    durationMs: ms(last - Math.min(first, base) + frameInterval(file)),
+    startTimecodeMs: ms(base),
+    video: video ? { codec: video.codec, width: video.width || null, height: video.height || null } : null,
+    audio: audio ? { codec: audio.codec, sampleRate: audio.sampleRate || null, channels: audio.channels || null } : null,
+    frames: video ? frameTimes(file, video.number).length : 0,
+    startsWithKeyframe: clusterStartsWithKeyframe(file.clusters[0], video && video.number),
+    clusters: file.clusters.map(cluster => ({
+      timeMs: ms(cluster.time - base),
+      keyframe: clusterStartsWithKeyframe(cluster, video && video.number)
+    }))
+  };
+}
+
+// === WRITING ===
+
+function encodeId(id) {
+  const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+  const out = Buffer.alloc(length);
+  out.writeUIntBE(id, 0, length);
+  return out;
+}
+
+// Variable-length size; length can be forced (e.g. 8) so positions are predictable
+function encodeSize(size, length) {
+  if (!length) {
+    length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  }
+  const out = Buffer.alloc(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  out[0] |= 0x80 >> (length - 1);
+  return out;
+}
+
+function element(id, data) {
+  return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+function uintElement(id, value, length) {
+  if (!length) {
+    length = 1;
+    while (length < 8 && value >= 2 ** (8 * length)) length++;
+  }
+  const data = Buffer.alloc(length);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    data[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  return element(id, data);
+}
+
+function floatElement(id, value) {
+  const data = Buffer.alloc(8);
+  data.writeDoubleBE(value);
+  return element(id, data);
+}
+
+// Write a seekable WebM: known sizes, Duration, Cues, and timestamps starting at 0.
+// options.fromTicks / toTicks (optional): only keep clusters starting at/after fromTicks
+// and frames before toTicks (used for trimming - fromTicks should be a keyframe cluster).
+function remuxWebm(file, options = {}) {
+  const video = file.tracks.find(track => track.type === 'video');
+  const videoTrack = video && video.number;
+
+  let clusters = file.clusters;
+  if (options.fromTicks !== undefined) {
+    clusters = clusters.filter(cluster => cluster.time >= options.fromTicks);
+  }
+  if (options.toTicks !== undefined) {
+    clusters = clusters
+      .map(cluster => ({
+        ...cluster,
+        blocks: cluster.blocks.filter(block => cluster.time + block.relative < options.toTicks)
+      }))
+      .filter(cluster => cluster.blocks.length > 0);
+  }
+  if (clusters.length === 0) {
+    throw new WebmError('Nothing left to write');
+  }
+
+  const base = clusters[0].time;
+  const trimmed = { ...file, clusters };
+  const { last } = timeRange(trimmed);
+  const durationTicks = last - base + frameInterval(trimmed);
+
+  // Info with a real Duration
+  const info = element(ID.INFO, Buffer.concat([
+    ...file.infoChildren,
+    floatElement(ID.DURATION, durationTicks)
+  ]));
+
+  // Clusters with known sizes, timecodes shifted so the file starts at 0
+  const clusterBuffers = clusters.map(cluster => element(ID.CLUSTER, Buffer.concat([
+    uintElement(ID.TIMECODE, cluster.time - base),
+    ...cluster.blocks.map(block => block.bytes)
+  ])));
+
+  // SeekHead size doesn't depend on positions (8-byte positions), so build it twice:
+  // once with zeros to measure, once with the real positions
+  const buildSeekHead = (positions) => element(ID.SEEK_HEAD, Buffer.concat(
+    [[ID.INFO, positions.info], [ID.TRACKS, positions.tracks], [ID.CUES, positions.cues]].map(([id, position]) =>
+      element(ID.SEEK, Buffer.concat([
+        element(ID.SEEK_ID, encodeId(id)),
+        uintElement(ID.SEEK_POSITION, position, 8)
+      ])))
+  ));
+
+  const seekHeadLength = buildSeekHead({ info: 0, tracks: 0, cues: 0 }).length;
+  const infoPosition = seekHeadLength;
+  const tracksPosition = infoPosition + info.length;
+  let clusterPosition = tracksPosition + file.tracksBytes.length;
+
+  // One cue per cluster that starts on a keyframe
+  const cuePoints = [];
+  clusters.forEach((cluster, i) => {
+    if (clusterStartsWithKeyframe(cluster, videoTrack)) {
+      cuePoints.push(element(ID.CUE_POINT, Buffer.concat([
+        uintElement(ID.CUE_TIME, cluster.time - base),
+        element(ID.CUE_TRACK_POSITIONS, Buffer.concat([
+          uintElement(ID.CUE_TRACK, videoTrack || clusters[0].blocks[0].track),
+          uintElement(ID.CUE_CLUSTER_POSITION, clusterPosition, 8)
+        ]))
+      ])));
+    }
+    clusterPosition += clusterBuffers[i].length;
+  });
+  const cues = element(ID.CUES, Buffer.concat(cuePoints));
+
+  const seekHead = buildSeekHead({ info: infoPosition, tracks: tracksPosition, cues: clusterPosition });
+  const segmentData = Buffer.concat([seekHead, info, file.tracksBytes, ...clusterBuffers, cues]);
+
+  return Buffer.concat([
+    file.ebmlHeader,
+    encodeId(ID.SEGMENT),
+    encodeSize(segmentData.length, 8),
+    segmentData
+  ]);
+}
+
+module.exports = {
+  parseWebm,
+  describeWebm,
+  remuxWebm,
+  WebmError
+};
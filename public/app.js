@@ -2,13 +2,46 @@
 // It handles: camera access, continuous recording, and saving videos
 
 // === CONFIGURATION ===
-const BUFFER_DURATION = 8000; // Keep last 8 seconds (8000 milliseconds)
-const OVERLAP_MS = 200;       // 200ms overlap between segments to avoid gaps
-const BEEP_AT_MS = 1000;      // Play beep at 1 second into segment (safer than end)
+const DEFAULT_PRE_ROLL_MS = 5000;  // Seconds kept BEFORE the capture moment (conductor can change per capture)
+const DEFAULT_POST_ROLL_MS = 1000; // Seconds kept AFTER the capture moment
 const SERVER_URL = window.location.origin; // Automatically use the server's address
+const DEVICE_ID_KEY = 'retro-capture-device-id'; // localStorage key for this phone's stable ID
+const CONDUCTOR_TOKEN_KEY = 'retro-capture-conductor-token'; // + ":<room>" - proves we're that room's conductor
+const READINESS_INTERVAL_MS = 5000; // How often we tell the server how we're doing (battery, network...)
+const THUMBNAIL_WIDTH = 160;        // Live preview stills sent to the conductor/dashboard (pixels wide)
+const THUMBNAIL_QUALITY = 0.6;      // JPEG quality - small enough to send from every phone
+const SLATE_DISPLAY_MS = 1500;      // How long the slate stays on screen (from just before the capture moment)
+const RATING_ICONS = { good: '👍', bad: '👎', circle: '⭕' }; // Slate ratings (lib/slate.js)
+const DEFAULT_CAPTURE_PROFILE = {  // Camera/encoder settings until the server sends the room's (lib/capture-profile.js)
+    width: 1920,
+    height: 1080,
+    frameRate: 30,
+    facingMode: 'environment', // Back camera
+    videoBitsPerSecond: 3000000, // 3 Mbps for good quality
+    codec: 'auto',
+    bufferMs: 20000,
+    exposureLock: false,
+    whiteBalanceLock: false,
+    focusLock: false,
+    version: null
+};
+const RECORDING_FORMATS = [         // What we can record, best first (the profile's codec goes first)
+    { codec: 'vp8', mimeType: 'video/webm;codecs=vp8,opus' },
+    { codec: 'vp9', mimeType: 'video/webm;codecs=vp9,opus' },
+    { codec: 'av1', mimeType: 'video/webm;codecs=av01,opus' },
+    { codec: 'av1', mimeType: 'video/webm;codecs=av1,opus' },
+    { codec: 'h264', mimeType: 'video/webm;codecs=h264,opus' }, // Chrome: H.264 but still WebM + Opus
+    { codec: null, mimeType: 'video/webm' },
+    { codec: 'h264', mimeType: 'video/mp4;codecs=avc1,mp4a.40.2' }, // iPhones (Safari) only record MP4
+    { codec: 'h264', mimeType: 'video/mp4' }
+];
 
 // === GLOBAL VARIABLES ===
 let socket;              // Connection to the server
+const deviceId = getDeviceId(); // Stable ID for this phone (socket ids change on every reconnect)
+let deviceInfo = { deviceId, name: null, position: null, index: 0 }; // Name/position set by the conductor
+let roomCode = getRoomCodeFromUrl(); // Which room (crew) we're in - from /?room=CODE, null = lobby
+let roomStatus = { hasConductor: true, pinRequired: false }; // From the server's status updates
 let myRole = null;       // Am I 'conductor' or 'client'?
 let sessionId = null;    // Unique ID for this capture session
 let syncStarted = false; // Has the conductor started synchronized recording?
@@ -16,27 +49,91 @@ let videoStream;         // The camera feed (original from camera)
 let mixedStream;         // Mixed stream with audio for beeps
 let audioContext;        // For audio processing and beeps
 let audioDestination;    // For mixing beeps into recording
-let latestSegment = null; // The most recent complete 6-second segment (ready to upload)
-let isUploading = false; // Are we currently uploading?
+let activeSaves = 0;     // Captures currently being cut + stored (several can overlap)
 let hasFlash = false;    // Does this device have flash capability?
 let isFlashPhone = false; // Is this the designated flash phone?
-let segmentCount = 0;    // How many segments we've completed (for countdown)
 let isRecordingActive = false; // State guard to prevent double starts
-
-// Dual recorder state
-let currentRecorder = null;  // { rec, chunks, startedAt }
-let nextRecorder = null;     // For overlap handoff
+let syncRound = 0;       // Bumped by every stop, so a sync-go from before it is ignored
+let startupErrors = { camera: null, audio: null }; // Why the camera / audio mixing failed (readiness report)
+let readinessTimer = null;
+let uploadCounts = { pending: 0, failed: 0 }; // Upload queue state (for the operator dashboard)
+let capturesInProgress = 0; // Captures from the signal until the clip is queued (no thumbnails meanwhile)
+let thumbnailIntervalMs = 5000; // How often to send a thumbnail (the server adjusts it to the number of phones)
+let thumbnailTimer = null;
+let captureProfile = DEFAULT_CAPTURE_PROFILE; // The room's camera/encoder settings (set by the conductor)
+let appliedProfile = { version: null, error: null, locks: {} }; // How applying it went (readiness report)
+let profileUpdates = Promise.resolve(); // Profiles are applied one at a time, in order
+let knownDevices = [];   // Conductor: every phone in the room (labels for the previews)
+const previewTiles = new Map(); // Conductor: deviceId → { tile, img, label, url } in the preview grid
+const clockSync = new ClockSync(); // Estimates our clock offset from the server (clock-sync.js)
+const uploadQueue = new UploadQueue(SERVER_URL); // Stores clips + retries uploads (upload-queue.js)
+const ringBuffer = new RingBuffer(() => clockSync.now()); // Rolling pre-roll buffer (ring-buffer.js)
 
 // === ELEMENTS (buttons, text, etc) ===
 const videoPreview = document.getElementById('video-preview');
 const roleDisplay = document.getElementById('role-display');
 const statusText = document.getElementById('status-text');
 const clientCount = document.getElementById('client-count');
+const captureProgress = document.getElementById('capture-progress');
+const uploadIndicator = document.getElementById('upload-indicator');
 const syncBtn = document.getElementById('sync-btn');
 const captureBtn = document.getElementById('capture-btn');
 const messageDiv = document.getElementById('message');
 const flashSelector = document.getElementById('flash-selector');
 const flashPhoneSelect = document.getElementById('flash-phone-select');
+const deviceListPanel = document.getElementById('device-list');
+const deviceListRows = document.getElementById('device-list-rows');
+const roomPanel = document.getElementById('room-panel');
+const roomCodeText = document.getElementById('room-code');
+const roomQr = document.getElementById('room-qr');
+const roomLink = document.getElementById('room-link');
+const lobby = document.getElementById('lobby');
+const createRoomBtn = document.getElementById('create-room-btn');
+const joinRoomForm = document.getElementById('join-room-form');
+const joinRoomInput = document.getElementById('join-room-input');
+const claimBtn = document.getElementById('claim-btn');
+const failoverCheckbox = document.getElementById('failover-checkbox');
+const rollSettings = document.getElementById('roll-settings');
+const preRollInput = document.getElementById('pre-roll-input');
+const postRollInput = document.getElementById('post-roll-input');
+const burstSettings = document.getElementById('burst-settings');
+const burstCountInput = document.getElementById('burst-count-input');
+const burstIntervalInput = document.getElementById('burst-interval-input');
+const burstBtn = document.getElementById('burst-btn');
+const sessionSettings = document.getElementById('session-settings');
+const stopSyncBtn = document.getElementById('stop-sync-btn');
+const resetSessionBtn = document.getElementById('reset-session-btn');
+const readinessPanel = document.getElementById('readiness-panel');
+const readinessRows = document.getElementById('readiness-rows');
+const quorumSelect = document.getElementById('quorum-select');
+const identifyOverlay = document.getElementById('identify-overlay');
+const previewPanel = document.getElementById('preview-panel');
+const previewGrid = document.getElementById('preview-grid');
+const thumbnailCanvas = document.createElement('canvas');
+const profilePanel = document.getElementById('profile-panel');
+const profileForm = document.getElementById('profile-form');
+const profileResolution = document.getElementById('profile-resolution');
+const profileFrameRate = document.getElementById('profile-frame-rate');
+const profileFacingMode = document.getElementById('profile-facing-mode');
+const profileBitrate = document.getElementById('profile-bitrate');
+const profileCodec = document.getElementById('profile-codec');
+const profileBuffer = document.getElementById('profile-buffer');
+const profileExposureLock = document.getElementById('profile-exposure-lock');
+const profileWhiteBalanceLock = document.getElementById('profile-white-balance-lock');
+const profileFocusLock = document.getElementById('profile-focus-lock');
+const namingPanel = document.getElementById('naming-panel');
+const namingForm = document.getElementById('naming-form');
+const namingProject = document.getElementById('naming-project');
+const namingScene = document.getElementById('naming-scene');
+const namingTake = document.getElementById('naming-take');
+const namingFolderTemplate = document.getElementById('naming-folder-template');
+const namingClipTemplate = document.getElementById('naming-clip-template');
+const namingPreview = document.getElementById('naming-preview');
+const slatePanel = document.getElementById('slate-panel');
+const slateNoteInput = document.getElementById('slate-note-input');
+const recentTakesRows = document.getElementById('recent-takes-rows');
+const showSlateCheckbox = document.getElementById('show-slate-checkbox');
+const slateOverlay = document.getElementById('slate-overlay');
 const debugPanel = document.getElementById('debug-panel');
 const debugToggle = document.getElementById('debug-toggle');
 const debugClose = document.getElementById('debug-close');
@@ -98,6 +195,9 @@ async function init() {
         // Step 3: Connect to the server (will wait for sync signal before recording)
         connectToServer();
 
+        // Step 4: Resume any uploads left over from before a reload
+        await startUploadQueue();
+
         debugLog('✅ App initialized successfully', 'success');
 
         // Hide the message after successful init
@@ -107,11 +207,18 @@ async function init() {
     } catch (error) {
         debugLog(`❌ Initialization failed: ${error.message}`, 'error');
         const errorMsg = error.message || error.toString();
+        // Reported to the conductor before START SYNC
+        if (!videoStream) {
+            startupErrors.camera = errorMsg;
+        } else {
+            startupErrors.audio = errorMsg;
+        }
         showMessage(`❌ CAMERA ERROR\n\n${errorMsg}\n\niPhone: Settings → Safari → Camera → Allow\n\nThen refresh this page.`, null);
 
         // Keep trying to connect to server even if camera fails
         setTimeout(() => {
             connectToServer();
+            startUploadQueue();
         }, 1000);
     }
 }
@@ -120,13 +227,9 @@ async function init() {
 async function startCamera() {
     debugLog('📷 Requesting camera access...', 'info');
 
-    // Ask for camera (back camera preferred on phones) and microphone
+    // Ask for camera (as the capture profile says - back camera by default) and microphone
     videoStream = await navigator.mediaDevices.getUserMedia({
-        video: {
-            facingMode: 'environment', // Use back camera
-            width: { ideal: 1920 },
-            height: { ideal: 1080 }
-        },
+        video: videoConstraints(),
         audio: true // We need audio for syncing later
     });
 
@@ -184,138 +287,95 @@ function setupAudioMixing() {
     debugLog('✅ Audio mixing ready - beeps will be recorded in-file', 'success');
 }
 
-// Play beep that gets mixed into the recording (guaranteed to be in the file)
-function playInFileBeep(durationMs = 500, frequency = 1000) {
+// Play the coded sync chirp (see sync-chirp.js): a sweep, then the capture counter and
+// our device index as tones. Mixed into the recording, so the server can tell from the
+// audio alone which capture and phone a clip came from.
+function playSyncChirp(counter, deviceIndex) {
     const osc = audioContext.createOscillator();
     const gain = audioContext.createGain();
 
-    gain.gain.value = 0.2; // Not too loud to avoid saturation
-    osc.frequency.value = frequency;
+    const start = audioContext.currentTime;
+    const sweepEnd = start + SYNC_CHIRP.SWEEP_MS / 1000;
+    const end = start + SYNC_CHIRP.DURATION_MS / 1000;
+
+    // Sweep up, then hop between the two tones, one bit at a time
     osc.type = 'sine';
+    osc.frequency.setValueAtTime(SYNC_CHIRP.SWEEP_FROM_HZ, start);
+    osc.frequency.linearRampToValueAtTime(SYNC_CHIRP.SWEEP_TO_HZ, sweepEnd);
+    encodeChirpPayload(counter, deviceIndex).forEach((bit, i) => {
+        const frequency = bit ? SYNC_CHIRP.ONE_HZ : SYNC_CHIRP.ZERO_HZ;
+        osc.frequency.setValueAtTime(frequency, sweepEnd + i * SYNC_CHIRP.BIT_MS / 1000);
+    });
+
+    // 5ms fade in/out so it doesn't click
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(SYNC_CHIRP.GAIN, start + 0.005);
+    gain.gain.setValueAtTime(SYNC_CHIRP.GAIN, end - 0.005);
+    gain.gain.linearRampToValueAtTime(0, end);
 
     osc.connect(gain);
     gain.connect(audioDestination); // Connect to recording destination
     gain.connect(audioContext.destination); // Also play through speakers
 
-    osc.start(audioContext.currentTime);
-    osc.stop(audioContext.currentTime + (durationMs / 1000));
+    osc.start(start);
+    osc.stop(end);
 
     // Clean up
-    setTimeout(() => {
+    osc.onended = () => {
         osc.disconnect();
         gain.disconnect();
-    }, durationMs);
+    };
 
-    debugLog(`🔊 In-file beep: ${frequency}Hz for ${durationMs}ms`, 'info');
+    debugLog(`🔊 Sync chirp: capture ${counter}, device ${deviceIndex}`, 'info');
 }
 
-// === ROTATING SEGMENTS WITH DUAL-RECORDER OVERLAP ===
-// Prevents dropped frames between segments by overlapping recorders
-async function startRotatingSegments() {
+// === CONTINUOUS RECORDING INTO THE RING BUFFER ===
+// One recorder runs non-stop; ring-buffer.js keeps the last few seconds ready to cut
+function startRecording() {
     if (isRecordingActive) {
         debugLog('⚠️ Recording already active, skipping', 'warning');
         return;
     }
 
     isRecordingActive = true;
-    debugLog('🎬 Starting rotating segments system...', 'info');
-
-    // Start first recorder
-    currentRecorder = await createRecorder(mixedStream);
-    currentRecorder.rec.start();
-    debugLog('📼 First segment recording started', 'success');
-
-    // Schedule the rotating segment loop
-    scheduleNextSegment();
-}
-
-// Helper: Create a new recorder with chunk collection
-async function createRecorder(stream) {
-    // Check what mimeTypes are supported (only once)
-    if (segmentCount === 0) {
-        const supportedTypes = [
-            'video/webm;codecs=vp8,opus',
-            'video/webm;codecs=vp9,opus',
-            'video/webm'
-        ];
-
-        for (const type of supportedTypes) {
-            if (MediaRecorder.isTypeSupported(type)) {
-                debugLog(`✅ Using mimeType: ${type}`, 'success');
-                break;
-            }
-        }
-    }
+    debugLog('🎬 Starting pre-roll ring buffer...', 'info');
 
-    const recorderOptions = {
-        mimeType: 'video/webm;codecs=vp8,opus',
-        videoBitsPerSecond: 3000000 // 3 Mbps for good quality
-    };
+    const mimeType = supportedMimeType();
+    debugLog(mimeType ? `✅ Using mimeType: ${mimeType}` : '⚠️ No known recording format - using the browser default', mimeType ? 'success' : 'warning');
 
-    const rec = new MediaRecorder(stream, recorderOptions);
-    const chunks = [];
-
-    rec.ondataavailable = (event) => {
-        if (event.data && event.data.size > 0) {
-            chunks.push(event.data);
-        }
-    };
+    ringBuffer.start(mixedStream, recorderOptions(), captureProfile.bufferMs);
+    debugLog('📼 Recording started', 'success');
 
-    return { rec, chunks, startedAt: performance.now() };
+    updateBufferCountdown();
 }
 
-// Schedule the next segment rotation
-function scheduleNextSegment() {
-    // NOTE: We don't beep during rotation anymore - only when capture is triggered
-
-    // Start overlap recorder before stopping current
-    setTimeout(async () => {
-        // Clone the stream for next recorder
-        const clonedStream = mixedStream.clone();
-        nextRecorder = await createRecorder(clonedStream);
-        nextRecorder.rec.start();
-
-        debugLog(`🎬 Next recorder started (overlap)`, 'info');
-
-        // Wait for overlap period
-        setTimeout(async () => {
-            // Stop current recorder
-            const done = new Promise(resolve => {
-                currentRecorder.rec.onstop = resolve;
-            });
-            currentRecorder.rec.stop();
-            await done;
+// Stop the ring buffer and free its memory. Clips still being cut are finished first;
+// clips already in the upload queue keep uploading.
+async function stopRecording() {
+    if (!isRecordingActive) return;
 
-            // Create blob from completed segment
-            latestSegment = new Blob(currentRecorder.chunks, {
-                type: currentRecorder.rec.mimeType
-            });
-            segmentCount++;
-
-            const sizeMB = (latestSegment.size / 1024 / 1024).toFixed(2);
-            debugLog(`✅ Segment #${segmentCount} complete: ${sizeMB} MB`, 'success');
-
-            // Update UI
-            updateBufferCountdown();
-
-            // Promote next recorder to current
-            currentRecorder = nextRecorder;
-            nextRecorder = null;
-
-            // Schedule next rotation (unless we're uploading)
-            if (!isUploading) {
-                scheduleNextSegment();
-            }
-        }, OVERLAP_MS);
-
-    }, BUFFER_DURATION - OVERLAP_MS);
+    while (activeSaves > 0) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    // Started again while we waited? Then leave it running
+    if (syncStarted) return;
+
+    ringBuffer.stop();
+    isRecordingActive = false;
+    captureBtn.disabled = true;
+    debugLog('⏹️ Recording stopped, buffer released', 'info');
+    updateControls();
 }
 
 // === BUFFER COUNTDOWN ===
-// Show countdown timer until first segment is ready
+// Show countdown timer until the default pre-roll is in the buffer
 function updateBufferCountdown() {
-    if (segmentCount >= 1) {
-        // At least one segment is ready
+    if (!isRecordingActive) return; // Stopped while we were counting
+
+    const bufferedMs = ringBuffer.bufferedMs();
+
+    if (bufferedMs >= DEFAULT_PRE_ROLL_MS) {
+        // Enough history to cut a full clip
         captureBtn.disabled = false;
         if (myRole === 'conductor') {
             updateStatus('Ready to capture!');
@@ -323,8 +383,7 @@ function updateBufferCountdown() {
             updateStatus('Waiting for conductor to capture...');
         }
     } else {
-        // Still building first segment (8 seconds)
-        const remainingSeconds = Math.ceil((BUFFER_DURATION - (performance.now() - (currentRecorder?.startedAt || 0))) / 1000);
+        const remainingSeconds = Math.ceil((DEFAULT_PRE_ROLL_MS - bufferedMs) / 1000);
         captureBtn.disabled = true;
         updateStatus(`Building buffer... ${Math.max(0, remainingSeconds)}s until ready`);
 
@@ -342,51 +401,94 @@ function connectToServer() {
     }
 
     debugLog('🌐 Connecting to server...', 'info');
-    socket = io(SERVER_URL);
+    // Our stable device ID and room go along with every (re)connect
+    // (a function, so switching rooms just needs a reconnect)
+    socket = io(SERVER_URL, { auth: (cb) => cb({ deviceId, room: roomCode, conductorToken: getConductorToken() }) });
 
     // When connected
     socket.on('connect', () => {
         console.log('✅ Connected to server');
         updateStatus('Connected to server');
 
+        // Start (or restart) estimating our clock offset from the server
+        clockSync.start(socket);
+
+        // Back online - push any clips still waiting on the phone
+        uploadQueue.process();
+
         // Send flash capability to server
         socket.emit('register-flash', { hasFlash });
         console.log(`📸 Registered flash capability: ${hasFlash}`);
+
+        // Keep the conductor's pre-flight table up to date
+        sendReadiness();
+        clearInterval(readinessTimer);
+        readinessTimer = setInterval(sendReadiness, READINESS_INTERVAL_MS);
+
+        // Live thumbnails for the conductor's previews and the dashboard
+        scheduleThumbnail();
     });
 
-    // Server tells us if we're conductor or client
+    // Server tells us if we're conductor or client (again whenever control changes hands)
     socket.on('role', (data) => {
-        // Don't allow role changes after initial assignment (prevents bugs from duplicate connections)
         if (myRole !== null && myRole !== data.role) {
-            debugLog(`⚠️ Ignoring role change from ${myRole} to ${data.role}`, 'warning');
-            return;
+            debugLog(`🎭 Role changed from ${myRole} to ${data.role}`, 'info');
+            showMessage(data.role === 'conductor' ? '👑 You are now the conductor' : '📱 Another phone is now the conductor', 2500);
         }
 
         myRole = data.role;
         sessionId = data.sessionId;
         syncStarted = data.syncStarted || false;
 
-        roleDisplay.textContent = myRole === 'conductor' ? '🎵 CONDUCTOR' : '📱 CLIENT';
-        roleDisplay.className = `role ${myRole}`;
+        // Keep the token for reconnects; a client's old token no longer works anyway
+        saveConductorToken(data.conductorToken);
+        failoverCheckbox.checked = !!data.failover;
+        showSlateCheckbox.checked = !!data.showSlate;
 
-        if (myRole === 'conductor') {
-            syncBtn.style.display = syncStarted ? 'none' : 'flex';
-            captureBtn.style.display = syncStarted ? 'flex' : 'none';
-            captureBtn.disabled = !syncStarted;
-            flashSelector.classList.add('show');
-            updateStatus(syncStarted ? 'Ready - waiting for buffer...' : 'Press START SYNC to begin');
-        } else {
-            syncBtn.style.display = 'none';
-            captureBtn.style.display = 'none';
-            flashSelector.classList.remove('show');
-            updateStatus(syncStarted ? 'Waiting for conductor to capture...' : 'Waiting for conductor to start sync...');
-        }
+        lobby.classList.remove('show');
+        updateRoleDisplay();
+        updateRoomPanel();
+        updateClaimButton();
+        updateControls();
+        watchThumbnails();
 
         debugLog(`🎭 Role assigned: ${myRole.toUpperCase()}`, 'info');
 
         // If sync already started, begin recording
         if (syncStarted && !isRecordingActive) {
-            startRotatingSegments();
+            startRecording();
+        }
+    });
+
+    // Not in a room: offer to start one or join one by its code
+    socket.on('lobby', (data = {}) => {
+        debugLog(`🚪 In the lobby${data.error ? `: ${data.error}` : ''}`, data.error ? 'warning' : 'info');
+        lobby.classList.add('show');
+        roomPanel.classList.remove('show');
+        roleDisplay.textContent = 'No session';
+        updateStatus(data.error ? `${data.error} - start a new session or join one` : 'Start a new session or join one with its code');
+    });
+
+    // Our own name/position (set by the conductor)
+    socket.on('device-info', (info) => {
+        deviceInfo = info;
+        updateRoleDisplay();
+        debugLog(`🏷️ This phone: ${deviceLabel(info)} (chirp index ${info.index})`, 'info');
+    });
+
+    // Conductor receives every known phone, to name and position them
+    socket.on('devices', (data) => {
+        if (myRole === 'conductor') {
+            knownDevices = data.devices;
+            updateDeviceList(data.devices);
+            updatePreviewLabels();
+        }
+    });
+
+    // Conductor receives every phone's pre-flight check
+    socket.on('readiness', (data) => {
+        if (myRole === 'conductor') {
+            updateReadinessTable(data);
         }
     });
 
@@ -401,6 +503,12 @@ function connectToServer() {
     // Status update (how many phones connected)
     socket.on('status', (data) => {
         clientCount.textContent = `${data.totalClients} phone${data.totalClients !== 1 ? 's' : ''} connected`;
+        roomStatus = { hasConductor: data.hasConductor !== false, pinRequired: !!data.pinRequired };
+        if (data.thumbnailIntervalMs) thumbnailIntervalMs = data.thumbnailIntervalMs;
+        updateClaimButton();
+        if (myRole === 'client' && !roomStatus.hasConductor) {
+            updateStatus('Conductor is away - waiting for them to come back');
+        }
     });
 
     // SYNC COUNTDOWN: Server is counting down
@@ -412,7 +520,7 @@ function connectToServer() {
         if (myRole === 'conductor') {
             syncBtn.style.display = 'none';
             captureBtn.style.display = 'flex';
-            captureBtn.disabled = true; // Will enable after first segment
+            captureBtn.disabled = true; // Will enable once the buffer has filled
             updateStatus(`Starting in ${data.count}s...`);
         } else {
             updateStatus(`Starting in ${data.count}s...`);
@@ -420,10 +528,52 @@ function connectToServer() {
     });
 
     // SYNC GO: Server says start NOW
-    socket.on('sync-go', async () => {
-        debugLog('🚀 GO! STARTING RECORDING NOW (synchronized)', 'success');
+    socket.on('sync-go', async (data) => {
+        // Wait until the scheduled start time on our corrected clock
+        const executeAt = (data && data.executeAt) || clockSync.now();
+        const round = syncRound;
+        const timing = await clockSync.schedule(executeAt, () => {});
+        if (round !== syncRound) {
+            debugLog('⏹️ Sync was stopped before GO - not recording', 'warning');
+            return;
+        }
+
+        debugLog(`🚀 GO! STARTING RECORDING NOW (synchronized, ${timing.lateMs}ms late)`, 'success');
         updateStatus('Recording started...');
-        await startRotatingSegments();
+        startRecording();
+    });
+
+    // Operator asked "which one is this?" - flash the screen
+    socket.on('identify', (data = {}) => {
+        debugLog('👋 Identify requested by the operator', 'info');
+        identifyOverlay.textContent = deviceLabel(deviceInfo);
+        identifyOverlay.classList.add('show');
+        setTimeout(() => identifyOverlay.classList.remove('show'), data.durationMs || 3000);
+    });
+
+    // Operator removed this phone from the session - stop and stay disconnected
+    socket.on('kicked', async (data = {}) => {
+        debugLog(`👢 ${data.reason || 'Removed from the session'}`, 'warning');
+        clearInterval(readinessTimer);
+        clearTimeout(thumbnailTimer);
+        syncRound++;
+        syncStarted = false;
+        myRole = null;
+        showMessage(`👢 ${data.reason || 'Removed from the session'}\n\nReload the page to join again.`, null);
+        updateStatus('Removed from the session');
+        await stopRecording();
+    });
+
+    // STOP / NEW SESSION: conductor stopped recording - back to before START SYNC
+    socket.on('sync-stopped', async (data = {}) => {
+        syncRound++;
+        syncStarted = false;
+        sessionId = data.sessionId;
+        debugLog(data.newSession ? `🔄 New session ${data.sessionId}` : '⏹️ Sync stopped', 'info');
+
+        updateControls();
+        await stopRecording();
+        showMessage(data.newSession ? '🔄 New session' : '⏹️ Recording stopped', 2000);
     });
 
     // THE BIG MOMENT: Conductor pressed capture!
@@ -432,34 +582,79 @@ function connectToServer() {
         debugLog(`   Timestamp: ${data.timestamp}`, 'info');
         debugLog(`   Folder: ${data.folderName}`, 'info');
 
-        // Play beep immediately (goes into current segment being recorded)
-        playInFileBeep(500, 1000);
-
-        // Trigger flash if this is the flash phone
-        if (isFlashPhone && hasFlash) {
-            await triggerFlash();
+        // Let the server know we got the signal (for the conductor's progress view)
+        socket.emit('capture-ack', { folderName: data.folderName });
+        if (data.showSlate && data.slate) {
+            showSlate(data.slate);
         }
+        capturesInProgress++;
+        try {
+            // Fire chirp + flash at the scheduled server time on our corrected clock
+            const executeAt = data.executeAt || data.timestamp;
+            const chirpPayload = {
+                counter: data.counter || 0,
+                deviceIndex: (data.deviceIndexes && data.deviceIndexes[socket.id]) ?? deviceInfo.index
+            };
 
-        // CRITICAL: Wait for the CURRENT segment (with beep) to complete
-        // We need to wait for the current 6s cycle to finish, not use the old segment
-        debugLog('⏳ Waiting for current segment (with beep) to complete...', 'info');
-
-        // Set up a one-time listener for the next segment completion
-        const waitForSegmentWithBeep = new Promise(resolve => {
-            const originalCount = segmentCount;
-            const checkInterval = setInterval(() => {
-                if (segmentCount > originalCount) {
-                    clearInterval(checkInterval);
-                    resolve();
+            const timing = await clockSync.schedule(executeAt, () => {
+                // Play the coded chirp (goes into the recording)
+                playSyncChirp(chirpPayload.counter, chirpPayload.deviceIndex);
+
+                // Trigger flash if this is the flash phone
+                if (isFlashPhone && hasFlash) {
+                    triggerFlash();
                 }
-            }, 100);
-        });
+            });
+
+            const stats = clockSync.getStats();
+            debugLog(`⏱️ Fired ${timing.lateMs}ms late (offset ${stats.offsetMs}ms ±${stats.errorMs}ms)`, 'info');
+
+            // Cut the clip around the capture moment from the ring buffer
+            await saveVideo(data, { ...stats, ...timing }, chirpPayload);
+        } finally {
+            capturesInProgress--;
+        }
+    });
+
+    // Camera/encoder settings for the room (on joining, and whenever the conductor changes them)
+    socket.on('capture-profile', (profile) => {
+        profileUpdates = profileUpdates.then(() => applyCaptureProfile(profile));
+    });
+
+    // Project/scene/take and naming templates (on joining, after every capture and every change)
+    socket.on('naming', showNamingForm);
+
+    // Conductor: newest still from a phone's camera (while the previews are open)
+    socket.on('thumbnail', (data) => {
+        if (myRole === 'conductor') {
+            showPreview(data);
+        }
+    });
 
-        await waitForSegmentWithBeep;
-        debugLog('✅ Segment with beep ready!', 'success');
+    // Burst progress (conductor's BURST button shows it)
+    socket.on('burst-status', (data) => {
+        if (data.active) {
+            burstBtn.textContent = `BURST ${data.fired}/${data.count} ✕`;
+            burstBtn.classList.add('active');
+        } else {
+            burstBtn.textContent = 'BURST';
+            burstBtn.classList.remove('active');
+            if (data.cancelled) debugLog('🛑 Burst cancelled', 'warning');
+        }
+    });
+
+    // Conductor: the newest captures, to rate and annotate
+    socket.on('recent-takes', (takes) => {
+        if (myRole === 'conductor') {
+            updateRecentTakes(takes);
+        }
+    });
 
-        // Now save the segment that has the beep
-        await saveVideo(data);
+    // Conductor sees how each phone is doing with its upload
+    socket.on('capture-progress', (data) => {
+        if (myRole === 'conductor') {
+            updateCaptureProgress(data);
+        }
     });
 
     // When master designates this as the flash phone
@@ -482,6 +677,86 @@ function connectToServer() {
     });
 }
 
+// === ROOMS ===
+// Start a new room (this phone will be its conductor)
+createRoomBtn.addEventListener('click', () => {
+    if (!socket || !socket.connected) {
+        showMessage('❌ Not connected to server', 2000);
+        return;
+    }
+
+    socket.emit('create-room', {}, (response) => {
+        if (response && response.success) {
+            debugLog(`🚪 Created room ${response.room}`, 'success');
+            enterRoom(response.room, response.conductorToken);
+        } else {
+            showMessage('❌ Could not start a session', 2000);
+        }
+    });
+});
+
+// Join an existing room by its code (as a client - the conductor has the room's token)
+joinRoomForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const code = normalizeRoomCode(joinRoomInput.value);
+    if (!code) {
+        showMessage('❌ Room codes are 4-8 letters and numbers', 2000);
+        return;
+    }
+    enterRoom(code);
+});
+
+// Switch to a room: put it in the address bar (so a reload stays in it) and reconnect
+function enterRoom(code, conductorToken = null) {
+    roomCode = code;
+    myRole = null;
+    if (conductorToken) saveConductorToken(conductorToken);
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', code);
+    window.history.replaceState(null, '', url);
+
+    lobby.classList.remove('show');
+    socket.disconnect();
+    socket.connect();
+}
+
+// === CONDUCTOR CONTROL ===
+// Take control: when nobody has it, or with the crew's PIN
+claimBtn.addEventListener('click', () => {
+    let pin;
+    if (roomStatus.pinRequired) {
+        pin = window.prompt('Conductor PIN');
+        if (pin === null) return;
+    }
+
+    socket.emit('claim-conductor', { pin }, (result) => {
+        if (!result || !result.success) {
+            showMessage(`❌ ${(result && result.error) || 'Could not take control'}`, 3000);
+        }
+    });
+});
+
+// Show the slate (scene/take/note) on every phone's screen at capture time
+showSlateCheckbox.addEventListener('change', () => {
+    socket.emit('set-show-slate', { enabled: showSlateCheckbox.checked });
+});
+
+// Pass control on automatically if this (conductor) phone drops out
+failoverCheckbox.addEventListener('change', () => {
+    socket.emit('set-failover', { enabled: failoverCheckbox.checked });
+});
+
+// Hand control to another phone (from the phones list)
+function handOffTo(device) {
+    if (!window.confirm(`Hand control to ${deviceLabel(device)}?`)) return;
+
+    socket.emit('hand-off-conductor', { deviceId: device.deviceId }, (result) => {
+        if (!result || !result.success) {
+            showMessage(`❌ ${(result && result.error) || 'Could not hand over control'}`, 3000);
+        }
+    });
+}
+
 // === SYNC BUTTON ===
 syncBtn.addEventListener('click', () => {
     debugLog(`🎬 SYNC button clicked. Role: ${myRole}, syncStarted: ${syncStarted}`, 'info');
@@ -502,15 +777,65 @@ syncBtn.addEventListener('click', () => {
     }
 
     debugLog('✅ Emitting start-sync event', 'success');
-    socket.emit('start-sync');
+    socket.emit('start-sync', { quorum: quorumSelect.value }, (result) => {
+        if (result && !result.success) {
+            debugLog(`✋ START SYNC refused: ${result.error}`, 'warning');
+            showMessage(`✋ ${result.error}`, 3000);
+            readinessPanel.open = true;
+        }
+    });
+});
+
+// === STOP / NEW SESSION BUTTONS ===
+stopSyncBtn.addEventListener('click', () => {
+    if (myRole === 'conductor' && syncStarted) {
+        debugLog('⏹️ Conductor pressed STOP', 'info');
+        socket.emit('stop-sync');
+    }
+});
+
+resetSessionBtn.addEventListener('click', () => {
+    if (myRole !== 'conductor') return;
+    if (!window.confirm('Stop recording on every phone and start a new session?')) return;
+    debugLog('🔄 Conductor started a new session', 'info');
+    socket.emit('reset-session');
 });
 
 // === CAPTURE BUTTON ===
 captureBtn.addEventListener('click', () => {
-    if (myRole === 'conductor' && !isUploading && syncStarted) {
+    if (myRole === 'conductor' && syncStarted) {
         debugLog('🔴 Conductor pressed CAPTURE button', 'success');
-        socket.emit('trigger-capture');
+        socket.emit('trigger-capture', {
+            preRollMs: Math.round(parseFloat(preRollInput.value) * 1000),
+            postRollMs: Math.round(parseFloat(postRollInput.value) * 1000),
+            note: slateNoteInput.value
+        });
+        slateNoteInput.value = ''; // The note was for this take
+    }
+});
+
+// === BURST BUTTON ===
+// Press once to start N captures at a fixed interval, press again to cancel
+burstBtn.addEventListener('click', () => {
+    if (myRole !== 'conductor' || !syncStarted) return;
+
+    if (burstBtn.classList.contains('active')) {
+        debugLog('🛑 Conductor cancelled burst', 'warning');
+        socket.emit('cancel-burst');
+        return;
     }
+
+    const count = parseInt(burstCountInput.value, 10);
+    const intervalMs = Math.round(parseFloat(burstIntervalInput.value) * 1000);
+    debugLog(`💥 Conductor started burst: ${count} × every ${intervalMs}ms`, 'success');
+    socket.emit('trigger-burst', {
+        count,
+        intervalMs,
+        preRollMs: Math.round(parseFloat(preRollInput.value) * 1000),
+        postRollMs: Math.round(parseFloat(postRollInput.value) * 1000),
+        note: slateNoteInput.value
+    });
+    slateNoteInput.value = '';
 });
 
 // === FLASH PHONE SELECTOR ===
@@ -521,124 +846,134 @@ flashPhoneSelect.addEventListener('change', () => {
 });
 
 // === SAVE VIDEO ===
-async function saveVideo(captureData) {
-    if (isUploading) {
-        debugLog('⏳ Already uploading, ignoring this capture', 'warning');
+// Each capture gets its own clip - captures can overlap (bursts, quick presses)
+// because recording never stops and uploads happen in the background queue.
+async function saveVideo(captureData, clockTiming = null, chirpPayload = null) {
+    // Check that we're actually recording
+    if (!ringBuffer.isRecording()) {
+        debugLog('❌ Not recording - nothing to save', 'error');
+        showMessage('⏳ Not recording yet...', 2000);
+        socket.emit('upload-failed', { folderName: captureData.folderName, error: 'Not recording' });
         return;
     }
 
-    // Check if we have a segment ready
-    if (!latestSegment) {
-        debugLog('❌ No segment ready yet - still building first 6s buffer', 'error');
-        showMessage('⏳ Wait for buffer to build...', 2000);
-        return;
-    }
-
-    isUploading = true;
-    showMessage('💾 Saving video...');
+    activeSaves++;
+    showMessage(activeSaves > 1 ? `💾 Saving ${activeSaves} videos...` : '💾 Saving video...');
     debugLog('💾 Starting video save process...', 'info');
 
     try {
-        // Use the latest complete segment (already a valid video file)
-        const videoBlob = latestSegment;
+        // Cut exactly pre/post around the capture moment (start snaps back to a keyframe)
+        const captureTime = captureData.executeAt || captureData.timestamp;
+        const preRollMs = captureData.preRollMs ?? DEFAULT_PRE_ROLL_MS;
+        const postRollMs = captureData.postRollMs ?? DEFAULT_POST_ROLL_MS;
+        debugLog(`✂️ Cutting clip: ${preRollMs}ms before, ${postRollMs}ms after capture...`, 'info');
+
+        const clip = await ringBuffer.extractClip(captureTime, preRollMs, postRollMs);
+        const videoBlob = clip.blob;
         const videoSizeMB = (videoBlob.size / 1024 / 1024).toFixed(2);
-        debugLog(`📦 Using latest segment: ${videoSizeMB} MB`, 'success');
+        debugLog(`📦 Clip ready: ${videoSizeMB} MB (${clip.preMs}ms pre, ${clip.postMs}ms post)`, 'success');
 
-        // Verify WebM header
+        // Verify the file header (WebM: EBML magic, MP4: an ftyp box)
+        const container = containerOf(ringBuffer.mimeType);
         const headerCheck = await new Promise((resolve) => {
             const reader = new FileReader();
             reader.onload = () => {
                 const arr = new Uint8Array(reader.result);
-                const header = Array.from(arr.slice(0, 4)).map(b => b.toString(16).padStart(2, '0')).join(' ');
-                debugLog(`🔍 Blob header: ${header} (expect: 1a 45 df a3)`, header === '1a 45 df a3' ? 'success' : 'warning');
+                const header = container === 'mp4'
+                    ? String.fromCharCode(...arr.slice(4, 8))
+                    : Array.from(arr.slice(0, 4)).map(b => b.toString(16).padStart(2, '0')).join(' ');
+                const expected = container === 'mp4' ? 'ftyp' : '1a 45 df a3';
+                debugLog(`🔍 Blob header: ${header} (expect: ${expected})`, header === expected ? 'success' : 'warning');
                 resolve(header);
             };
-            reader.readAsArrayBuffer(videoBlob.slice(0, 4));
+            reader.readAsArrayBuffer(videoBlob.slice(0, 8));
         });
 
-        // Create a unique filename
-        const filename = `capture_${captureData.sessionId}_${socket.id}_${captureData.timestamp}.webm`;
+        // Name from the room's clip template (the server only takes this one); the extension follows the format
+        const filename = `${captureData.clipName || `${fileLabel()}_${captureData.timestamp}`}.${container}`;
 
         // Create metadata (info about this video)
         const metadata = {
             filename: filename,
+            mimeType: ringBuffer.mimeType, // What our recorder made (the server checks the file itself too)
             folderName: captureData.folderName,
             sessionId: captureData.sessionId,
-            deviceId: socket.id,
+            room: captureData.room || roomCode, // Decides which room's folder the server stores it in
+            deviceId,
+            socketId: socket.id,
+            deviceName: deviceInfo.name,
+            position: deviceInfo.position,
             captureTimestamp: captureData.timestamp,
             localTimestamp: Date.now(),
-            duration: BUFFER_DURATION,
+            duration: clip.endServerTime - clip.startServerTime,
+            // Requested window, and where the clip really starts/ends (server clock)
+            preRollMs,
+            postRollMs,
+            clipStartServerTime: clip.startServerTime,
+            clipEndServerTime: clip.endServerTime,
+            captureOffsetMs: clip.preMs, // Where the chirp is, from the start of the clip
+            chirpPayload, // What our chirp encodes - the server checks it decodes to this
+            uploadToken: captureData.uploadToken, // The server only takes clips it asked for
+            burst: captureData.burst || null,
             size: videoBlob.size,
-            role: myRole
+            role: myRole,
+            // Clock offset/error bound at capture time, so sync quality can be judged afterwards
+            clockSync: clockTiming || clockSync.getStats()
         };
 
-        debugLog(`📤 Uploading ${filename} to S3...`, 'info');
+        debugLog(`📤 Queueing ${filename} for upload...`, 'info');
         debugLog(`📁 Folder: ${captureData.folderName}`, 'info');
-        await uploadToS3(videoBlob, metadata);
 
-        showMessage('✅ Video saved successfully!', 2000);
-        debugLog('✅ Upload complete! Rotating segments continue...', 'success');
+        // Stored on the phone first - the queue uploads it (and keeps retrying) in the background
+        await uploadQueue.add(videoBlob, metadata);
 
-        // Release blob memory
-        latestSegment = null;
-
-        // Restart rotating segments if they stopped during upload
-        if (!isRecordingActive || !currentRecorder) {
-            debugLog('🔄 Restarting rotating segments...', 'info');
-            isRecordingActive = false;
-            await startRotatingSegments();
-        } else {
-            // Resume segment scheduling
-            scheduleNextSegment();
-        }
+        showMessage('✅ Video saved - uploading...', 2000);
+        debugLog('✅ Clip queued! Recording continues...', 'success');
 
     } catch (error) {
         debugLog(`❌ Save failed: ${error.message}`, 'error');
         debugLog(`❌ Error stack: ${error.stack}`, 'error');
-        showMessage('❌ Upload failed. Check debug panel for details.');
-
-        // Restart recording system
-        isRecordingActive = false;
-        await startRotatingSegments();
+        showMessage('❌ Save failed. Check debug panel for details.');
+        socket.emit('upload-failed', { folderName: captureData.folderName, error: error.message });
     } finally {
-        isUploading = false;
+        activeSaves--;
     }
 }
 
-// === UPLOAD TO S3 ===
-async function uploadToS3(videoBlob, metadata) {
-    debugLog(`🔧 Creating FormData for upload...`, 'info');
-    debugLog(`   Blob size: ${videoBlob.size} bytes`, 'info');
-    debugLog(`   Blob type: ${videoBlob.type}`, 'info');
-
-    // Use FormData to send binary video file (no base64 conversion)
-    const formData = new FormData();
-    formData.append('video', videoBlob, metadata.filename);
-    formData.append('metadata', JSON.stringify(metadata));
+// === UPLOAD QUEUE ===
+// Wire the queue's events to the server (for the conductor's progress view) and the on-screen indicator
+let uploadQueueStarted = false;
 
-    debugLog(`📡 Sending POST to ${SERVER_URL}/upload`, 'info');
+async function startUploadQueue() {
+    if (uploadQueueStarted) return;
+    uploadQueueStarted = true;
 
-    // Send to our server, which will upload to S3
-    const response = await fetch(`${SERVER_URL}/upload`, {
-        method: 'POST',
-        body: formData // Send as multipart/form-data, not JSON
+    uploadQueue.on('started', (clip) => {
+        socket.emit('upload-started', {
+            folderName: clip.metadata.folderName,
+            filename: clip.metadata.filename,
+            size: clip.blob.size
+        });
     });
 
-    debugLog(`📡 Server response status: ${response.status} ${response.statusText}`, response.ok ? 'success' : 'error');
+    uploadQueue.on('uploaded', (clip, result) => {
+        debugLog(`📤 Upload response: ${JSON.stringify(result)}`, 'success');
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        debugLog(`❌ Server error response: ${errorText}`, 'error');
-        throw new Error(`Upload failed: ${response.statusText}`);
-    }
+        // Tell the server we're done
+        socket.emit('video-uploaded', { filename: clip.metadata.filename });
+    });
 
-    const result = await response.json();
-    debugLog(`📤 Upload response: ${JSON.stringify(result)}`, 'success');
+    uploadQueue.on('failed', (clip, error, retrying) => {
+        socket.emit('upload-failed', {
+            folderName: clip.metadata.folderName,
+            error: error.message,
+            retrying
+        });
+    });
 
-    // Tell the server we're done
-    socket.emit('video-uploaded', { filename: metadata.filename });
+    uploadQueue.on('changed', updateUploadIndicator);
 
-    return result;
+    await uploadQueue.start();
 }
 
 // Helper: Convert blob to base64
@@ -676,6 +1011,42 @@ async function triggerFlash() {
 }
 
 // === UI HELPERS ===
+// Show the conductor's controls (or hide them for clients) for the current sync state
+function updateControls() {
+    if (myRole === 'conductor') {
+        syncBtn.style.display = syncStarted ? 'none' : 'flex';
+        captureBtn.style.display = syncStarted ? 'flex' : 'none';
+        captureBtn.disabled = !syncStarted;
+        stopSyncBtn.disabled = !syncStarted;
+        flashSelector.classList.add('show');
+        deviceListPanel.classList.add('show');
+        rollSettings.classList.add('show');
+        burstSettings.classList.add('show');
+        sessionSettings.classList.add('show');
+        readinessPanel.classList.toggle('show', !syncStarted);
+        previewPanel.classList.add('show');
+        profilePanel.classList.add('show');
+        namingPanel.classList.add('show');
+        slatePanel.classList.add('show');
+        updateStatus(syncStarted ? 'Ready - waiting for buffer...' : 'Press START SYNC to begin');
+        if (isRecordingActive) updateBufferCountdown();
+    } else {
+        syncBtn.style.display = 'none';
+        captureBtn.style.display = 'none';
+        flashSelector.classList.remove('show');
+        deviceListPanel.classList.remove('show');
+        rollSettings.classList.remove('show');
+        burstSettings.classList.remove('show');
+        sessionSettings.classList.remove('show');
+        readinessPanel.classList.remove('show');
+        previewPanel.classList.remove('show');
+        profilePanel.classList.remove('show');
+        namingPanel.classList.remove('show');
+        slatePanel.classList.remove('show');
+        updateStatus(syncStarted ? 'Waiting for conductor to capture...' : 'Waiting for conductor to start sync...');
+    }
+}
+
 function updateStatus(text) {
     statusText.textContent = text;
 }
@@ -702,6 +1073,647 @@ function updateFlashIndicator(isFlash) {
     }
 }
 
+function updateUploadIndicator({ pending, failed }) {
+    uploadCounts = { pending, failed };
+    if (pending === 0 && failed === 0) {
+        uploadIndicator.classList.remove('show');
+        return;
+    }
+
+    let text = `📦 ${pending} clip${pending !== 1 ? 's' : ''} waiting to upload`;
+    if (failed) text += ` (${failed} rejected)`;
+
+    uploadIndicator.textContent = text;
+    uploadIndicator.classList.add('show');
+}
+
+function updateCaptureProgress(progress) {
+    const { counts, total } = progress;
+    let text = `📤 ${progress.folderName}: ${counts.done}/${total} uploaded`;
+
+    if (counts.uploading) text += `, ${counts.uploading} uploading`;
+    if (counts.failed) text += `, ${counts.failed} failed`;
+    if (counts.missing) text += `, ${counts.missing} missing`;
+    if (progress.finished) text += progress.timedOut ? ' (timed out)' : ' ✅';
+
+    captureProgress.textContent = text;
+    captureProgress.style.display = 'block';
+}
+
+// === READINESS ===
+// Recording format for this phone: the profile's codec if we can, else the first we can
+// (null = it can't record)
+function supportedMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    const preferred = RECORDING_FORMATS.filter(format => format.codec === captureProfile.codec);
+    const format = [...preferred, ...RECORDING_FORMATS].find(f => MediaRecorder.isTypeSupported(f.mimeType));
+    return format ? format.mimeType : null;
+}
+
+// 'webm' or 'mp4' - what the clip file will be
+function containerOf(mimeType) {
+    return /^video\/mp4/i.test(mimeType || '') ? 'mp4' : 'webm';
+}
+
+// Tell the server what this phone can do right now (see lib/readiness.js for the fields)
+async function sendReadiness() {
+    if (!socket || !socket.connected) return;
+
+    const videoTrack = videoStream && videoStream.getVideoTracks()[0];
+    const audioTrack = videoStream && videoStream.getAudioTracks()[0];
+    const settings = videoTrack ? videoTrack.getSettings() : {};
+
+    let battery = null;
+    try {
+        if (navigator.getBattery) {
+            const status = await navigator.getBattery();
+            battery = { level: Math.round(status.level * 100), charging: status.charging };
+        }
+    } catch (error) {}
+
+    let storage = null;
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            storage = { freeBytes: estimate.quota - estimate.usage };
+        }
+    } catch (error) {}
+
+    socket.emit('readiness', {
+        camera: {
+            ok: !!videoTrack && videoTrack.readyState === 'live',
+            error: startupErrors.camera,
+            width: settings.width || null,
+            height: settings.height || null,
+            frameRate: settings.frameRate || null,
+            // How the room's capture profile worked out
+            facingMode: settings.facingMode || null,
+            videoBitsPerSecond: (ringBuffer.recorder && ringBuffer.recorder.videoBitsPerSecond) || captureProfile.videoBitsPerSecond,
+            bufferMs: captureProfile.bufferMs,
+            locks: appliedProfile.locks,
+            profileVersion: appliedProfile.version,
+            profileError: appliedProfile.error
+        },
+        mic: { ok: !!audioTrack && audioTrack.readyState === 'live' },
+        audioMixing: { ok: !!mixedStream, error: startupErrors.audio },
+        torch: hasFlash,
+        mimeType: isRecordingActive ? ringBuffer.mimeType : supportedMimeType(),
+        battery,
+        storage,
+        rttMs: clockSync.getStats().rttMs,
+        // Not part of the pre-flight check - shown on the operator dashboard
+        recording: {
+            active: isRecordingActive,
+            bufferedMs: isRecordingActive ? Math.round(ringBuffer.bufferedMs()) : 0,
+            segments: isRecordingActive ? ringBuffer.allClusters().length : 0
+        },
+        uploads: uploadCounts
+    });
+}
+
+// Conductor's pre-flight table: ✅ / ❌ per phone, plus what it reported
+function updateReadinessTable({ phones, ready, total }) {
+    readinessPanel.querySelector('summary').textContent = `${ready === total ? '✅' : '⏳'} Ready ${ready}/${total}`;
+    syncBtn.textContent = total > 0 ? `START SYNC (${ready}/${total})` : 'START SYNC';
+
+    // Quorum choices: all, or at least 1..total-1 (only rebuilt when the number of phones changes)
+    if (quorumSelect.options.length !== Math.max(total, 1)) {
+        const selected = quorumSelect.value;
+        quorumSelect.innerHTML = '<option value="all">all phones are ready</option>';
+        for (let count = total - 1; count >= 1; count--) {
+            const option = document.createElement('option');
+            option.value = String(count);
+            option.textContent = `at least ${count} ready`;
+            quorumSelect.appendChild(option);
+        }
+        quorumSelect.value = Array.from(quorumSelect.options).some(o => o.value === selected) ? selected : 'all';
+    }
+
+    readinessRows.innerHTML = '';
+    phones.forEach(phone => {
+        const row = document.createElement('div');
+        row.className = `readiness-row ${phone.ready ? 'ready' : 'not-ready'}`;
+
+        const title = document.createElement('div');
+        title.textContent = `${phone.ready ? '✅' : '❌'} ${phone.deviceId === deviceId ? 'This phone' : deviceLabel(phone)}`;
+
+        const report = phone.report || {};
+        const details = [];
+        if (report.camera && report.camera.width) {
+            details.push(`${report.camera.width}×${report.camera.height}` +
+                `${report.camera.frameRate ? ` @${Math.round(report.camera.frameRate)}` : ''}`);
+        }
+        if (report.torch) details.push('🔦');
+        if (report.battery) details.push(`🔋${report.battery.level}%${report.battery.charging ? '⚡' : ''}`);
+        if (report.storage && Number.isFinite(report.storage.freeBytes)) {
+            details.push(`💾${(report.storage.freeBytes / 1024 / 1024 / 1024).toFixed(1)}GB`);
+        }
+        if (Number.isFinite(report.rttMs)) details.push(`📶${Math.round(report.rttMs)}ms`);
+
+        const info = document.createElement('div');
+        info.className = 'readiness-details';
+        info.textContent = [...details, ...phone.problems, ...phone.warnings.map(w => `⚠️ ${w}`)].join(' · ');
+
+        row.append(title, info);
+        readinessRows.appendChild(row);
+    });
+}
+
+// === CAPTURE PROFILE ===
+// The conductor picks resolution, frame rate, camera, bitrate, buffer length and locks for
+// the whole room. Camera settings go onto the running camera (front/back needs a new one);
+// while recording, the recorder restarts with them - which empties the buffer, so only
+// when something it uses changed.
+async function applyCaptureProfile(profile) {
+    const previous = captureProfile;
+    captureProfile = profile;
+    preRollInput.max = String(profile.bufferMs / 1000);
+    showProfileForm(profile);
+    if (!videoStream) return; // No camera - nothing to apply it to
+
+    debugLog(`🎛️ Capture profile v${profile.version}: ${profile.width}×${profile.height} @${profile.frameRate}fps, ` +
+        `${profile.facingMode}, ${profile.codec}, ${profile.videoBitsPerSecond / 1000000} Mbps, ${profile.bufferMs / 1000}s buffer`, 'info');
+
+    let error = null;
+    try {
+        if (profile.facingMode !== previous.facingMode) {
+            await switchCamera(previous.facingMode);
+        }
+        appliedProfile.locks = await applyCameraSettings(videoStream.getVideoTracks()[0]);
+    } catch (err) {
+        error = err.message || String(err);
+        debugLog(`⚠️ Could not apply camera settings: ${error}`, 'warning');
+    }
+
+    const recorderChanged = ['width', 'height', 'frameRate', 'facingMode', 'videoBitsPerSecond', 'codec', 'bufferMs']
+        .some(key => profile[key] !== previous[key]);
+    if (isRecordingActive && recorderChanged) {
+        await restartRecording();
+    }
+
+    appliedProfile.version = profile.version;
+    appliedProfile.error = error;
+    sendReadiness(); // Tell the conductor what we really got
+}
+
+// getUserMedia / applyConstraints video settings from the profile
+function videoConstraints() {
+    return {
+        facingMode: captureProfile.facingMode,
+        width: { ideal: captureProfile.width },
+        height: { ideal: captureProfile.height },
+        frameRate: { ideal: captureProfile.frameRate }
+    };
+}
+
+function recorderOptions() {
+    const mimeType = supportedMimeType();
+    return {
+        ...(mimeType ? { mimeType } : {}), // (none known: let the browser pick)
+        videoBitsPerSecond: captureProfile.videoBitsPerSecond
+    };
+}
+
+// Resolution, frame rate and exposure/white balance/focus locks on the running camera.
+// A lock freezes what the camera is doing now ('manual', or 'single-shot' if that's all it has).
+// → { exposureLock: true/false, ... } for each lock asked for (false = this camera can't)
+async function applyCameraSettings(videoTrack) {
+    const modes = { exposureLock: 'exposureMode', whiteBalanceLock: 'whiteBalanceMode', focusLock: 'focusMode' };
+    const capabilities = videoTrack.getCapabilities ? videoTrack.getCapabilities() : {};
+
+    const wanted = {};
+    Object.entries(modes).forEach(([lock, mode]) => {
+        const supported = capabilities[mode] || [];
+        wanted[mode] = captureProfile[lock]
+            ? supported.find(m => m === 'manual' || m === 'single-shot')
+            : supported.find(m => m === 'continuous');
+    });
+
+    // One call (applyConstraints replaces everything set before); advanced ones are skipped if impossible
+    await videoTrack.applyConstraints({
+        ...videoConstraints(),
+        facingMode: undefined, // Can't change on a running camera (see switchCamera)
+        advanced: Object.entries(wanted).filter(([, value]) => value).map(([mode, value]) => ({ [mode]: value }))
+    });
+
+    const settings = videoTrack.getSettings();
+    const locks = {};
+    Object.entries(modes).forEach(([lock, mode]) => {
+        if (captureProfile[lock]) locks[lock] = !!wanted[mode] && settings[mode] === wanted[mode];
+    });
+    return locks;
+}
+
+// Front ↔ back camera: open the other camera and swap its track into the preview and the recording.
+// Many phones can't have both open, so the old one is closed first (and reopened if this fails).
+async function switchCamera(previousFacingMode) {
+    const oldTrack = videoStream.getVideoTracks()[0];
+    oldTrack.stop();
+
+    let newTrack;
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints() });
+        newTrack = stream.getVideoTracks()[0];
+    } catch (error) {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { ...videoConstraints(), facingMode: previousFacingMode }
+        });
+        newTrack = stream.getVideoTracks()[0];
+        replaceVideoTrack(oldTrack, newTrack);
+        throw error;
+    }
+    replaceVideoTrack(oldTrack, newTrack);
+
+    hasFlash = await detectTorchCapability(newTrack);
+    socket.emit('register-flash', { hasFlash });
+    debugLog(`📷 Switched to the ${captureProfile.facingMode === 'user' ? 'front' : 'back'} camera`, 'success');
+}
+
+function replaceVideoTrack(oldTrack, newTrack) {
+    [videoStream, mixedStream].forEach(stream => {
+        if (!stream) return;
+        stream.removeTrack(oldTrack);
+        stream.addTrack(newTrack);
+    });
+    videoPreview.srcObject = videoStream;
+}
+
+// New recorder with the current profile (the buffer starts over)
+async function restartRecording() {
+    while (activeSaves > 0 || capturesInProgress > 0) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (!isRecordingActive) return; // Stopped while we waited
+
+    ringBuffer.stop();
+    ringBuffer.start(mixedStream, recorderOptions(), captureProfile.bufferMs);
+    debugLog('📼 Recorder restarted with the new settings', 'info');
+    updateBufferCountdown();
+}
+
+// Conductor: show the room's profile in the settings form
+function showProfileForm(profile) {
+    profileResolution.value = `${profile.width}x${profile.height}`;
+    profileFrameRate.value = String(profile.frameRate);
+    profileFacingMode.value = profile.facingMode;
+    profileBitrate.value = String(profile.videoBitsPerSecond / 1000000);
+    profileCodec.value = profile.codec;
+    profileBuffer.value = String(profile.bufferMs / 1000);
+    profileExposureLock.checked = profile.exposureLock;
+    profileWhiteBalanceLock.checked = profile.whiteBalanceLock;
+    profileFocusLock.checked = profile.focusLock;
+}
+
+// Conductor: send the form to every phone
+profileForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const [width, height] = profileResolution.value.split('x').map(Number);
+    socket.emit('set-capture-profile', {
+        width,
+        height,
+        frameRate: Number(profileFrameRate.value),
+        facingMode: profileFacingMode.value,
+        videoBitsPerSecond: Math.round(parseFloat(profileBitrate.value) * 1000000),
+        codec: profileCodec.value,
+        bufferMs: Math.round(parseFloat(profileBuffer.value) * 1000),
+        exposureLock: profileExposureLock.checked,
+        whiteBalanceLock: profileWhiteBalanceLock.checked,
+        focusLock: profileFocusLock.checked
+    }, (response) => {
+        if (response && response.success) {
+            showMessage(syncStarted ? '🎛️ Settings sent - buffers restart' : '🎛️ Settings sent', 2000);
+        } else {
+            showMessage(`❌ ${(response && response.error) || 'Could not change settings'}`, 2500);
+        }
+    });
+});
+
+// === NAMING ===
+// The conductor sets project, scene and take (take goes up by itself with every capture)
+// and the folder/clip templates. The server does the naming and checks the templates.
+let namingShown = null; // Naming last put in the form
+
+function showNamingForm(naming) {
+    // Don't overwrite what the conductor is typing
+    if (!namingForm.contains(document.activeElement)) {
+        namingShown = naming;
+        namingProject.value = naming.project;
+        namingScene.value = naming.scene;
+        namingTake.value = String(naming.take);
+        namingFolderTemplate.value = naming.folderTemplate;
+        namingClipTemplate.value = naming.clipTemplate;
+    }
+    // (the extension is each phone's own: .webm, or .mp4 from iPhones)
+    namingPreview.textContent = `Next: ${naming.nextFolder}/${naming.nextClip} (.webm / .mp4)`;
+}
+
+namingForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    // New scene with the take left alone → the server carries on from that scene's last take
+    const newScene = namingShown && (namingProject.value !== namingShown.project || namingScene.value !== namingShown.scene);
+    const takeEdited = !namingShown || namingTake.value !== String(namingShown.take);
+    socket.emit('set-naming', {
+        project: namingProject.value,
+        scene: namingScene.value,
+        take: newScene && !takeEdited ? undefined : namingTake.value,
+        folderTemplate: namingFolderTemplate.value.trim(),
+        clipTemplate: namingClipTemplate.value.trim()
+    }, (response) => {
+        if (response && response.success) {
+            document.activeElement.blur();
+            showNamingForm(response.naming);
+            showMessage(`🎬 Next: scene ${response.naming.scene}, take ${response.naming.take}`, 2000);
+        } else {
+            showMessage(`❌ ${(response && response.error) || 'Could not change naming'}`, 3000);
+        }
+    });
+});
+
+// === SLATE ===
+// Every capture gets a slate: scene and take from the naming, a note and a rating from the
+// conductor (lib/slate.js). The conductor can rate and annotate the newest takes here any time.
+function updateRecentTakes(takes) {
+    // Don't rebuild while the conductor is typing a note
+    if (recentTakesRows.contains(document.activeElement)) return;
+
+    recentTakesRows.innerHTML = '';
+    takes.forEach(({ folderName, slate }) => {
+        const row = document.createElement('div');
+        row.className = 'device-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${slate.scene} T${String(slate.take).padStart(2, '0')}`;
+        label.title = folderName;
+
+        const note = document.createElement('input');
+        note.type = 'text';
+        note.maxLength = 500;
+        note.placeholder = 'Note';
+        note.value = slate.note || '';
+        note.addEventListener('change', () => annotateCapture(folderName, { note: note.value }));
+
+        const ratings = Object.entries(RATING_ICONS).map(([rating, icon]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = icon;
+            button.title = rating;
+            button.classList.toggle('active', slate.rating === rating);
+            // Pressing the current rating again clears it
+            button.addEventListener('click', () => annotateCapture(folderName, { rating: slate.rating === rating ? null : rating }));
+            return button;
+        });
+
+        row.append(label, note, ...ratings);
+        recentTakesRows.appendChild(row);
+    });
+}
+
+function annotateCapture(folderName, changes) {
+    socket.emit('annotate-capture', { folderName, ...changes }, (result) => {
+        if (!result || !result.success) {
+            showMessage(`❌ ${(result && result.error) || 'Could not change the slate'}`, 3000);
+        }
+    });
+}
+
+// Full-screen slate for a moment at capture, so the other cameras have it on film
+function showSlate(slate) {
+    slateOverlay.innerHTML = '';
+    const lines = [
+        ['project', slate.project],
+        ['scene-take', `${slate.scene} / ${String(slate.take).padStart(2, '0')}`],
+        ['note', slate.note]
+    ];
+    lines.forEach(([className, text]) => {
+        if (!text) return;
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        slateOverlay.appendChild(line);
+    });
+    slateOverlay.classList.add('show');
+    setTimeout(() => slateOverlay.classList.remove('show'), SLATE_DISPLAY_MS);
+}
+
+// === LIVE THUMBNAILS ===
+// Every few seconds a small still from the camera goes to the server, so the conductor
+// and the dashboard can check every phone's framing. Skipped while a capture is being
+// cut or uploaded, so it never competes with the recording.
+function scheduleThumbnail() {
+    clearTimeout(thumbnailTimer);
+    thumbnailTimer = setTimeout(sendThumbnail, thumbnailIntervalMs);
+}
+
+async function sendThumbnail() {
+    try {
+        if (thumbnailsPaused()) return;
+
+        const width = THUMBNAIL_WIDTH;
+        const height = Math.round(videoPreview.videoHeight / videoPreview.videoWidth * width);
+        thumbnailCanvas.width = width;
+        thumbnailCanvas.height = height;
+        thumbnailCanvas.getContext('2d').drawImage(videoPreview, 0, 0, width, height);
+
+        const blob = await new Promise(resolve => thumbnailCanvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+        if (!blob || thumbnailsPaused()) return;
+        socket.emit('thumbnail', { image: await blob.arrayBuffer(), width, height, takenAt: clockSync.now() });
+    } catch (error) {
+        console.warn('⚠️ Thumbnail failed:', error);
+    } finally {
+        if (socket.connected) scheduleThumbnail();
+    }
+}
+
+function thumbnailsPaused() {
+    return !socket.connected || !roomCode || document.hidden || !videoPreview.videoWidth ||
+        capturesInProgress > 0 || activeSaves > 0 || uploadCounts.pending > 0;
+}
+
+// Conductor: only get thumbnails while the previews are open
+function watchThumbnails() {
+    if (myRole === 'conductor') {
+        socket.emit('watch-thumbnails', { enabled: previewPanel.open });
+    }
+}
+
+previewPanel.addEventListener('toggle', watchThumbnails);
+
+// Conductor: put a phone's newest still in its tile (one tile per phone)
+function showPreview(data) {
+    let preview = previewTiles.get(data.deviceId);
+    if (!preview) {
+        const tile = document.createElement('div');
+        tile.className = 'preview-tile';
+        const img = document.createElement('img');
+        img.alt = '';
+        const label = document.createElement('div');
+        tile.append(img, label);
+        previewGrid.appendChild(tile);
+        preview = { tile, img, label, url: null };
+        previewTiles.set(data.deviceId, preview);
+    }
+
+    if (preview.url) URL.revokeObjectURL(preview.url);
+    preview.url = URL.createObjectURL(new Blob([data.image], { type: 'image/jpeg' }));
+    preview.img.src = preview.url;
+    updatePreviewLabels();
+}
+
+function updatePreviewLabels() {
+    previewTiles.forEach((preview, id) => {
+        const device = knownDevices.find(d => d.deviceId === id) || { deviceId: id };
+        preview.label.textContent = id === deviceId ? 'This phone' : deviceLabel(device);
+        preview.tile.classList.toggle('offline', device.connected === false);
+    });
+}
+
+// === DEVICE IDENTITY ===
+// Stable ID kept in localStorage, so the server recognises this phone after a reconnect or reload
+function getDeviceId() {
+    let id = null;
+    try {
+        id = localStorage.getItem(DEVICE_ID_KEY);
+    } catch (error) {
+        // Private mode etc. - we just get a new ID each load
+    }
+    if (!id) {
+        id = `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        try {
+            localStorage.setItem(DEVICE_ID_KEY, id);
+        } catch (error) {}
+    }
+    return id;
+}
+
+// === ROOM CODE ===
+// "k7px2m" or " K7PX2M " → "K7PX2M"; null if it can't be a room code (same rule as lib/rooms.js)
+function normalizeRoomCode(code) {
+    const tidy = String(code || '').trim().toUpperCase();
+    return /^[A-Z2-9]{4,8}$/.test(tidy) ? tidy : null;
+}
+
+function getRoomCodeFromUrl() {
+    return normalizeRoomCode(new URLSearchParams(window.location.search).get('room'));
+}
+
+// This room's conductor token from localStorage (null if we don't have one)
+function getConductorToken() {
+    if (!roomCode) return null;
+    try {
+        return localStorage.getItem(`${CONDUCTOR_TOKEN_KEY}:${roomCode}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveConductorToken(token) {
+    if (!roomCode) return;
+    try {
+        if (token) {
+            localStorage.setItem(`${CONDUCTOR_TOKEN_KEY}:${roomCode}`, token);
+        } else {
+            localStorage.removeItem(`${CONDUCTOR_TOKEN_KEY}:${roomCode}`);
+        }
+    } catch (error) {}
+}
+
+// Clients can take control when the room has no conductor, or anytime with a PIN
+function updateClaimButton() {
+    const canClaim = myRole === 'client' && (!roomStatus.hasConductor || roomStatus.pinRequired);
+    claimBtn.classList.toggle('show', canClaim);
+}
+
+// Room code, QR code and join link, so other phones can get in
+function updateRoomPanel() {
+    if (!roomCode) return;
+    const joinUrl = `${SERVER_URL}/?room=${roomCode}`;
+    roomCodeText.textContent = roomCode;
+    roomLink.textContent = joinUrl;
+    roomLink.href = joinUrl;
+    roomQr.src = `/api/rooms/${roomCode}/qr.svg`;
+    roomPanel.classList.add('show');
+    // Open it for the conductor - they're the one showing it to everyone
+    roomPanel.open = myRole === 'conductor';
+}
+
+// "#3 left-wing", "left-wing", or "Phone 1a2b3c4d" for phones without a name yet
+function deviceLabel(device) {
+    const name = device.name || `Phone ${device.deviceId.slice(-8)}`;
+    return device.position ? `#${device.position} ${name}` : name;
+}
+
+// Start of our filenames: cam03_left-wing_1a2b3c4d (camXX = no position yet, sorts last)
+function fileLabel() {
+    const position = deviceInfo.position ? String(deviceInfo.position).padStart(2, '0') : 'XX';
+    const name = (deviceInfo.name || 'phone').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'phone';
+    const shortId = deviceId.replace(/[^A-Za-z0-9]/g, '').slice(-8);
+    return `cam${position}_${name.slice(0, 24)}_${shortId}`;
+}
+
+function updateRoleDisplay() {
+    if (!myRole) return;
+    const role = myRole === 'conductor' ? '🎵 CONDUCTOR' : '📱 CLIENT';
+    const label = deviceInfo.name || deviceInfo.position ? ` · ${deviceLabel(deviceInfo)}` : '';
+    roleDisplay.textContent = role + label;
+    roleDisplay.className = `role ${myRole}`;
+}
+
+// Conductor's list of phones: set each one's camera position and name
+function updateDeviceList(devices) {
+    // Don't rebuild while the conductor is typing in it
+    if (deviceListRows.contains(document.activeElement)) return;
+
+    deviceListRows.innerHTML = '';
+    deviceListPanel.querySelector('summary').textContent = `📋 Phones (${devices.filter(d => d.connected).length}/${devices.length})`;
+
+    devices.forEach(device => {
+        const row = document.createElement('div');
+        row.className = `device-row${device.connected ? '' : ' offline'}`;
+
+        const position = document.createElement('input');
+        position.type = 'number';
+        position.min = '1';
+        position.placeholder = '#';
+        position.value = device.position || '';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.maxLength = 32;
+        name.placeholder = `Phone ${device.deviceId.slice(-8)}`;
+        name.value = device.name || '';
+
+        const info = document.createElement('span');
+        info.textContent = `${device.deviceId === deviceId ? 'this phone' : device.role || 'offline'}`;
+
+        // 👑 = hand control to this phone
+        const handOff = document.createElement('button');
+        handOff.type = 'button';
+        handOff.textContent = '👑';
+        handOff.title = 'Make this phone the conductor';
+        handOff.disabled = !device.connected || device.deviceId === deviceId;
+        handOff.addEventListener('click', () => handOffTo(device));
+
+        const save = () => {
+            socket.emit('update-device', {
+                deviceId: device.deviceId,
+                name: name.value,
+                position: position.value === '' ? null : parseInt(position.value, 10)
+            }, (result) => {
+                if (!result.success) {
+                    showMessage(`❌ ${result.error}`, 3000);
+                    position.value = device.position || '';
+                    name.value = device.name || '';
+                }
+            });
+        };
+        position.addEventListener('change', save);
+        name.addEventListener('change', save);
+
+        row.append(position, name, info, handOff);
+        deviceListRows.appendChild(row);
+    });
+}
+
 function updateFlashPhonesList(phones) {
     // Clear current options except "No Flash"
     flashPhoneSelect.innerHTML = '<option value="none">No Flash</option>';
@@ -710,9 +1722,9 @@ function updateFlashPhonesList(phones) {
     phones.forEach(phone => {
         const option = document.createElement('option');
         option.value = phone.id;
-        option.textContent = phone.id === socket.id ?
+        option.textContent = phone.id === deviceId ?
             `This Phone (${phone.role})` :
-            `Phone ${phone.id.substring(0, 8)}... (${phone.role})`;
+            `${deviceLabel({ deviceId: phone.id, ...phone })} (${phone.role})`;
         flashPhoneSelect.appendChild(option);
     });
 
@@ -0,0 +1,140 @@
+// This is the CLOCK SYNC for the phone app
+// It works out how far this phone's clock is from the server's clock (NTP-style)
+// so every phone can fire the beep/flash at the SAME moment instead of
+// whenever the Wi-Fi packet happens to arrive.
+
+// === CONFIGURATION ===
+const CLOCK_BURST_SIZE = 8;          // Pings sent right after connecting
+const CLOCK_BURST_SPACING_MS = 150;  // Gap between burst pings
+const CLOCK_PING_INTERVAL_MS = 5000; // Keep refining the estimate every 5 seconds
+const CLOCK_MAX_SAMPLES = 30;        // How many recent samples to remember
+const CLOCK_BEST_SAMPLES = 5;        // Only trust the lowest-RTT samples
+const CLOCK_SPIN_MS = 15;            // Busy-wait the last few ms for a precise fire time
+
+class ClockSync {
+    constructor() {
+        this.socket = null;
+        this.samples = [];   // { offset, rtt, at }
+        this.offset = 0;     // serverTime - localTime (ms)
+        this.error = null;   // +/- bound on the offset (ms), null until first sample
+        this.rtt = null;     // Round trip of the best sample (ms)
+        this.pingTimer = null;
+    }
+
+    // Local clock: monotonic (doesn't jump if the phone adjusts its time)
+    localNow() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    // Our best guess of what the server's clock says right now
+    now() {
+        return this.localNow() + this.offset;
+    }
+
+    // Convert a server timestamp into this phone's local clock
+    toLocal(serverTime) {
+        return serverTime - this.offset;
+    }
+
+    isSynced() {
+        return this.error !== null;
+    }
+
+    // Start pinging the server (call again after every reconnect)
+    start(socket) {
+        this.socket = socket;
+        this.stop();
+
+        // Quick burst so we have a decent estimate before the first capture
+        for (let i = 0; i < CLOCK_BURST_SIZE; i++) {
+            setTimeout(() => this.ping(), i * CLOCK_BURST_SPACING_MS);
+        }
+
+        this.pingTimer = setInterval(() => this.ping(), CLOCK_PING_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+
+    // One NTP-style exchange:
+    //   t0 = we send, t1 = server receives, t2 = server replies, t3 = we receive
+    //   offset = ((t1 - t0) + (t2 - t3)) / 2
+    //   rtt    = (t3 - t0) - (t2 - t1)
+    ping() {
+        if (!this.socket || !this.socket.connected) return;
+
+        const t0 = this.localNow();
+        this.socket.emit('clock-ping', { t0 }, (reply) => {
+            const t3 = this.localNow();
+            if (!reply || reply.t0 !== t0) return;
+
+            const offset = ((reply.t1 - t0) + (reply.t2 - t3)) / 2;
+            const rtt = (t3 - t0) - (reply.t2 - reply.t1);
+            this.addSample({ offset, rtt, at: t3 });
+        });
+    }
+
+    addSample(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > CLOCK_MAX_SAMPLES) {
+            this.samples.shift();
+        }
+
+        // Samples with the shortest round trip are the least affected by jitter.
+        // Use the median offset of those, and the best RTT for the error bound
+        // (the true offset is always within +/- rtt/2 of a sample's estimate).
+        const best = [...this.samples]
+            .sort((a, b) => a.rtt - b.rtt)
+            .slice(0, CLOCK_BEST_SAMPLES);
+        const offsets = best.map(s => s.offset).sort((a, b) => a - b);
+        const spread = offsets[offsets.length - 1] - offsets[0];
+
+        this.offset = offsets[Math.floor(offsets.length / 2)];
+        this.rtt = best[0].rtt;
+        this.error = best[0].rtt / 2 + spread / 2;
+    }
+
+    // Run fn() when the server clock reaches serverTime.
+    // Resolves with timing info so it can go into the upload metadata.
+    schedule(serverTime, fn) {
+        return new Promise((resolve) => {
+            const fire = () => {
+                const firedAtServer = this.now();
+                fn();
+                resolve({
+                    scheduledAt: serverTime,
+                    firedAtServer: Math.round(firedAtServer),
+                    lateMs: Math.round(firedAtServer - serverTime)
+                });
+            };
+
+            const spin = () => {
+                while (this.now() < serverTime) { /* wait the last few ms */ }
+                fire();
+            };
+
+            const delay = serverTime - this.now();
+            if (delay <= 0) {
+                fire();
+            } else if (delay <= CLOCK_SPIN_MS) {
+                spin();
+            } else {
+                setTimeout(spin, delay - CLOCK_SPIN_MS);
+            }
+        });
+    }
+
+    // Snapshot of the current estimate (goes into upload metadata)
+    getStats() {
+        return {
+            offsetMs: Math.round(this.offset * 10) / 10,
+            errorMs: this.error === null ? null : Math.round(this.error * 10) / 10,
+            rttMs: this.rtt === null ? null : Math.round(this.rtt * 10) / 10,
+            samples: this.samples.length
+        };
+    }
+}
@@ -0,0 +1,268 @@
+// This is the DASHBOARD page
+// An operator's live view of every phone in a room (from a laptop): who's connected,
+// how their network and battery are doing, whether they're recording and how their
+// last upload went - and buttons to identify, rename or kick a phone.
+
+// === CONFIGURATION ===
+const SERVER_URL = window.location.origin;
+const PIN_KEY = 'retro-capture-dashboard-pin'; // sessionStorage, so the PIN isn't asked on every reload
+
+// === GLOBAL VARIABLES ===
+let socket = null;
+let room = normalizeRoomCode(new URLSearchParams(window.location.search).get('room'));
+const thumbnailUrls = new Map(); // deviceId → object URL of its newest live thumbnail
+
+// === ELEMENTS ===
+const heading = document.getElementById('dashboard-heading');
+const roomForm = document.getElementById('room-form');
+const roomInput = document.getElementById('room-input');
+const sessionInfo = document.getElementById('session-info');
+const captureInfo = document.getElementById('capture-info');
+const deviceGrid = document.getElementById('device-grid');
+
+// === CONNECTION ===
+function connect() {
+    if (socket) socket.close();
+    if (!room) return;
+
+    heading.textContent = `🖥️ Room ${room}`;
+    roomInput.value = room;
+    deviceGrid.innerHTML = '<div class="empty">Connecting...</div>';
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrls.clear();
+
+    socket = io(SERVER_URL, {
+        auth: (cb) => cb({ room, dashboard: true, pin: sessionStorage.getItem(PIN_KEY) })
+    });
+
+    socket.on('dashboard', render);
+    socket.on('thumbnail', showThumbnail);
+
+    // Room is protected by the conductor PIN
+    socket.on('dashboard-error', (data) => {
+        if (data.pinRequired && data.error === 'Wrong PIN') {
+            const pin = window.prompt(`${sessionStorage.getItem(PIN_KEY) ? 'Wrong PIN. ' : ''}Conductor PIN for room ${room}`);
+            if (pin !== null) {
+                sessionStorage.setItem(PIN_KEY, pin);
+                connect();
+                return;
+            }
+        }
+        deviceGrid.innerHTML = `<div class="empty">❌ ${data.error}</div>`;
+    });
+
+    socket.on('disconnect', (reason) => {
+        // (the server only closes us itself after a dashboard-error)
+        if (reason !== 'io server disconnect') {
+            sessionInfo.textContent = '⚠️ Disconnected - reconnecting...';
+        }
+    });
+}
+
+// Open another room
+roomForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const code = normalizeRoomCode(roomInput.value);
+    if (!code) {
+        alert('Room codes are 4-8 letters and numbers');
+        return;
+    }
+    room = code;
+    history.replaceState(null, '', `?room=${encodeURIComponent(room)}`);
+    connect();
+});
+
+// === RENDERING ===
+function render(state) {
+    const connected = state.phones.filter(phone => phone.connected);
+    const ready = connected.filter(phone => phone.ready).length;
+    const profile = state.captureProfile;
+    sessionInfo.textContent = `Session ${state.sessionId} · ${state.syncStarted ? '🔴 recording' : '⏸ not synced'} · ` +
+        `🎛️ ${profile.width}×${profile.height} @${profile.frameRate}fps ${profile.videoBitsPerSecond / 1000000} Mbps · ` +
+        `🎬 ${state.naming.project} · scene ${state.naming.scene} · take ${state.naming.take} · ` +
+        `${connected.length} phone${connected.length !== 1 ? 's' : ''} (${ready} ready)` +
+        `${state.hasConductor ? '' : ' · ⚠️ no conductor'}`;
+
+    if (state.lastCapture) {
+        const { counts, total, slate } = state.lastCapture;
+        captureInfo.textContent = `Last capture ${state.lastCapture.folderName}: ${counts.done}/${total} saved` +
+            `${counts.failed + counts.missing > 0 ? `, ${counts.failed + counts.missing} failed/missing` : ''}` +
+            `${slate ? ` · scene ${slate.scene} take ${slate.take}${slate.rating ? ` (${slate.rating})` : ''}${slate.note ? ` - ${slate.note}` : ''}` : ''}`;
+    } else {
+        captureInfo.textContent = '';
+    }
+
+    deviceGrid.innerHTML = '';
+    if (state.phones.length === 0) {
+        deviceGrid.innerHTML = '<div class="empty">No phones in this room yet</div>';
+        return;
+    }
+    state.phones.forEach(phone => deviceGrid.appendChild(renderCard(phone)));
+}
+
+function renderCard(phone) {
+    const report = phone.report || {};
+    const card = document.createElement('div');
+    card.className = `card${phone.connected ? '' : ' offline'}${phone.connected && !phone.ready ? ' not-ready' : ''}`;
+
+    const title = document.createElement('div');
+    title.className = 'title';
+    const name = document.createElement('span');
+    name.textContent = deviceLabel(phone);
+    const badge = document.createElement('span');
+    badge.className = `badge ${phone.role || ''}`;
+    badge.textContent = phone.connected ? `${phone.role === 'conductor' ? '🎵 ' : ''}${phone.role}` : 'offline';
+    title.append(name, badge);
+    card.appendChild(title);
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'thumbnail';
+    thumbnail.dataset.deviceId = phone.deviceId;
+    thumbnail.alt = '';
+    if (thumbnailUrls.has(phone.deviceId)) thumbnail.src = thumbnailUrls.get(phone.deviceId);
+    card.appendChild(thumbnail);
+
+    const rows = [
+        ['Network', rttText(report.rttMs), rttClass(report.rttMs)],
+        ['Camera', cameraText(report.camera)],
+        ['Format', report.mimeType ? report.mimeType.replace(/^video\//, '') : '-', report.mimeType ? '' : 'bad'],
+        ['Recording', recordingText(report.recording), report.recording && report.recording.active ? 'good' : ''],
+        ['Segments', report.recording ? String(report.recording.segments) : '-'],
+        ['Battery', batteryText(report.battery), batteryClass(report.battery)],
+        ['Upload queue', report.uploads ? `${report.uploads.pending} waiting${report.uploads.failed ? `, ${report.uploads.failed} rejected` : ''}` : '-'],
+        ['Last capture', phone.lastUpload ? phone.lastUpload.status : '-', uploadClass(phone.lastUpload)],
+        ['Flash', phone.isFlashPhone ? '⚡ flash phone' : (report.torch ? 'has torch' : 'no torch')],
+        ['Chirp index', String(phone.index)]
+    ];
+    rows.forEach(([label, value, className]) => {
+        const row = document.createElement('div');
+        row.className = 'row';
+        const left = document.createElement('span');
+        left.textContent = label;
+        const right = document.createElement('span');
+        right.textContent = value;
+        if (className) right.className = className;
+        row.append(left, right);
+        card.appendChild(row);
+    });
+
+    const notes = [...phone.problems, ...phone.warnings.map(warning => `⚠️ ${warning}`)];
+    if (phone.lastUpload && phone.lastUpload.error) notes.push(`Upload: ${phone.lastUpload.error}`);
+    if (notes.length > 0) {
+        const problems = document.createElement('div');
+        problems.className = 'problems bad';
+        problems.textContent = notes.join(' · ');
+        card.appendChild(problems);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(
+        actionButton('👋 Identify', !phone.connected, () => act('identify-device', { deviceId: phone.deviceId })),
+        actionButton('✏️ Rename', false, () => rename(phone)),
+        actionButton('👢 Kick', !phone.connected || phone.role === 'conductor', () => {
+            if (window.confirm(`Remove ${deviceLabel(phone)} from the session?`)) {
+                act('kick-device', { deviceId: phone.deviceId });
+            }
+        })
+    );
+    card.appendChild(actions);
+
+    return card;
+}
+
+// New live thumbnail from a phone - swap it into its card without redrawing the grid
+function showThumbnail(data) {
+    const url = URL.createObjectURL(new Blob([data.image], { type: 'image/jpeg' }));
+    if (thumbnailUrls.has(data.deviceId)) URL.revokeObjectURL(thumbnailUrls.get(data.deviceId));
+    thumbnailUrls.set(data.deviceId, url);
+
+    deviceGrid.querySelectorAll('img.thumbnail').forEach(img => {
+        if (img.dataset.deviceId === data.deviceId) img.src = url;
+    });
+}
+
+function actionButton(text, disabled, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// === ACTIONS ===
+function act(event, data) {
+    socket.emit(event, data, (result) => {
+        if (!result || !result.success) {
+            alert(`❌ ${(result && result.error) || 'Something went wrong'}`);
+        }
+    });
+}
+
+function rename(phone) {
+    const name = window.prompt('Name (empty = none)', phone.name || '');
+    if (name === null) return;
+    const position = window.prompt('Camera position (empty = none)', phone.position || '');
+    if (position === null) return;
+
+    act('update-device', {
+        deviceId: phone.deviceId,
+        name,
+        position: position.trim() === '' ? null : parseInt(position, 10)
+    });
+}
+
+// === HELPERS ===
+// Same rule as lib/rooms.js
+function normalizeRoomCode(code) {
+    const tidy = String(code || '').trim().toUpperCase();
+    return /^[A-Z2-9]{4,8}$/.test(tidy) ? tidy : null;
+}
+
+// "#3 left-wing", "left-wing", or "Phone 1a2b3c4d" (same as the phones show)
+function deviceLabel(device) {
+    const name = device.name || `Phone ${device.deviceId.slice(-8)}`;
+    return device.position ? `#${device.position} ${name}` : name;
+}
+
+function rttText(rttMs) {
+    return Number.isFinite(rttMs) ? `${Math.round(rttMs)}ms round trip` : 'not synced';
+}
+
+function rttClass(rttMs) {
+    if (!Number.isFinite(rttMs)) return 'bad';
+    return rttMs < 100 ? 'good' : rttMs < 300 ? 'ok' : 'bad';
+}
+
+function recordingText(recording) {
+    if (!recording) return '-';
+    return recording.active ? `● ${(recording.bufferedMs / 1000).toFixed(1)}s buffered` : 'idle';
+}
+
+function cameraText(camera) {
+    if (!camera || !camera.ok) return '-';
+    if (!camera.width) return 'on';
+    const fps = camera.frameRate ? ` @${Math.round(camera.frameRate)}fps` : '';
+    const bitrate = camera.videoBitsPerSecond ? ` · ${(camera.videoBitsPerSecond / 1000000).toFixed(1)} Mbps` : '';
+    return `${camera.width}×${camera.height}${fps}${bitrate}`;
+}
+
+function batteryText(battery) {
+    if (!battery) return 'unknown';
+    return `${battery.level}%${battery.charging ? ' ⚡' : ''}`;
+}
+
+function batteryClass(battery) {
+    if (!battery) return '';
+    if (battery.charging || battery.level >= 50) return 'good';
+    return battery.level >= 15 ? 'ok' : 'bad';
+}
+
+function uploadClass(upload) {
+    if (!upload) return '';
+    if (upload.status === 'done') return 'good';
+    return upload.status === 'failed' || upload.status === 'missing' ? 'bad' : 'ok';
+}
+
+// === STARTUP ===
+connect();
@@ -0,0 +1,347 @@
+// This is the GALLERY page
+// It lists every capture, shows one capture's clips in a grid, and plays
+// them all in lockstep so a take can be checked right after it was shot.
+
+// === CONFIGURATION ===
+// ?room=CODE shows that room's captures; without it, the ones uploaded before rooms existed
+const ROOM = (new URLSearchParams(window.location.search).get('room') || '').trim().toUpperCase() || null;
+const API_URL = ROOM
+    ? `${window.location.origin}/api/rooms/${encodeURIComponent(ROOM)}/captures`
+    : `${window.location.origin}/api/captures`;
+const DRIFT_TOLERANCE_S = 0.08; // Re-seek a clip if it drifts more than 80ms from the others
+const RATING_ICONS = { circle: '⭕', good: '👍', bad: '👎' };
+
+// === GLOBAL VARIABLES ===
+let selectedFolder = null;
+let tiles = [];          // [{ video, element, offset, duration, clip }]
+let timeline = { min: 0, max: 0 }; // Shared timeline (seconds, 0 = capture moment when aligned)
+let currentTime = 0;     // Position on the shared timeline
+let playing = false;
+let playStartedAt = 0;   // performance.now() when play was pressed
+let playStartedFrom = 0; // Timeline position when play was pressed
+
+// === ELEMENTS ===
+const captureList = document.getElementById('capture-list');
+const captureTitle = document.getElementById('capture-title');
+const clipGrid = document.getElementById('clip-grid');
+const playBtn = document.getElementById('play-btn');
+const scrubber = document.getElementById('scrubber');
+const timeDisplay = document.getElementById('time-display');
+const alignCheckbox = document.getElementById('align-checkbox');
+const exportLinks = document.getElementById('export-links');
+const galleryHeading = document.getElementById('gallery-heading');
+const filtersForm = document.getElementById('filters');
+const filterScene = document.getElementById('filter-scene');
+const filterRating = document.getElementById('filter-rating');
+const filterNote = document.getElementById('filter-note');
+
+if (ROOM) {
+    galleryHeading.textContent = `🎞️ Room ${ROOM}`;
+}
+
+// === CAPTURE LIST ===
+// (only the captures whose slate matches the filters - the server does the filtering)
+async function loadCaptures() {
+    const query = new URLSearchParams();
+    if (filterScene.value.trim()) query.set('scene', filterScene.value.trim());
+    if (filterRating.value) query.set('rating', filterRating.value);
+    if (filterNote.value.trim()) query.set('q', filterNote.value.trim());
+    const filtered = query.toString() !== '';
+
+    try {
+        const response = await fetch(filtered ? `${API_URL}?${query}` : API_URL);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        captureList.innerHTML = '';
+        if (data.captures.length === 0) {
+            captureList.innerHTML = `<div class="empty">${filtered ? 'No capture matches' : 'No captures yet'}</div>`;
+            return;
+        }
+
+        data.captures.forEach(capture => {
+            const item = document.createElement('div');
+            item.className = 'capture-item';
+            item.dataset.folder = capture.folderName;
+
+            const name = document.createElement('div');
+            name.className = 'name';
+            name.textContent = capture.folderName;
+
+            const summary = document.createElement('div');
+            summary.className = 'summary';
+            summary.textContent = capture.expected === null
+                ? 'No manifest yet'
+                : `${capture.received}/${capture.expected} clips${capture.complete ? ' ✅' : ''}`;
+            if (capture.slate) summary.textContent += ` · ${slateText(capture.slate)}`;
+
+            item.append(name, summary);
+            item.addEventListener('click', () => selectCapture(capture.folderName));
+            captureList.appendChild(item);
+        });
+
+        // Keep the open capture if it's still listed, else open the one from the URL (?capture=...) or the newest
+        const listed = (folder) => data.captures.some(capture => capture.folderName === folder);
+        if (selectedFolder && listed(selectedFolder)) {
+            highlightSelected();
+            return;
+        }
+        const requested = new URLSearchParams(window.location.search).get('capture');
+        selectCapture(requested && (!filtered || listed(requested)) ? requested : data.captures[0].folderName);
+    } catch (error) {
+        captureList.innerHTML = `<div class="empty">❌ Could not load captures: ${error.message}</div>`;
+    }
+}
+
+// === ONE CAPTURE ===
+async function selectCapture(folderName) {
+    pause();
+    selectedFolder = folderName;
+    highlightSelected();
+    const query = new URLSearchParams({ capture: folderName });
+    if (ROOM) query.set('room', ROOM);
+    history.replaceState(null, '', `?${query}`);
+
+    captureTitle.textContent = `Loading ${folderName}...`;
+    clipGrid.innerHTML = '';
+    updateExportLinks(folderName);
+    tiles = [];
+
+    try {
+        const response = await fetch(`${API_URL}/${encodeURIComponent(folderName)}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        if (selectedFolder !== folderName) return; // Another capture was picked meanwhile
+
+        const manifest = data.manifest;
+        captureTitle.textContent = manifest
+            ? `${folderName} - ${manifest.received}/${manifest.expected} clips${manifest.timedOut ? ' (timed out)' : ''}`
+            : `${folderName} - ${data.clips.length} clips`;
+        if (manifest && manifest.slate) captureTitle.textContent += ` - ${slateText(manifest.slate)}`;
+
+        if (data.clips.length === 0) {
+            clipGrid.innerHTML = '<div class="empty">No clips in this capture</div>';
+            return;
+        }
+
+        tiles = data.clips.map(createTile);
+        await Promise.all(tiles.map(waitForMetadata));
+        updateTimeline();
+        seek(alignCheckbox.checked ? 0 : timeline.min);
+    } catch (error) {
+        captureTitle.textContent = `❌ Could not load ${folderName}: ${error.message}`;
+    }
+}
+
+function highlightSelected() {
+    document.querySelectorAll('.capture-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.folder === selectedFolder);
+    });
+}
+
+// One video in the grid
+function createTile(clip) {
+    const element = document.createElement('div');
+    element.className = 'tile';
+
+    const video = document.createElement('video');
+    video.src = clip.url;
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    const label = document.createElement('div');
+    label.className = 'label';
+
+    const name = document.createElement('span');
+    const metadata = clip.metadata || {};
+    const position = metadata.position ? `#${metadata.position} ` : '';
+    name.textContent = `${position}${metadata.deviceName || metadata.deviceId || clip.filename}`;
+    name.title = clip.filename;
+
+    const sound = document.createElement('button');
+    sound.textContent = '🔇';
+    sound.addEventListener('click', () => {
+        // Only one clip plays sound at a time
+        const unmute = video.muted;
+        tiles.forEach(tile => { tile.video.muted = true; tile.soundButton.textContent = '🔇'; });
+        video.muted = !unmute;
+        sound.textContent = unmute ? '🔊' : '🔇';
+    });
+
+    const download = document.createElement('a');
+    download.href = `${clip.url}?download=1`;
+    download.textContent = '⬇';
+    download.title = 'Download';
+
+    label.append(name, sound, download);
+
+    if (clip.originalUrl) {
+        // The server trimmed this clip - offer the untouched recording too
+        const original = document.createElement('a');
+        original.href = `${clip.originalUrl}&download=1`;
+        original.textContent = '⬇ full';
+        original.title = 'Download the untrimmed clip';
+        label.appendChild(original);
+    }
+    element.append(video, label);
+    clipGrid.appendChild(element);
+
+    return {
+        video,
+        element,
+        clip,
+        soundButton: sound,
+        // Where the capture moment is inside this clip (seconds)
+        captureOffset: (metadata.captureOffsetMs || 0) / 1000,
+        duration: ((metadata.media && metadata.media.durationMs) || metadata.duration || 0) / 1000
+    };
+}
+
+function waitForMetadata(tile) {
+    return new Promise(resolve => {
+        const done = () => {
+            // MediaRecorder WebM often reports Infinity - fall back to the sidecar's duration
+            if (Number.isFinite(tile.video.duration) && tile.video.duration > 0) {
+                tile.duration = tile.video.duration;
+            }
+            resolve();
+        };
+        if (tile.video.readyState >= 1) return done();
+        tile.video.addEventListener('loadedmetadata', done, { once: true });
+        tile.video.addEventListener('error', resolve, { once: true });
+    });
+}
+
+// "Sc 12A T03 ⭕ car enters late"
+function slateText(slate) {
+    return [`Sc ${slate.scene} T${String(slate.take).padStart(2, '0')}`, RATING_ICONS[slate.rating], slate.note]
+        .filter(Boolean).join(' ');
+}
+
+// Download links for the editor timelines (see lib/timeline-export.js)
+function updateExportLinks(folderName) {
+    const formats = { fcpxml: 'FCPXML', edl: 'EDL', premiere: 'Premiere' };
+    exportLinks.innerHTML = '⬇ Timeline:';
+
+    Object.entries(formats).forEach(([format, label]) => {
+        const link = document.createElement('a');
+        link.href = `${API_URL}/${encodeURIComponent(folderName)}/export/${format}`;
+        link.textContent = label;
+        exportLinks.appendChild(link);
+    });
+}
+
+// === SHARED TIMELINE ===
+// Clip time = timeline time + offset. With alignment on, offset = where the beep is,
+// so timeline 0 is the capture moment in every clip.
+function offsetOf(tile) {
+    return alignCheckbox.checked ? tile.captureOffset : 0;
+}
+
+function updateTimeline() {
+    if (tiles.length === 0) return;
+    timeline.min = Math.min(...tiles.map(tile => -offsetOf(tile)));
+    timeline.max = Math.max(...tiles.map(tile => tile.duration - offsetOf(tile)));
+
+    scrubber.min = timeline.min;
+    scrubber.max = timeline.max;
+    scrubber.disabled = false;
+    playBtn.disabled = false;
+}
+
+// Put every clip at the right spot for timeline position t
+function syncVideos(t, forceSeek) {
+    tiles.forEach(tile => {
+        const target = t + offsetOf(tile);
+        const inRange = target >= 0 && target <= tile.duration;
+        tile.element.classList.toggle('out-of-range', !inRange);
+
+        if (!inRange) {
+            // This clip hasn't started yet / already ended at this point of the timeline
+            if (!tile.video.paused) tile.video.pause();
+            tile.video.currentTime = Math.min(Math.max(target, 0), tile.duration);
+            return;
+        }
+
+        if (forceSeek || Math.abs(tile.video.currentTime - target) > DRIFT_TOLERANCE_S) {
+            tile.video.currentTime = target;
+        }
+
+        if (playing && tile.video.paused) {
+            tile.video.play().catch(() => {});
+        } else if (!playing && !tile.video.paused) {
+            tile.video.pause();
+        }
+    });
+
+    currentTime = t;
+    scrubber.value = t;
+    timeDisplay.textContent = `${t >= 0 ? '+' : ''}${t.toFixed(2)}s`;
+}
+
+function seek(t) {
+    t = Math.min(Math.max(t, timeline.min), timeline.max);
+    syncVideos(t, true);
+    if (playing) {
+        playStartedAt = performance.now();
+        playStartedFrom = t;
+    }
+}
+
+function play() {
+    if (tiles.length === 0) return;
+    if (currentTime >= timeline.max) seek(timeline.min);
+
+    playing = true;
+    playStartedAt = performance.now();
+    playStartedFrom = currentTime;
+    playBtn.textContent = '⏸ PAUSE';
+    requestAnimationFrame(tick);
+}
+
+function pause() {
+    playing = false;
+    playBtn.textContent = '▶ PLAY';
+    tiles.forEach(tile => tile.video.pause());
+}
+
+// One master clock drives every video, nudging any that drift
+function tick() {
+    if (!playing) return;
+
+    const t = playStartedFrom + (performance.now() - playStartedAt) / 1000;
+    if (t >= timeline.max) {
+        syncVideos(timeline.max, false);
+        pause();
+        return;
+    }
+
+    syncVideos(t, false);
+    requestAnimationFrame(tick);
+}
+
+// === CONTROLS ===
+playBtn.addEventListener('click', () => {
+    if (playing) pause(); else play();
+});
+
+scrubber.addEventListener('input', () => {
+    seek(parseFloat(scrubber.value));
+});
+
+// Filters: list again as they change (typing waits a moment)
+let filterTimer = null;
+filtersForm.addEventListener('input', () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(loadCaptures, 300);
+});
+filtersForm.addEventListener('submit', (event) => event.preventDefault());
+
+alignCheckbox.addEventListener('change', () => {
+    updateTimeline();
+    seek(alignCheckbox.checked ? 0 : timeline.min);
+});
+
+// === STARTUP ===
+loadCaptures();
@@ -0,0 +1,628 @@
+// This is the PRE-ROLL RING BUFFER for the phone app
+// One MediaRecorder runs non-stop with a small timeslice. The WebM it produces is
+// split into its init segment (header + track info, kept forever) and clusters
+// (each starts on a keyframe). Only the last few seconds of clusters are kept.
+// On capture we glue: init segment + clusters from `pre` seconds before the
+// capture moment up to `post` seconds after it = a valid, playable WebM file.
+// iPhones record fragmented MP4 instead: same idea, with moof + mdat fragments as clusters.
+
+// === CONFIGURATION ===
+const RING_TIMESLICE_MS = 250;       // MediaRecorder hands us data every 250ms
+const DEFAULT_MAX_PRE_ROLL_MS = 20000; // Longest pre-roll the conductor can ask for (capture profile bufferMs)
+const MAX_POST_ROLL_MS = 10000;      // Longest post-roll the conductor can ask for
+const RING_SPARE_MS = 2000;          // Kept on top of pre + post-roll
+const RING_KEYFRAME_INTERVAL_MS = 1000; // Ask the encoder for a keyframe every second (if supported)
+
+// WebM/EBML element IDs we care about
+const EBML_ID = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    REFERENCE_BLOCK: 0xFB
+};
+
+// Anything with one of these IDs ends an unknown-size cluster
+const SEGMENT_LEVEL_IDS = new Set([
+    EBML_ID.CLUSTER, EBML_ID.INFO, EBML_ID.TRACKS,
+    0x114D9B74, // SeekHead
+    0x1C53BB6B, // Cues
+    0x1254C367, // Tags
+    0x1043A770, // Chapters
+    0x1941A469  // Attachments
+]);
+
+// Cluster header with "unknown size" - we always write clusters like this,
+// so trimming blocks off the end never leaves a wrong size behind
+const CLUSTER_HEADER_BYTES = new Uint8Array([0x1F, 0x43, 0xB6, 0x75, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+// === EBML HELPERS ===
+// Read an element ID (keeps its length marker bits, like the IDs above)
+function readEbmlId(bytes, pos) {
+    if (pos >= bytes.length) return null;
+    const first = bytes[pos];
+    let length = 1;
+    while (length <= 4 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 4) throw new Error('Invalid EBML id');
+    if (pos + length > bytes.length) return null;
+
+    let id = 0;
+    for (let i = 0; i < length; i++) id = id * 256 + bytes[pos + i];
+    return { id, length };
+}
+
+// Read an element size (null value = "unknown size")
+function readEbmlSize(bytes, pos) {
+    if (pos >= bytes.length) return null;
+    const first = bytes[pos];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8) throw new Error('Invalid EBML size');
+    if (pos + length > bytes.length) return null;
+
+    let value = first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[pos + i];
+        if (bytes[pos + i] !== 0xFF) allOnes = false;
+    }
+    return { value: allOnes ? null : value, length };
+}
+
+function readEbmlHeader(bytes, pos) {
+    const id = readEbmlId(bytes, pos);
+    if (!id) return null;
+    const size = readEbmlSize(bytes, pos + id.length);
+    if (!size) return null;
+    return { id: id.id, size: size.value, headerLength: id.length + size.length };
+}
+
+function readUint(bytes, start, end) {
+    let value = 0;
+    for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+    return value;
+}
+
+// Call fn(id, dataStart, dataEnd) for each child element in bytes[start..end)
+function forEachEbmlChild(bytes, start, end, fn) {
+    let pos = start;
+    while (pos < end) {
+        const header = readEbmlHeader(bytes, pos);
+        if (!header || header.size === null) return;
+        const dataStart = pos + header.headerLength;
+        fn(header.id, dataStart, dataStart + header.size);
+        pos = dataStart + header.size;
+    }
+}
+
+// === MP4 HELPERS ===
+function boxType(bytes, pos) {
+    return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+}
+
+function readUint32(bytes, pos) {
+    return new DataView(bytes.buffer, bytes.byteOffset + pos, 4).getUint32(0);
+}
+
+// Call fn(type, dataStart, end) for each box in bytes[start..end)
+function forEachMp4Box(bytes, start, end, fn) {
+    let pos = start;
+    while (pos + 8 <= end) {
+        const size = readUint32(bytes, pos);
+        if (size < 8 || pos + size > end) return;
+        fn(boxType(bytes, pos + 4), pos + 8, pos + size);
+        pos += size;
+    }
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, p) => sum + p.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(p => { out.set(p, offset); offset += p.length; });
+    return out;
+}
+
+// === WEBM STREAM SPLITTER ===
+// Fed the recorder's bytes as they arrive; hands back the init segment once,
+// then one cluster at a time: { time, keyframe, head, blocks: [{ time, bytes }] }
+class WebmSplitter {
+    constructor({ onInit, onCluster }) {
+        this.onInit = onInit;
+        this.onCluster = onCluster;
+        this.pending = new Uint8Array(0);
+        this.state = 'top';      // 'top' → 'segment' ↔ 'cluster'
+        this.initParts = [];
+        this.initDone = false;
+        this.videoTrack = null;
+        this.timeScaleMs = 1;    // Block timecodes → milliseconds
+        this.cluster = null;     // Cluster being filled right now
+    }
+
+    push(chunk) {
+        this.pending = concatBytes([this.pending, chunk]);
+        let pos = 0;
+
+        while (true) {
+            const header = readEbmlHeader(this.pending, pos);
+            if (!header) break;
+
+            if (this.state === 'top') {
+                if (header.id === EBML_ID.SEGMENT) {
+                    // Segment size is unknown while recording - step inside it
+                    this.initParts.push(this.pending.slice(pos, pos + header.headerLength));
+                    pos += header.headerLength;
+                    this.state = 'segment';
+                    continue;
+                }
+                if (header.id !== EBML_ID.EBML) {
+                    throw new Error('Not a WebM stream');
+                }
+            }
+
+            if (this.state === 'segment' && header.id === EBML_ID.CLUSTER) {
+                this.startCluster();
+                pos += header.headerLength;
+                this.state = 'cluster';
+                continue;
+            }
+
+            if (this.state === 'cluster' && SEGMENT_LEVEL_IDS.has(header.id)) {
+                // Next top-level element = the current cluster is complete
+                this.finishCluster();
+                this.state = 'segment';
+                continue;
+            }
+
+            // Everything else we need whole before we can use it
+            if (header.size === null) throw new Error('Unexpected unknown-size element');
+            const end = pos + header.headerLength + header.size;
+            if (end > this.pending.length) break;
+
+            const element = this.pending.slice(pos, end);
+            if (this.state === 'cluster') {
+                this.addToCluster(header, element);
+            } else if (!this.initDone) {
+                this.addToInit(header, element);
+            }
+            pos = end;
+        }
+
+        this.pending = this.pending.slice(pos);
+    }
+
+    addToInit(header, element) {
+        this.initParts.push(element);
+
+        if (header.id === EBML_ID.INFO) {
+            forEachEbmlChild(element, header.headerLength, element.length, (id, start, end) => {
+                if (id === EBML_ID.TIMECODE_SCALE) {
+                    this.timeScaleMs = readUint(element, start, end) / 1e6;
+                }
+            });
+        }
+
+        if (header.id === EBML_ID.TRACKS) {
+            forEachEbmlChild(element, header.headerLength, element.length, (id, start, end) => {
+                if (id !== EBML_ID.TRACK_ENTRY) return;
+                let number = null;
+                let type = null;
+                forEachEbmlChild(element, start, end, (childId, s, e) => {
+                    if (childId === EBML_ID.TRACK_NUMBER) number = readUint(element, s, e);
+                    if (childId === EBML_ID.TRACK_TYPE) type = readUint(element, s, e);
+                });
+                if (type === 1 && this.videoTrack === null) this.videoTrack = number;
+            });
+        }
+    }
+
+    startCluster() {
+        if (!this.initDone) {
+            this.initDone = true;
+            this.onInit(concatBytes(this.initParts));
+            this.initParts = [];
+        }
+        this.cluster = { time: 0, keyframe: false, videoSeen: false, head: [], blocks: [] };
+    }
+
+    addToCluster(header, element) {
+        const cluster = this.cluster;
+        const dataStart = header.headerLength;
+
+        if (header.id === EBML_ID.TIMECODE) {
+            cluster.time = readUint(element, dataStart, element.length) * this.timeScaleMs;
+            cluster.head.push(element);
+            return;
+        }
+
+        if (header.id === EBML_ID.SIMPLE_BLOCK || header.id === EBML_ID.BLOCK_GROUP) {
+            let blockStart = dataStart;
+            let keyframe = false;
+
+            if (header.id === EBML_ID.BLOCK_GROUP) {
+                // A BlockGroup is a keyframe if it doesn't reference another frame
+                keyframe = true;
+                forEachEbmlChild(element, dataStart, element.length, (id, start) => {
+                    if (id === EBML_ID.BLOCK) blockStart = start;
+                    if (id === EBML_ID.REFERENCE_BLOCK) keyframe = false;
+                });
+            }
+
+            const track = readEbmlSize(element, blockStart);
+            const relative = new DataView(element.buffer, element.byteOffset + blockStart + track.length, 2).getInt16(0);
+            if (header.id === EBML_ID.SIMPLE_BLOCK) {
+                keyframe = (element[blockStart + track.length + 2] & 0x80) !== 0;
+            }
+
+            // The cluster counts as a keyframe cluster if its first video frame is one
+            const isVideo = this.videoTrack === null || track.value === this.videoTrack;
+            if (isVideo && !cluster.videoSeen) {
+                cluster.videoSeen = true;
+                cluster.keyframe = keyframe;
+            }
+
+            cluster.blocks.push({ time: cluster.time + relative * this.timeScaleMs, bytes: element });
+            return;
+        }
+
+        // Position, PrevSize etc. - keep as part of the cluster header
+        cluster.head.push(element);
+    }
+
+    // Bytes of a cluster holding just these blocks
+    clusterParts(cluster, blocks) {
+        return [CLUSTER_HEADER_BYTES, ...cluster.head, ...blocks.map(b => b.bytes)];
+    }
+
+    finishCluster() {
+        if (this.cluster) {
+            this.onCluster(this.cluster);
+            this.cluster = null;
+        }
+    }
+
+    // The cluster still being recorded (its blocks so far are complete and usable)
+    currentCluster() {
+        return this.cluster;
+    }
+}
+
+// === MP4 STREAM SPLITTER ===
+// Safari's fragmented MP4: the init segment is ftyp + moov, then every moof + mdat pair
+// becomes one cluster { time, keyframe, head: [], blocks: [{ time, bytes }] }.
+// A fragment can't be cut inside, so a clip always holds whole fragments.
+const MP4_NON_SYNC_SAMPLE = 0x10000; // Sample flag: not a keyframe
+
+class Mp4Splitter {
+    constructor({ onInit, onCluster }) {
+        this.onInit = onInit;
+        this.onCluster = onCluster;
+        this.pending = new Uint8Array(0);
+        this.initParts = [];
+        this.initDone = false;
+        this.videoTrack = null;
+        this.timescale = 1000;            // Video ticks per second
+        this.defaultFlags = new Map();    // trackId → default sample flags (moov/mvex/trex)
+        this.fragment = null;             // moof waiting for its mdat
+    }
+
+    push(chunk) {
+        this.pending = concatBytes([this.pending, chunk]);
+        let pos = 0;
+
+        while (pos + 8 <= this.pending.length) {
+            let size = readUint32(this.pending, pos);
+            if (size === 1) {
+                if (pos + 16 > this.pending.length) break;
+                size = Number(new DataView(this.pending.buffer, this.pending.byteOffset + pos + 8, 8).getBigUint64(0));
+            }
+            if (size < 8) throw new Error('Not an MP4 stream');
+            if (pos + size > this.pending.length) break;
+
+            this.addBox(boxType(this.pending, pos + 4), this.pending.slice(pos, pos + size));
+            pos += size;
+        }
+
+        this.pending = this.pending.slice(pos);
+    }
+
+    addBox(type, box) {
+        if (type === 'moof') {
+            if (!this.initDone) {
+                this.initDone = true;
+                this.onInit(concatBytes(this.initParts));
+                this.initParts = [];
+            }
+            this.fragment = { moof: box, ...this.readFragment(box) };
+            return;
+        }
+
+        if (type === 'mdat' && this.fragment) {
+            const { moof, time, keyframe } = this.fragment;
+            this.fragment = null;
+            this.onCluster({ time, keyframe, head: [], blocks: [{ time, bytes: concatBytes([moof, box]) }] });
+            return;
+        }
+
+        if (!this.initDone) {
+            this.initParts.push(box);
+            if (type === 'moov') this.readMoov(box);
+        }
+        // (styp, sidx, free... between fragments aren't needed)
+    }
+
+    // Video track id + timescale, and the default sample flags fragments may rely on
+    readMoov(moov) {
+        forEachMp4Box(moov, 8, moov.length, (type, start, end) => {
+            if (type === 'trak') {
+                let trackId = null;
+                let timescale = null;
+                let handler = null;
+                forEachMp4Box(moov, start, end, (t, s, e) => {
+                    if (t === 'tkhd') trackId = readUint32(moov, s + (moov[s] === 1 ? 20 : 12));
+                    if (t === 'mdia') {
+                        forEachMp4Box(moov, s, e, (m, ms) => {
+                            if (m === 'mdhd') timescale = readUint32(moov, ms + (moov[ms] === 1 ? 20 : 12));
+                            if (m === 'hdlr') handler = boxType(moov, ms + 8);
+                        });
+                    }
+                });
+                if (handler === 'vide' && this.videoTrack === null) {
+                    this.videoTrack = trackId;
+                    this.timescale = timescale || 1000;
+                }
+            }
+            if (type === 'mvex') {
+                forEachMp4Box(moov, start, end, (t, s) => {
+                    if (t === 'trex') this.defaultFlags.set(readUint32(moov, s + 4), readUint32(moov, s + 20));
+                });
+            }
+        });
+    }
+
+    // Start time (ms) of the video in this fragment, and whether it starts on a keyframe
+    readFragment(moof) {
+        let time = null;
+        let keyframe = this.videoTrack === null; // No video track = any fragment will do
+
+        forEachMp4Box(moof, 8, moof.length, (type, start, end) => {
+            if (type !== 'traf') return;
+            let trackId = null;
+            let flags = null;
+            let trackTime = null;
+            let firstFlags = null;
+            forEachMp4Box(moof, start, end, (t, s) => {
+                if (t === 'tfhd') {
+                    trackId = readUint32(moof, s + 4);
+                    flags = this.defaultFlags.get(trackId) || 0;
+                    // default-sample-flags is the last optional field
+                    const tfhdFlags = readUint32(moof, s) & 0xFFFFFF;
+                    if (tfhdFlags & 0x20) {
+                        const at = s + 8 + (tfhdFlags & 0x1 ? 8 : 0) + (tfhdFlags & 0x2 ? 4 : 0) +
+                            (tfhdFlags & 0x8 ? 4 : 0) + (tfhdFlags & 0x10 ? 4 : 0);
+                        flags = readUint32(moof, at);
+                    }
+                }
+                if (t === 'tfdt') {
+                    trackTime = moof[s] === 1
+                        ? Number(new DataView(moof.buffer, moof.byteOffset + s + 4, 8).getBigUint64(0))
+                        : readUint32(moof, s + 4);
+                }
+                if (t === 'trun' && firstFlags === null) {
+                    const trunFlags = readUint32(moof, s) & 0xFFFFFF;
+                    let at = s + 8 + (trunFlags & 0x1 ? 4 : 0);
+                    if (trunFlags & 0x4) {
+                        firstFlags = readUint32(moof, at);
+                    } else if (trunFlags & 0x400) {
+                        at += (trunFlags & 0x100 ? 4 : 0) + (trunFlags & 0x200 ? 4 : 0);
+                        firstFlags = readUint32(moof, at);
+                    }
+                }
+            });
+
+            if (trackId === this.videoTrack || (this.videoTrack === null && time === null)) {
+                if (trackTime !== null) time = trackTime / this.timescale * 1000;
+                if (trackId === this.videoTrack) {
+                    keyframe = !((firstFlags !== null ? firstFlags : flags) & MP4_NON_SYNC_SAMPLE);
+                }
+            }
+        });
+
+        return { time: time || 0, keyframe };
+    }
+
+    clusterParts(cluster, blocks) {
+        return blocks.map(b => b.bytes);
+    }
+
+    // Fragments are only handed out once complete
+    currentCluster() {
+        return null;
+    }
+}
+
+// The recorder's first bytes tell us the container: MP4 starts with an ftyp box
+function createSplitter(firstBytes, handlers) {
+    const isMp4 = firstBytes.length >= 8 && boxType(firstBytes, 4) === 'ftyp';
+    return isMp4 ? new Mp4Splitter(handlers) : new WebmSplitter(handlers);
+}
+
+// === RING BUFFER ===
+class RingBuffer {
+    // now: function returning the current server time (clockSync.now)
+    constructor(now) {
+        this.now = now;
+        this.recorder = null;
+        this.splitter = null;
+        this.init = null;          // Init segment bytes
+        this.clusters = [];        // Finished clusters, oldest first
+        this.startServerTime = null; // Server time matching recorder timecode 0
+        this.mimeType = null;
+        this.retentionMs = DEFAULT_MAX_PRE_ROLL_MS + MAX_POST_ROLL_MS + RING_SPARE_MS; // How much history to keep
+    }
+
+    isRecording() {
+        return !!this.recorder && this.recorder.state === 'recording';
+    }
+
+    // options go to MediaRecorder; maxPreRollMs = longest pre-roll we must be able to cut
+    start(stream, options, maxPreRollMs = DEFAULT_MAX_PRE_ROLL_MS) {
+        this.retentionMs = maxPreRollMs + MAX_POST_ROLL_MS + RING_SPARE_MS;
+        this.init = null;
+        this.clusters = [];
+        this.splitter = null; // WebM or MP4 - decided by the recorder's first bytes
+
+        const recorder = new MediaRecorder(stream, {
+            ...options,
+            videoKeyFrameIntervalDuration: RING_KEYFRAME_INTERVAL_MS
+        });
+        this.recorder = recorder;
+        this.mimeType = recorder.mimeType || options.mimeType;
+
+        // Parse chunks strictly in order (arrayBuffer() is async)
+        let parsing = Promise.resolve();
+        recorder.ondataavailable = (event) => {
+            if (!event.data || event.data.size === 0) return;
+            const data = event.data;
+            parsing = parsing.then(async () => {
+                try {
+                    const bytes = new Uint8Array(await data.arrayBuffer());
+                    if (this.recorder !== recorder) return; // Stopped (or restarted) since
+                    if (!this.splitter) {
+                        this.mimeType = recorder.mimeType || this.mimeType; // Safari only knows once it started
+                        this.splitter = createSplitter(bytes, {
+                            onInit: (init) => { this.init = init; },
+                            onCluster: (cluster) => { this.clusters.push(cluster); this.evict(); }
+                        });
+                    }
+                    this.splitter.push(bytes);
+                } catch (error) {
+                    debugLog(`❌ Ring buffer parse error: ${error.message}`, 'error');
+                }
+            });
+        };
+
+        recorder.onstart = () => {
+            this.startServerTime = this.now();
+        };
+
+        this.startServerTime = this.now();
+        recorder.start(RING_TIMESLICE_MS);
+    }
+
+    stop() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.recorder = null;
+        this.init = null;
+        this.clusters = [];
+    }
+
+    // Server time of a recorder timecode
+    toServerTime(time) {
+        return this.startServerTime + time;
+    }
+
+    // All clusters including the one still being recorded
+    allClusters() {
+        const current = this.splitter && this.splitter.currentCluster();
+        return current ? [...this.clusters, current] : this.clusters;
+    }
+
+    // Drop history we'll never need, but always keep one keyframe at/before the cutoff
+    evict() {
+        const cutoff = this.now() - this.retentionMs;
+        let keepFrom = 0;
+        this.clusters.forEach((cluster, i) => {
+            if (cluster.keyframe && this.toServerTime(cluster.time) <= cutoff) keepFrom = i;
+        });
+        if (keepFrom > 0) this.clusters.splice(0, keepFrom);
+    }
+
+    // How much is buffered right now (ms)
+    bufferedMs() {
+        const clusters = this.allClusters();
+        const first = clusters.find(c => c.keyframe);
+        const last = clusters[clusters.length - 1];
+        if (!this.init || !first || !last || last.blocks.length === 0) return 0;
+        return last.blocks[last.blocks.length - 1].time - first.time;
+    }
+
+    // Time (server clock) of the newest frame we have
+    latestServerTime() {
+        const clusters = this.allClusters();
+        for (let i = clusters.length - 1; i >= 0; i--) {
+            const blocks = clusters[i].blocks;
+            if (blocks.length > 0) return this.toServerTime(blocks[blocks.length - 1].time);
+        }
+        return null;
+    }
+
+    // Wait until the recorder has data up to a server time (or give up after timeoutMs)
+    async waitUntil(serverTime, timeoutMs) {
+        const giveUpAt = Date.now() + timeoutMs;
+        while (Date.now() < giveUpAt) {
+            const latest = this.latestServerTime();
+            if (latest !== null && latest >= serverTime) return true;
+            await new Promise(resolve => setTimeout(resolve, RING_TIMESLICE_MS / 2));
+        }
+        return false;
+    }
+
+    // Build a clip around captureTime (server clock): preMs before, postMs after.
+    // Starts on the last keyframe at or before the window (so it plays), ends right at the window.
+    async extractClip(captureTime, preMs, postMs) {
+        const wantedStart = captureTime - preMs;
+        const wantedEnd = captureTime + postMs;
+
+        // The post-roll hasn't been recorded yet - wait for it
+        await this.waitUntil(wantedEnd, postMs + 5000);
+
+        if (!this.init) {
+            throw new Error('Recorder has not produced any video yet');
+        }
+
+        const clusters = this.allClusters();
+        let startIndex = clusters.findIndex(c => c.keyframe);
+        if (startIndex === -1) {
+            throw new Error('No keyframe in buffer yet');
+        }
+        clusters.forEach((cluster, i) => {
+            if (cluster.keyframe && this.toServerTime(cluster.time) <= wantedStart) startIndex = i;
+        });
+
+        const parts = [this.init];
+        let lastTime = null;
+        for (let i = startIndex; i < clusters.length; i++) {
+            const cluster = clusters[i];
+            if (this.toServerTime(cluster.time) >= wantedEnd) break;
+
+            const blocks = cluster.blocks.filter(b => this.toServerTime(b.time) < wantedEnd);
+            if (blocks.length === 0) continue;
+
+            parts.push(...this.splitter.clusterParts(cluster, blocks));
+            lastTime = blocks[blocks.length - 1].time;
+        }
+
+        const startServerTime = this.toServerTime(clusters[startIndex].time);
+        const endServerTime = lastTime === null ? startServerTime : this.toServerTime(lastTime);
+
+        return {
+            blob: new Blob(parts, { type: this.mimeType }),
+            startServerTime: Math.round(startServerTime),
+            endServerTime: Math.round(endServerTime),
+            preMs: Math.round(captureTime - startServerTime),
+            postMs: Math.round(endServerTime - captureTime)
+        };
+    }
+}
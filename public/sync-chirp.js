@@ -0,0 +1,73 @@
+// Coded sync chirp - the marker each phone plays into its recording at the capture moment.
+// Unlike a plain beep it says WHICH capture and WHICH phone a clip came from, so a
+// renamed or mixed-up file can still be identified from its audio alone.
+//
+//   [ sweep 1→4 kHz, 100ms ][ 24 bits, 20ms each: 2 kHz = 0, 3 kHz = 1 ]
+//
+// The sweep is what the decoder locks onto (to the exact sample); the bits are
+// 10 bits capture counter + 6 bits device index + 8 bits CRC.
+//
+// Loaded by the phone as a <script> and by the server with require() (lib/sync-chirp-decoder.js).
+
+const SYNC_CHIRP = {
+    SAMPLE_RATE: 48000,
+    SWEEP_MS: 100,
+    SWEEP_FROM_HZ: 1000,
+    SWEEP_TO_HZ: 4000,
+    BIT_MS: 20,
+    ZERO_HZ: 2000,
+    ONE_HZ: 3000,
+    COUNTER_BITS: 10,
+    DEVICE_BITS: 6,
+    CRC_BITS: 8,
+    GAIN: 0.2 // Not too loud to avoid saturation
+};
+
+SYNC_CHIRP.PAYLOAD_BITS = SYNC_CHIRP.COUNTER_BITS + SYNC_CHIRP.DEVICE_BITS + SYNC_CHIRP.CRC_BITS;
+SYNC_CHIRP.DURATION_MS = SYNC_CHIRP.SWEEP_MS + SYNC_CHIRP.PAYLOAD_BITS * SYNC_CHIRP.BIT_MS;
+
+// Number → bits, most significant first
+function numberToBits(value, length) {
+    const bits = [];
+    for (let i = length - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    return bits;
+}
+
+function bitsToNumber(bits) {
+    return bits.reduce((value, bit) => value * 2 + bit, 0);
+}
+
+// CRC-8 (polynomial 0x07) over a list of bits
+function chirpCrc(bits) {
+    let crc = 0;
+    bits.forEach(bit => {
+        const top = ((crc >> 7) & 1) ^ bit;
+        crc = (crc << 1) & 0xFF;
+        if (top) crc ^= 0x07;
+    });
+    return crc;
+}
+
+// Capture counter + device index → the bits to send
+function encodeChirpPayload(counter, deviceIndex) {
+    const data = [
+        ...numberToBits(counter % (1 << SYNC_CHIRP.COUNTER_BITS), SYNC_CHIRP.COUNTER_BITS),
+        ...numberToBits(deviceIndex % (1 << SYNC_CHIRP.DEVICE_BITS), SYNC_CHIRP.DEVICE_BITS)
+    ];
+    return [...data, ...numberToBits(chirpCrc(data), SYNC_CHIRP.CRC_BITS)];
+}
+
+// Received bits → { counter, deviceIndex, valid } (valid = CRC matches)
+function decodeChirpPayload(bits) {
+    const dataLength = SYNC_CHIRP.COUNTER_BITS + SYNC_CHIRP.DEVICE_BITS;
+    const data = bits.slice(0, dataLength);
+    return {
+        counter: bitsToNumber(data.slice(0, SYNC_CHIRP.COUNTER_BITS)),
+        deviceIndex: bitsToNumber(data.slice(SYNC_CHIRP.COUNTER_BITS)),
+        valid: chirpCrc(data) === bitsToNumber(bits.slice(dataLength))
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SYNC_CHIRP, encodeChirpPayload, decodeChirpPayload };
+}
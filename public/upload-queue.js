@@ -0,0 +1,306 @@
+// This is the UPLOAD QUEUE for the phone app
+// Finished clips are saved in IndexedDB FIRST, then uploaded in small parts.
+// If an upload fails (bad Wi-Fi, server restart, page reload...) the clip is
+// still on the phone and the queue keeps retrying until the server has it.
+// When the server allows it (DIRECT_UPLOADS), the parts go straight to the storage
+// bucket with presigned URLs; otherwise they go through the server.
+
+// === CONFIGURATION ===
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;  // Send clips in 1 MB parts
+const UPLOAD_RETRY_BASE_MS = 2000;      // First retry after 2 seconds...
+const UPLOAD_RETRY_MAX_MS = 60000;      // ...doubling up to once a minute
+const UPLOAD_DB_NAME = 'retro-capture';
+const UPLOAD_DB_STORE = 'clips';
+
+class UploadQueue {
+    constructor(serverUrl) {
+        this.serverUrl = serverUrl;
+        this.db = null;
+        this.memory = new Map(); // Fallback if IndexedDB isn't available (e.g. private mode)
+        this.running = false;
+        this.retryTimer = null;
+        this.directUploads = true; // Until the server says it can't take them (501)
+        this.listeners = {};
+    }
+
+    // Tiny event emitter: 'started', 'progress', 'uploaded', 'failed', 'changed'
+    on(event, fn) {
+        (this.listeners[event] = this.listeners[event] || []).push(fn);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    // Open the database and pick up anything left over from before a reload
+    async start() {
+        try {
+            this.db = await openUploadDb();
+        } catch (error) {
+            debugLog(`⚠️ IndexedDB unavailable, clips kept in memory only: ${error.message}`, 'warning');
+        }
+
+        window.addEventListener('online', () => this.process());
+
+        const leftover = await this.getAll();
+        if (leftover.length > 0) {
+            debugLog(`📦 Found ${leftover.length} clip(s) waiting to upload`, 'info');
+        }
+        this.emitChanged(leftover);
+        this.process();
+    }
+
+    // Save a clip and queue it. Resolves once the clip is safely stored on the phone.
+    async add(blob, metadata) {
+        const clip = {
+            id: makeUploadId(),
+            blob,
+            metadata,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null,
+            createdAt: Date.now()
+        };
+
+        await this.put(clip);
+        debugLog(`💾 Clip stored on phone: ${metadata.filename}`, 'success');
+
+        this.emitChanged();
+        this.process();
+        return clip.id;
+    }
+
+    // Upload everything that's due, one clip at a time (oldest first)
+    async process() {
+        if (this.running) return;
+        this.running = true;
+        clearTimeout(this.retryTimer);
+
+        try {
+            while (navigator.onLine !== false) {
+                const pending = (await this.getAll())
+                    .filter(clip => clip.status === 'pending')
+                    .sort((a, b) => a.createdAt - b.createdAt);
+
+                const now = Date.now();
+                const clip = pending.find(c => c.nextAttemptAt <= now);
+
+                if (!clip) {
+                    // Nothing due right now - wake up when the next retry is due
+                    if (pending.length > 0) {
+                        const wait = Math.min(...pending.map(c => c.nextAttemptAt)) - now;
+                        this.retryTimer = setTimeout(() => this.process(), wait);
+                    }
+                    break;
+                }
+
+                await this.uploadOne(clip);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async uploadOne(clip) {
+        clip.attempts++;
+        this.emit('started', clip);
+
+        try {
+            const result = await this.send(clip);
+            await this.remove(clip.id);
+            debugLog(`✅ Uploaded ${clip.metadata.filename} (attempt ${clip.attempts})`, 'success');
+            this.emit('uploaded', clip, result);
+        } catch (error) {
+            clip.lastError = error.message;
+
+            if (error.permanent) {
+                // The server will never accept this one - keep it on the phone, but stop retrying
+                clip.status = 'failed';
+                debugLog(`❌ Upload rejected: ${clip.metadata.filename}: ${error.message}`, 'error');
+            } else {
+                const delay = Math.min(UPLOAD_RETRY_BASE_MS * 2 ** (clip.attempts - 1), UPLOAD_RETRY_MAX_MS);
+                clip.nextAttemptAt = Date.now() + delay;
+                debugLog(`⚠️ Upload failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`, 'warning');
+            }
+
+            await this.put(clip);
+            this.emit('failed', clip, error, clip.status === 'pending');
+        }
+
+        this.emitChanged();
+    }
+
+    // Straight to the bucket if the server allows it, through the server if not
+    async send(clip) {
+        if (this.directUploads) {
+            try {
+                return await this.sendDirect(clip);
+            } catch (error) {
+                if (error.status !== 501) throw error;
+                this.directUploads = false;
+                debugLog('📤 Server takes uploads itself - sending clips through it', 'info');
+            }
+        }
+        return this.sendInParts(clip);
+    }
+
+    // Direct upload: get presigned URLs for the parts the bucket still needs, PUT them
+    // there, then tell the server so it can check the clip and write its sidecar
+    async sendDirect(clip) {
+        const base = `${this.serverUrl}/upload/direct/${clip.id}`;
+        const details = () => ({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                metadata: clip.metadata,
+                size: clip.blob.size,
+                multipartId: clip.multipartId || null
+            })
+        });
+
+        const plan = await this.request(base, details());
+        if (plan.complete) return plan; // Finished before - we just never got the answer
+
+        // Remember the bucket's upload id, so a retry (even after a reload) resumes it
+        if (plan.multipartId !== clip.multipartId) {
+            clip.multipartId = plan.multipartId;
+            await this.put(clip);
+        }
+
+        let sent = plan.totalParts - plan.parts.length;
+        for (const { partNumber, url } of plan.parts) {
+            const start = (partNumber - 1) * plan.partSize;
+            const response = await fetch(url, {
+                method: 'PUT',
+                body: clip.blob.slice(start, start + plan.partSize)
+            });
+            if (!response.ok) {
+                // Expired URL, bucket hiccup... the next attempt gets fresh URLs
+                throw new Error(`Storage refused part ${partNumber} (${response.status})`);
+            }
+            this.emit('progress', clip, ++sent / plan.totalParts);
+        }
+
+        return this.request(`${base}/complete`, details());
+    }
+
+    // Resumable upload: ask which parts the server has, send the rest, then complete
+    async sendInParts(clip) {
+        const base = `${this.serverUrl}/upload/chunks/${clip.id}`;
+        const totalParts = Math.max(1, Math.ceil(clip.blob.size / UPLOAD_CHUNK_SIZE));
+
+        // Parts are only taken with the capture's upload token
+        const token = { 'X-Upload-Token': clip.metadata.uploadToken || '' };
+
+        const status = await this.request(base, { headers: token });
+        if (!status.complete) {
+            const have = new Set(status.parts);
+
+            for (let i = 0; i < totalParts; i++) {
+                if (have.has(i)) continue;
+
+                const part = clip.blob.slice(i * UPLOAD_CHUNK_SIZE, (i + 1) * UPLOAD_CHUNK_SIZE);
+                await this.request(`${base}/${i}`, {
+                    method: 'PUT',
+                    headers: { ...token, 'Content-Type': 'application/octet-stream' },
+                    body: part
+                });
+                this.emit('progress', clip, (i + 1) / totalParts);
+            }
+        }
+
+        return this.request(`${base}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                metadata: clip.metadata,
+                totalParts,
+                size: clip.blob.size
+            })
+        });
+    }
+
+    async request(url, options) {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(body.error || `${response.status} ${response.statusText}`);
+            error.status = response.status;
+            // 4xx means "don't bother retrying" - except the ones a retry can fix
+            error.permanent = response.status >= 400 && response.status < 500 &&
+                ![408, 409, 429].includes(response.status);
+            throw error;
+        }
+        return body;
+    }
+
+    async emitChanged(clips) {
+        clips = clips || await this.getAll();
+        this.emit('changed', {
+            pending: clips.filter(c => c.status === 'pending').length,
+            failed: clips.filter(c => c.status === 'failed').length
+        });
+    }
+
+    // === STORAGE (IndexedDB, or memory as a fallback) ===
+    async put(clip) {
+        if (!this.db) {
+            this.memory.set(clip.id, clip);
+            return;
+        }
+        await uploadDbRequest(this.db, 'readwrite', store => store.put(clip));
+    }
+
+    async remove(id) {
+        if (!this.db) {
+            this.memory.delete(id);
+            return;
+        }
+        await uploadDbRequest(this.db, 'readwrite', store => store.delete(id));
+    }
+
+    async getAll() {
+        if (!this.db) {
+            return Array.from(this.memory.values());
+        }
+        return uploadDbRequest(this.db, 'readonly', store => store.getAll());
+    }
+}
+
+// Helper: Open (or create) the clips database
+function openUploadDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(UPLOAD_DB_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Helper: Run one request in its own transaction and wait for it to commit
+function uploadDbRequest(db, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(UPLOAD_DB_STORE, mode);
+        const request = makeRequest(tx.objectStore(UPLOAD_DB_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Helper: Unique id for one clip upload (also used as the server's upload id)
+function makeUploadId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+}
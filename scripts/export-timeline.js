@@ -0,0 +1,95 @@
+// Export a capture as editor timelines (FCPXML, EDL, Premiere XML) from the command line
+//
+// Usage:
+//   npm run export -- <folderName> [--room CODE] [--fps 30] [--out ./exports] [--media-root /path/to/clips/]
+//   npm run export -- [--scene 12A] [--take 3] [--project X] [--rating circle] [--note text] [--room CODE] ...
+//
+// Reads the capture (from the room's folder with --room) from whichever storage backend .env selects and writes
+// <folderName>.fcpxml, <folderName>.edl and <folderName>.xml into --out ("/" in nested folder names becomes "_").
+// Without a folder name, every capture whose slate matches the filters is exported (lib/slate.js) - then
+// --media-root is the folder holding the capture folders.
+
+require('dotenv').config();
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createStorage, withPrefix } = require('../lib/storage');
+const { normalizeRoomCode, roomPrefix } = require('../lib/rooms');
+const { loadCapture, listCaptures, isSafeFolder } = require('../lib/captures-api');
+const { parseSlateFilter } = require('../lib/slate');
+const { exportTimeline, parseFrameRate, EXPORT_FORMATS } = require('../lib/timeline-export');
+
+function parseArgs(argv) {
+  const args = { fps: 30, out: '.', mediaRoot: '', slate: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fps') args.fps = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--media-root') args.mediaRoot = argv[++i];
+    else if (arg === '--room') args.room = argv[++i];
+    else if (['--scene', '--take', '--project', '--rating'].includes(arg)) args.slate[arg.slice(2)] = argv[++i];
+    else if (arg === '--note') args.slate.q = argv[++i];
+    else args.folderName = arg;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const room = args.room === undefined ? null : normalizeRoomCode(args.room);
+  const filter = parseSlateFilter(args.slate);
+  parseFrameRate(args.fps); // (throws for a rate the editors won't take)
+  if ((!args.folderName && !filter) || (args.folderName && !isSafeFolder(args.folderName)) || (args.room !== undefined && !room)) {
+    console.error('Usage: npm run export -- <folderName> [--room CODE] [--fps 30] [--out ./exports] [--media-root /path/to/clips/]');
+    console.error('       npm run export -- [--scene 12A] [--take 3] [--project X] [--rating good|bad|circle|none] [--note text] [...]');
+    process.exit(1);
+  }
+
+  const storage = room ? withPrefix(createStorage(), roomPrefix(room)) : createStorage();
+  await fs.mkdir(args.out, { recursive: true });
+
+  if (args.folderName) {
+    await exportCapture(storage, args.folderName, args, args.mediaRoot);
+    return;
+  }
+
+  console.log(`📦 Looking for matching captures in ${storage.description}...`);
+  const captures = await listCaptures(storage, filter);
+  if (captures.length === 0) {
+    console.error('❌ No capture matches');
+    process.exit(1);
+  }
+  for (const { folderName } of captures) {
+    await exportCapture(storage, folderName, args, args.mediaRoot ? `${args.mediaRoot.replace(/\/?$/, '/')}${folderName}/` : '');
+  }
+  console.log(`🎬 Exported ${captures.length} capture${captures.length !== 1 ? 's' : ''}`);
+}
+
+// Write one capture's timelines (every format) into --out
+async function exportCapture(storage, folderName, args, mediaRoot) {
+  console.log(`📦 Reading ${folderName} from ${storage.description}...`);
+
+  const capture = await loadCapture(storage, folderName);
+  if (!capture) {
+    console.error(`❌ Capture not found: ${folderName}`);
+    process.exit(1);
+  }
+
+  for (const format of Object.keys(EXPORT_FORMATS)) {
+    const file = exportTimeline(format, {
+      folderName,
+      clips: capture.clips,
+      fps: args.fps,
+      mediaRoot
+    });
+    const outPath = path.join(args.out, file.filename);
+    await fs.writeFile(outPath, file.body);
+    console.log(`✅ Wrote ${outPath}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Export failed:', error.message);
+  process.exit(1);
+});
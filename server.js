@@ -7,15 +7,56 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
-const { S3Client, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
+const QRCode = require('qrcode');
+const { createStorage, withPrefix, supportsDirectUploads } = require('./lib/storage');
+const { createCaptureTracker } = require('./lib/capture-tracker');
+const { createChunkStore } = require('./lib/chunked-uploads');
+const { createCapturesRouter, isSafeFolder } = require('./lib/captures-api');
+const { parseWebm, describeWebm, remuxWebm } = require('./lib/webm');
+const { isMp4, parseMp4, describeMp4 } = require('./lib/mp4');
+const { trimWebm, originalName } = require('./lib/clip-trim');
+const { detectSyncChirp } = require('./lib/sync-chirp-decoder');
+const { encodeChirpPayload, decodeChirpPayload } = require('./public/sync-chirp');
+const { createDeviceRegistry, isValidDeviceId, compareDevices } = require('./lib/device-registry');
+const { normalizeRoomCode, generateRoomCode, roomPrefix } = require('./lib/rooms');
+const { createConductorToken, secretsMatch, createPinGuard } = require('./lib/conductor-auth');
+const { checkReadiness, requiredReady } = require('./lib/readiness');
+const { DEFAULT_CAPTURE_PROFILE, updateCaptureProfile } = require('./lib/capture-profile');
+const { DEFAULT_NAMING, updateNaming, nameCapture, clipName } = require('./lib/naming');
+const { newSlate, updateSlate, writeSlate } = require('./lib/slate');
+const { createUploadTokens, checkUpload } = require('./lib/upload-auth');
+const { createStateStore } = require('./lib/state-store');
 
 // Configure multer for handling file uploads in memory
+const MAX_MULTIPART_UPLOAD_BYTES = 50 * 1024 * 1024;
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+  limits: { fileSize: MAX_MULTIPART_UPLOAD_BYTES, files: 1 }
+});
+
+// Server state kept across restarts (lib/state-store.js) - the rooms are put back at startup
+const stateStore = createStateStore({
+  file: process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json'),
+  collect: collectState
+});
+const savedState = stateStore.load() || {};
+
+// Signed upload tokens handed out with every capture (lib/upload-auth.js). Without
+// UPLOAD_TOKEN_SECRET a random secret is made once and kept in the state file, so clips
+// still waiting on the phones get in after a restart.
+const uploadTokenSecret = process.env.UPLOAD_TOKEN_SECRET || savedState.uploadTokenSecret ||
+  crypto.randomBytes(32).toString('base64url');
+const uploadTokens = createUploadTokens({ secret: uploadTokenSecret });
+
+// How new rooms name their capture folders and clips (lib/naming.js) - a bad template
+// stops the server here rather than at the first capture
+const ROOM_NAMING = updateNaming(DEFAULT_NAMING, {
+  folderTemplate: process.env.FOLDER_TEMPLATE || undefined,
+  clipTemplate: process.env.CLIP_TEMPLATE || undefined
 });
 
 // Create the web server
@@ -33,304 +74,1808 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public')); // Serve the website files
 
-// AWS S3 Configuration
-const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'retro-capture-videos';
-const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
+// Storage backend (S3 or local disk) - chosen with STORAGE_BACKEND in .env
+const storage = createStorage();
 
-// Create S3 client
-const s3Client = new S3Client({
-  region: AWS_REGION,
-  credentials: {
-    accessKeyId: AWS_ACCESS_KEY_ID,
-    secretAccessKey: AWS_SECRET_ACCESS_KEY
-  }
-});
+// Every room (crew) on this server: code → room (see createRoom)
+const rooms = new Map();
+
+// How far in the future (server time) phones are told to fire capture/sync-go.
+// Must be longer than the worst network delay so every phone gets the message in time.
+const SCHEDULE_LEAD_MS = parseInt(process.env.SCHEDULE_LEAD_MS, 10) || 500;
+
+// Pre/post-roll window around the capture moment (conductor can change it per capture)
+const DEFAULT_PRE_ROLL_MS = 5000;
+const DEFAULT_POST_ROLL_MS = 1000;
+const MAX_POST_ROLL_MS = 10000;
+
+// Burst mode limits (a burst is N captures fired at a fixed interval)
+const MAX_BURST_COUNT = 20;
+const MIN_BURST_INTERVAL_MS = 500;
+const MAX_BURST_INTERVAL_MS = 60000;
+
+// How long to wait for every phone to upload before writing the manifest anyway
+const CAPTURE_TIMEOUT_MS = parseInt(process.env.CAPTURE_TIMEOUT_MS, 10) || 120000;
+
+// Cut every uploaded clip to the capture's pre/post-roll window (originals are kept)
+const TRIM_CLIPS = process.env.TRIM_CLIPS !== 'false';
+
+// Content type each clip container is stored with
+const CONTENT_TYPES = { webm: 'video/webm', mp4: 'video/mp4' };
+
+// Conductor control (see lib/conductor-auth.js)
+const CONDUCTOR_PIN = process.env.CONDUCTOR_PIN || null; // Needed to claim control (unset = first phone gets it)
+const CONDUCTOR_FAILOVER = process.env.CONDUCTOR_FAILOVER === 'true'; // New rooms: pass control on when the conductor drops out
+const FAILOVER_DELAY_MS = parseInt(process.env.FAILOVER_DELAY_MS, 10) || 10000; // ...if they're not back by then
+
+// Operator dashboard (/dashboard) refresh rate limit
+const DASHBOARD_THROTTLE_MS = 250;
+const IDENTIFY_DURATION_MS = 3000; // How long "identify" flashes a phone's screen
 
-// Keep track of connected phones
-let conductorClient = null; // The first phone that connects (the boss)
-let clients = new Map(); // All connected phones
-let sessionId = Date.now(); // Unique ID for this capture session
-let captureCounter = 2; // Counter for sequential folder numbering (starting at 02)
-let syncStarted = false; // Whether conductor has started synchronized recording
+// Live thumbnails: each phone sends a small JPEG every so often. The more phones,
+// the less often each one sends, so the room as a whole stays around this rate.
+const THUMBNAILS_PER_SECOND = 4;
+const MIN_THUMBNAIL_INTERVAL_MS = 2000;
+const MAX_THUMBNAIL_INTERVAL_MS = 30000;
+const MAX_THUMBNAIL_BYTES = 64 * 1024;
+const MAX_RECENT_TAKES = 20; // Captures the conductor can still rate/annotate from their phone
 
 console.log('🎥 Retro Capture Server Starting...');
-console.log(`📦 S3 Bucket: ${S3_BUCKET_NAME}`);
+console.log(`📦 Storage: ${storage.description}`);
 
-// Initialize capture counter by checking existing folders in S3
-async function initializeCaptureCounter() {
-  try {
-    const listCommand = new ListObjectsV2Command({
-      Bucket: S3_BUCKET_NAME,
-      Prefix: 'captures/',
-      Delimiter: '/'
+// A room keeps everything one crew needs: its phones, its conductor, its capture
+// counter and its own folder in storage (rooms/<CODE>/captures/...).
+// saved: the room's state from before a restart (see roomState)
+function createRoom(code, saved = null) {
+  const roomStorage = withPrefix(storage, roomPrefix(code));
+
+  const room = {
+    code,
+    storage: roomStorage,
+    conductorClient: null, // Socket of the phone in control (the boss), null while they're away
+    conductorToken: null, // Secret the conductor reclaims control with (lib/conductor-auth.js)
+    failover: CONDUCTOR_FAILOVER, // Pass control to another phone if the conductor drops out?
+    failoverTimer: null,
+    pinGuard: createPinGuard(),
+    flashDeviceId: null, // Phone picked to fire its torch on capture
+    captureProfile: { ...DEFAULT_CAPTURE_PROFILE, version: 1 }, // Camera/encoder settings for every phone (lib/capture-profile.js)
+    naming: updateNaming(ROOM_NAMING), // Project/scene/take and folder/clip templates (lib/naming.js)
+    showSlate: false, // Every phone shows the slate full screen at capture (so the other cameras film it)
+    recentTakes: [], // Newest captures first: { folderName, timestamp, slate } (lib/slate.js)
+    lastCapture: null, // Progress of the newest capture (for the dashboard)
+    thumbnails: new Map(), // deviceId → newest live thumbnail { image, width, height, takenAt }
+    dashboardTimer: null,
+    clients: new Map(), // All connected phones (socket.id → client)
+    devices: createDeviceRegistry(), // Names/positions by stable device ID (survives reconnects)
+    sessionId: Date.now(), // Unique ID for this capture session
+    captureCounter: 2, // Counter for sequential folder numbering (starting at 02)
+    ready: null, // Resolves once the counter is known (read from storage for brand-new rooms)
+    lastActiveAt: Date.now(), // Last phone join or capture (old rooms are dropped from the saved state)
+    syncStarted: false, // Whether conductor has started synchronized recording
+    countdownTimer: null, // The 3-2-1 countdown while it runs
+    activeBurst: null, // { id, count, intervalMs, timers } while a burst is running
+    capturesApi: createCapturesRouter({ storage: roomStorage }), // /api/rooms/<CODE>/captures
+    tracker: null
+  };
+
+  // Tracks which phones should upload for each capture and streams progress to the conductor
+  room.tracker = createCaptureTracker({
+    storage: roomStorage,
+    timeoutMs: CAPTURE_TIMEOUT_MS,
+    onProgress: (progress) => {
+      if (room.conductorClient) {
+        io.to(room.conductorClient).emit('capture-progress', progress);
+      }
+      if (!room.lastCapture || room.lastCapture.folderName === progress.folderName) {
+        room.lastCapture = progress;
+        updateDashboards(room);
+      }
+      stateStore.save();
+    }
+  });
+
+  if (saved) {
+    restoreRoom(room, saved);
+    room.ready = Promise.resolve();
+  } else {
+    room.ready = initializeCaptureCounter(room);
+  }
+  return room;
+}
+
+// What's worth keeping of a room across a restart (the phones reconnect by themselves)
+function roomState(room) {
+  return {
+    sessionId: room.sessionId,
+    captureCounter: room.captureCounter,
+    syncStarted: room.syncStarted,
+    conductorToken: room.conductorToken,
+    failover: room.failover,
+    flashDeviceId: room.flashDeviceId,
+    captureProfile: room.captureProfile,
+    naming: room.naming,
+    showSlate: room.showSlate,
+    recentTakes: room.recentTakes,
+    lastActiveAt: room.lastActiveAt,
+    devices: room.devices.list(),
+    captures: room.tracker.snapshot()
+  };
+}
+
+function restoreRoom(room, saved) {
+  ['sessionId', 'captureCounter', 'syncStarted', 'conductorToken', 'failover', 'flashDeviceId', 'showSlate', 'recentTakes', 'lastActiveAt']
+    .forEach(key => {
+      if (saved[key] !== undefined) room[key] = saved[key];
     });
+  if (saved.captureProfile) room.captureProfile = { ...DEFAULT_CAPTURE_PROFILE, ...saved.captureProfile };
+  if (saved.naming) {
+    room.naming = { ...ROOM_NAMING, ...saved.naming };
+    // Names saved by an older version may not be usable in folder names - tidy them,
+    // or go back to the defaults (templates too, if even those make names that are too long)
+    try {
+      ['project', 'scene'].forEach(key => {
+        try {
+          room.naming = updateNaming(room.naming, { [key]: room.naming[key] });
+        } catch (error) {
+          room.naming = updateNaming(room.naming, { [key]: ROOM_NAMING[key] });
+        }
+      });
+    } catch (error) {
+      room.naming = { ...ROOM_NAMING, takes: { ...saved.naming.takes } };
+    }
+  }
+  room.devices.restore(saved.devices || []);
+  room.tracker.restore(saved.captures || []);
+}
+
+// Everything the state file holds (lib/state-store.js asks for it on every save)
+function collectState() {
+  const savedRooms = {};
+  rooms.forEach((room, code) => { savedRooms[code] = roomState(room); });
+  return {
+    uploadTokenSecret: process.env.UPLOAD_TOKEN_SECRET ? null : uploadTokenSecret,
+    rooms: savedRooms
+  };
+}
 
-    const response = await s3Client.send(listCommand);
+// Find a room by its code (null if there's no such room). Rooms from before a restart are
+// back from the state file, so phones holding a /?room=CODE link still get in.
+function getRoom(code) {
+  return rooms.get(code) || null;
+}
+
+// Open a new room. Only a phone starting a session or a clip with a valid upload token does
+// this - a made-up code must never create one (every room is kept in memory and the state file).
+function openRoom(code) {
+  if (!rooms.has(code)) {
+    rooms.set(code, createRoom(code));
+    console.log(`🚪 Room ${code} opened`);
+  }
+  return rooms.get(code);
+}
+
+// Socket.io channel for everyone in a room
+function inRoom(room) {
+  return io.to(`room:${room.code}`);
+}
+
+// Socket.io channel for a room's operator dashboards (/dashboard)
+function dashboardsOf(room) {
+  return `dashboard:${room.code}`;
+}
 
-    if (response.CommonPrefixes && response.CommonPrefixes.length > 0) {
-      // Extract counter numbers from folder names (format: XX_YYYYMMDD_...)
-      const counters = response.CommonPrefixes
-        .map(prefix => {
-          const folderName = prefix.Prefix.replace('captures/', '').replace('/', '');
-          const match = folderName.match(/^(\d{2})_/);
+// Initialize a brand-new room's capture counter by checking existing folders in its storage
+// (rooms from before a restart have theirs in the state file). Captures wait for this (room.ready).
+async function initializeCaptureCounter(room) {
+  try {
+    const folders = await room.storage.listFolders('captures/');
+
+    if (folders.length > 0) {
+      // Extract counter numbers from folder names (format: XX_YYYYMMDD_..., 100_... after 99)
+      const counters = folders
+        .map(folderName => {
+          const match = folderName.match(/^(\d{2,6})_/);
           return match ? parseInt(match[1], 10) : -1;
         })
         .filter(num => num >= 0);
 
       if (counters.length > 0) {
         const maxCounter = Math.max(...counters);
-        captureCounter = maxCounter + 1;
-        console.log(`📊 Found ${counters.length} existing captures, starting counter at ${String(captureCounter).padStart(2, '0')}`);
+        room.captureCounter = Math.max(room.captureCounter, maxCounter + 1);
+        stateStore.save();
+        console.log(`📊 Room ${room.code}: found ${counters.length} existing captures, starting counter at ${String(room.captureCounter).padStart(2, '0')}`);
       } else {
-        console.log(`📊 No existing captures found, starting counter at 02`);
+        console.log(`📊 Room ${room.code}: no existing captures found, starting counter at 02`);
       }
     } else {
-      console.log(`📊 No captures folder found, starting counter at 02`);
+      console.log(`📊 Room ${room.code}: no captures folder found, starting counter at 02`);
     }
   } catch (error) {
-    console.error('⚠️ Could not initialize counter from S3:', error.message);
+    console.error(`⚠️ Room ${room.code}: could not initialize counter from storage:`, error.message);
     console.log('📊 Using default counter start: 02');
   }
 }
 
-// Initialize counter on startup
-initializeCaptureCounter();
+// A room's naming setup for the phones and dashboards, with what the next capture will be called
+function namingInfo(room) {
+  const { project, scene, take, folderTemplate, clipTemplate } = room.naming;
+  const preview = { ...room.naming, takes: { ...room.naming.takes } }; // (nameCapture moves the take on)
+  const { folderName, values } = nameCapture(preview, { counter: room.captureCounter, time: Date.now(), room: room.code });
+  return {
+    project,
+    scene,
+    take,
+    folderTemplate,
+    clipTemplate,
+    nextFolder: folderName,
+    nextClip: clipName(preview, values, { deviceId: 'example-phone-a1b2c3d4', name: 'phone', position: 1 })
+  };
+}
+
+// Fire one capture: new folder, tell every phone when to capture and what window to keep.
+// executeAt (server time) can be given for captures planned ahead (bursts).
+// note: the conductor's note for the slate (lib/slate.js)
+function triggerCapture(room, { preRollMs, postRollMs, executeAt, burst = null, note = '' }) {
+  const captureTime = Date.now();
+  const captureDate = new Date(captureTime);
+
+  // Folder name from the room's template (lib/naming.js) - by default XX_YYYYMMDD_HHMMSS_timestamp,
+  // e.g. 02_20251020_152430_1729442670000. Counter and take move on for the next capture.
+  const counter = room.captureCounter;
+  const named = nameCapture(room.naming, { counter, time: captureTime, room: room.code });
+  const { folderName, values } = named;
+  const slate = newSlate(named.slate, note);
+  room.captureCounter++;
+  room.lastActiveAt = captureTime;
+  stateStore.save(); // A restart must never hand out the same number (or take) again
+  inRoom(room).emit('naming', namingInfo(room));
+  room.recentTakes = [{ folderName, timestamp: captureTime, slate }, ...room.recentTakes].slice(0, MAX_RECENT_TAKES);
+  sendRecentTakes(room);
+
+  console.log(`🔴 CAPTURE TRIGGERED in room ${room.code} at ${captureDate.toLocaleString()}`);
+  console.log(`   Folder: ${folderName} (capture #${counter}, scene ${slate.scene} take ${slate.take})`);
+  console.log(`   Broadcasting to ${room.clients.size} phones`);
+  if (burst) {
+    console.log(`   Burst ${burst.index + 1}/${burst.count}`);
+  }
+
+  // Tell ALL phones to capture at executeAt (server time).
+  // Each phone converts this to its own clock so they all beep together.
+  executeAt = executeAt || captureTime + SCHEDULE_LEAD_MS;
+  console.log(`   Execute at: ${new Date(executeAt).toISOString()} (+${executeAt - captureTime}ms)`);
+
+  // Clip window requested by the conductor (clamped to what the phones can hold)
+  preRollMs = clampRoll(preRollMs, DEFAULT_PRE_ROLL_MS, room.captureProfile.bufferMs);
+  postRollMs = clampRoll(postRollMs, DEFAULT_POST_ROLL_MS, MAX_POST_ROLL_MS);
+  console.log(`   Window: ${preRollMs}ms before, ${postRollMs}ms after`);
+
+  // Remember which phones are expected to upload for this capture
+  room.lastCapture = null; // The dashboard follows the newest capture
+  room.tracker.start({
+    folderName,
+    sessionId: room.sessionId,
+    timestamp: captureTime,
+    executeAt,
+    window: { preRollMs, postRollMs },
+    slate,
+    devices: Array.from(room.clients.values()).map(client => {
+      const device = room.devices.get(client.deviceId);
+      return {
+        deviceId: client.deviceId,
+        role: client.role,
+        deviceIndex: device.index,
+        name: device.name,
+        position: device.position
+      };
+    })
+  });
+
+  // Each phone's short index goes into its sync chirp (with the counter)
+  const deviceIndexes = {};
+  room.clients.forEach(client => { deviceIndexes[client.id] = room.devices.get(client.deviceId).index; });
+
+  const capture = {
+    timestamp: captureTime,
+    executeAt,
+    preRollMs,
+    postRollMs,
+    burst,
+    sessionId: room.sessionId,
+    room: room.code,
+    folderName: folderName,
+    counter,
+    slate,
+    showSlate: room.showSlate,
+    deviceIndexes
+  };
+
+  // Same capture for every phone, each with its own clip name and upload token (only good for that clip)
+  room.clients.forEach(client => {
+    const name = clipName(room.naming, values, room.devices.get(client.deviceId));
+    io.to(client.id).emit('capture', {
+      ...capture,
+      clipName: name,
+      uploadToken: uploadTokens.issue({ room: room.code, folderName, deviceId: client.deviceId, clipName: name })
+    });
+  });
+}
+
+// Burst: plan every capture's executeAt up front so they're exactly intervalMs apart,
+// then send each one SCHEDULE_LEAD_MS before it's due
+function startBurst(room, { count, intervalMs, preRollMs, postRollMs, note }) {
+  const burstId = Date.now();
+  const firstAt = burstId + SCHEDULE_LEAD_MS;
+  console.log(`💥 BURST in room ${room.code}: ${count} captures every ${intervalMs}ms`);
+
+  room.activeBurst = { id: burstId, count, intervalMs, timers: [] };
+  inRoom(room).emit('burst-status', { active: true, count, intervalMs, fired: 0 });
+
+  for (let index = 0; index < count; index++) {
+    const executeAt = firstAt + index * intervalMs;
+    const timer = setTimeout(() => {
+      triggerCapture(room, {
+        preRollMs,
+        postRollMs,
+        executeAt,
+        burst: { id: burstId, index, count, intervalMs },
+        note
+      });
+
+      const done = index === count - 1;
+      inRoom(room).emit('burst-status', { active: !done, count, intervalMs, fired: index + 1 });
+      if (done) {
+        room.activeBurst = null;
+      }
+    }, executeAt - SCHEDULE_LEAD_MS - Date.now());
+    room.activeBurst.timers.push(timer);
+  }
+}
+
+// Stop recording on every phone and go back to before START SYNC.
+// newSession: also start a new session (new id). Uploads already queued on the phones still finish.
+function stopSync(room, { newSession = false } = {}) {
+  clearInterval(room.countdownTimer);
+  room.countdownTimer = null;
+  cancelBurst(room);
+
+  const wasStarted = room.syncStarted;
+  room.syncStarted = false;
+  if (newSession) {
+    room.sessionId = Date.now();
+  }
+  stateStore.save();
+
+  inRoom(room).emit('sync-stopped', { sessionId: room.sessionId, newSession });
+  if (wasStarted) {
+    console.log(`⏹️ Room ${room.code}: sync stopped`);
+  }
+  if (newSession) {
+    console.log(`🔄 Room ${room.code}: new session ${room.sessionId}`);
+  }
+  sendStatus(room);
+}
+
+function cancelBurst(room) {
+  if (!room.activeBurst) return;
+  room.activeBurst.timers.forEach(timer => clearTimeout(timer));
+  console.log(`🛑 Burst cancelled in room ${room.code}`);
+  inRoom(room).emit('burst-status', { active: false, cancelled: true });
+  room.activeBurst = null;
+}
+
+// Which socket(s) does this device currently use in the room? (normally one)
+function socketsOfDevice(room, deviceId) {
+  return Array.from(room.clients.values())
+    .filter(client => client.deviceId === deviceId)
+    .map(client => client.id);
+}
+
+// Send the conductor every known phone (for naming/positioning) and the flash-capable ones
+function sendDeviceLists(room) {
+  updateDashboards(room);
+  if (!room.conductorClient) return;
+
+  const connected = Array.from(room.clients.values());
+  const devices = room.devices.list().map(device => {
+    const client = connected.find(c => c.deviceId === device.deviceId);
+    return {
+      ...device,
+      connected: !!client,
+      role: client ? client.role : null,
+      hasFlash: client ? client.hasFlash : false
+    };
+  });
+
+  io.to(room.conductorClient).emit('devices', { devices });
+  io.to(room.conductorClient).emit('flash-phones-list', {
+    phones: devices
+      .filter(device => device.connected && device.hasFlash)
+      .map(device => ({ id: device.deviceId, name: device.name, position: device.position, role: device.role }))
+  });
+
+  sendReadiness(room);
+}
+
+// Every connected phone's readiness, in rig order → { phones, ready, total }
+function readinessOf(room) {
+  const phones = Array.from(room.clients.values())
+    .map(client => {
+      const device = room.devices.get(client.deviceId);
+      return {
+        deviceId: client.deviceId,
+        name: device.name,
+        position: device.position,
+        role: client.role,
+        report: client.readiness,
+        ...checkReadiness(client.readiness, room.captureProfile)
+      };
+    })
+    .sort(compareDevices);
+
+  return { phones, ready: phones.filter(phone => phone.ready).length, total: phones.length };
+}
+
+// Send the conductor the captures they can still rate and annotate
+function sendRecentTakes(room) {
+  if (!room.conductorClient) return;
+  io.to(room.conductorClient).emit('recent-takes', room.recentTakes);
+}
+
+// Send the conductor the ready / not-ready table
+function sendReadiness(room) {
+  if (!room.conductorClient) return;
+  io.to(room.conductorClient).emit('readiness', readinessOf(room));
+}
+
+// Tell a phone its own name/position (it puts them in its filenames and metadata)
+function sendDeviceInfo(room, deviceId) {
+  const device = room.devices.get(deviceId);
+  socketsOfDevice(room, deviceId).forEach(id => io.to(id).emit('device-info', device));
+}
+
+// Everything the dashboard shows: every known phone with its latest report
+function dashboardState(room) {
+  const connected = Array.from(room.clients.values());
+  const lastCapture = room.lastCapture;
+
+  const phones = room.devices.list().map(device => {
+    const client = connected.find(c => c.deviceId === device.deviceId);
+    const report = client ? client.readiness : null;
+    const upload = lastCapture && lastCapture.devices.find(d => d.deviceId === device.deviceId);
+    return {
+      ...device,
+      connected: !!client,
+      socketId: client ? client.id : null,
+      role: client ? client.role : null,
+      connectedAt: client ? client.connected.getTime() : null,
+      report,
+      ...(client ? checkReadiness(report, room.captureProfile) : { ready: false, problems: [], warnings: [] }),
+      lastUpload: upload ? { status: upload.status, error: upload.error || null, size: upload.size || null } : null,
+      isFlashPhone: device.deviceId === room.flashDeviceId
+    };
+  });
+
+  return {
+    room: room.code,
+    sessionId: room.sessionId,
+    syncStarted: room.syncStarted,
+    hasConductor: !!room.conductorClient,
+    captureProfile: room.captureProfile,
+    naming: namingInfo(room),
+    lastCapture: lastCapture
+      ? { folderName: lastCapture.folderName, total: lastCapture.total, counts: lastCapture.counts, finished: lastCapture.finished }
+      : null,
+    phones
+  };
+}
+
+// Refresh every open dashboard of the room (at most every DASHBOARD_THROTTLE_MS -
+// phones report every few seconds and a big rig would flood it otherwise)
+function updateDashboards(room) {
+  if (room.dashboardTimer) return;
+  room.dashboardTimer = setTimeout(() => {
+    room.dashboardTimer = null;
+    io.to(dashboardsOf(room)).emit('dashboard', dashboardState(room));
+  }, DASHBOARD_THROTTLE_MS);
+}
+
+// Conductor or dashboard renamed / repositioned a phone. Throws if the values aren't usable.
+function renameDevice(room, { deviceId, name, position }) {
+  const updated = room.devices.update(deviceId, { name, position });
+  stateStore.save();
+  console.log(`🏷️ Device ${updated.deviceId}: name "${updated.name || ''}", position ${updated.position || '-'}`);
+  sendDeviceInfo(room, updated.deviceId);
+  sendDeviceLists(room);
+  return updated;
+}
+
+// Tell everyone in the room how many phones are connected
+function sendStatus(room) {
+  updateDashboards(room);
+  inRoom(room).emit('status', {
+    totalClients: room.clients.size,
+    sessionId: room.sessionId,
+    room: room.code,
+    hasConductor: !!room.conductorClient,
+    pinRequired: !!CONDUCTOR_PIN,
+    thumbnailIntervalMs: thumbnailInterval(room)
+  });
+}
+
+// How often each phone in the room should send a thumbnail
+function thumbnailInterval(room) {
+  const ms = Math.round(room.clients.size / THUMBNAILS_PER_SECOND * 1000);
+  return Math.min(Math.max(ms, MIN_THUMBNAIL_INTERVAL_MS), MAX_THUMBNAIL_INTERVAL_MS);
+}
+
+// Send thumbnails to the dashboards, and to the conductor while its preview list is open.
+// Without a target socket: to everyone watching; with one: just to that socket.
+function relayThumbnails(room, thumbnails, target = null) {
+  const conductor = room.conductorClient && room.clients.get(room.conductorClient);
+  thumbnails.forEach(thumbnail => {
+    if (target) {
+      io.to(target).emit('thumbnail', thumbnail);
+      return;
+    }
+    io.to(dashboardsOf(room)).emit('thumbnail', thumbnail);
+    if (conductor && conductor.watchingThumbnails) {
+      io.to(room.conductorClient).emit('thumbnail', thumbnail);
+    }
+  });
+}
+
+// Tell one phone its role (the conductor also gets its token, to reclaim control after a reconnect)
+function sendRole(room, socketId) {
+  const isConductor = socketId === room.conductorClient;
+  io.to(socketId).emit('role', {
+    role: isConductor ? 'conductor' : 'client',
+    sessionId: room.sessionId,
+    syncStarted: room.syncStarted,
+    room: room.code,
+    conductorToken: isConductor ? room.conductorToken : null,
+    failover: room.failover,
+    showSlate: room.showSlate
+  });
+}
+
+// Give control of the room to a phone. The previous conductor (if still here) becomes a client.
+// keepToken: reclaiming with the current token; otherwise a new one is issued (the old one stops working).
+function setConductor(room, socketId, { keepToken = false } = {}) {
+  clearTimeout(room.failoverTimer);
+  room.failoverTimer = null;
+
+  const previous = room.conductorClient;
+  room.conductorClient = socketId;
+  if (!keepToken || !room.conductorToken) {
+    room.conductorToken = createConductorToken();
+    stateStore.save();
+  }
+
+  if (previous && previous !== socketId && room.clients.has(previous)) {
+    room.clients.get(previous).role = 'client';
+    sendRole(room, previous);
+  }
+  room.clients.get(socketId).role = 'conductor';
+  sendRole(room, socketId);
+  console.log(`🎵 Conductor of room ${room.code}: ${socketId}`);
+
+  sendStatus(room);
+  sendDeviceLists(room);
+  sendRecentTakes(room);
+}
+
+// Conductor dropped out: with failover on, give control to another phone if they're not back in time
+function scheduleFailover(room) {
+  if (!room.failover || room.clients.size === 0) return;
+
+  clearTimeout(room.failoverTimer);
+  room.failoverTimer = setTimeout(() => {
+    room.failoverTimer = null;
+    if (room.conductorClient || room.clients.size === 0) return;
+
+    const next = room.clients.keys().next().value;
+    console.log(`🔁 Room ${room.code}: conductor didn't come back, passing control on`);
+    setConductor(room, next);
+  }, FAILOVER_DELAY_MS);
+}
+
+// Helper: Turn a requested pre/post-roll into a safe number of milliseconds
+function clampRoll(value, fallback, max) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms)) return fallback;
+  return Math.min(Math.max(Math.round(ms), 0), max);
+}
+
+// Phones upload straight to the bucket (presigned multipart URLs) instead of through us.
+// Off unless DIRECT_UPLOADS=true - the bucket needs a CORS rule that lets phones PUT (see README).
+const DIRECT_UPLOADS = process.env.DIRECT_UPLOADS === 'true';
+const DIRECT_PART_SIZE = 8 * 1024 * 1024;   // S3 wants parts of at least 5 MB (except the last)
+const DIRECT_URL_EXPIRES_SEC = 60 * 60;     // Presigned part URLs work for an hour
+const MAX_CLIP_BYTES = 500 * 1024 * 1024;   // A minute at 20 Mbps is ~150 MB
+const UPLOAD_PART_BYTES = 1024 * 1024;      // Phones send chunked uploads in 1 MB parts (public/upload-queue.js)
+const MAX_UPLOAD_PARTS = Math.ceil(MAX_CLIP_BYTES / UPLOAD_PART_BYTES); // 500 parts for 500 MB
+
+// Finished clips are checked, remuxed and trimmed in memory - only this many at once, so
+// a whole room finishing together waits its turn instead of filling the server's RAM
+const MAX_CLIPS_PROCESSING = parseInt(process.env.MAX_CLIPS_PROCESSING, 10) || 2;
+let clipsProcessing = 0;
+const clipWaiters = [];
+
+async function withClipSlot(work) {
+  if (clipsProcessing < MAX_CLIPS_PROCESSING) {
+    clipsProcessing++;
+  } else {
+    await new Promise(resolve => clipWaiters.push(resolve)); // (the finishing clip hands us its slot)
+  }
+  try {
+    return await work();
+  } finally {
+    const next = clipWaiters.shift();
+    if (next) next();
+    else clipsProcessing--;
+  }
+}
+
+// Temp storage for clips uploaded in parts (see /upload/chunks routes)
+const chunkStore = createChunkStore({
+  dir: process.env.UPLOAD_CHUNKS_DIR || undefined,
+  maxParts: MAX_UPLOAD_PARTS,
+  maxBytes: MAX_CLIP_BYTES
+});
+
+// Clear out parts from abandoned uploads once an hour
+setInterval(() => {
+  chunkStore.cleanup()
+    .then(removed => removed > 0 && console.log(`🧹 Removed ${removed} abandoned upload(s)`))
+    .catch(error => console.error('⚠️ Upload cleanup failed:', error.message));
+}, 60 * 60 * 1000);
 
 // Periodic cleanup of stale connections (every 30 seconds)
 setInterval(() => {
   const connectedSockets = io.sockets.sockets;
   const connectedIds = new Set(Array.from(connectedSockets.keys()));
 
-  let removedCount = 0;
-  for (const [id, client] of clients.entries()) {
-    if (!connectedIds.has(id)) {
-      clients.delete(id);
-      removedCount++;
+  rooms.forEach(room => {
+    let removedCount = 0;
+    for (const id of room.clients.keys()) {
+      if (!connectedIds.has(id)) {
+        room.clients.delete(id);
+        removedCount++;
+      }
     }
-  }
 
-  if (removedCount > 0) {
-    console.log(`🧹 Cleaned up ${removedCount} stale connection(s)`);
-    io.emit('status', { totalClients: clients.size, sessionId });
-  }
+    if (removedCount > 0) {
+      console.log(`🧹 Room ${room.code}: cleaned up ${removedCount} stale connection(s)`);
+      sendStatus(room);
+    }
+  });
 }, 30000);
 
 // When a phone connects
 io.on('connection', (socket) => {
-  console.log(`📱 New phone connected: ${socket.id}`);
-  console.log(`   Total active sockets: ${io.sockets.sockets.size}`);
+  // Every event's payload should be an object - a null, a number or a string becomes {},
+  // so no handler can crash the server by reading a field of it
+  socket.use((packet, next) => {
+    const data = packet[1];
+    if (packet.length > 1 && typeof data !== 'function' && (data === null || typeof data !== 'object')) {
+      packet[1] = {};
+    }
+    next();
+  });
 
-  // If this is the first phone, make it the conductor
-  if (!conductorClient) {
-    conductorClient = socket.id;
-    socket.emit('role', { role: 'conductor', sessionId, syncStarted });
-    console.log(`🎵 Conductor assigned: ${socket.id}`);
+  // Clock sync: phones ping us to work out their clock offset and round trip
+  // (works before joining a room too, so the lobby page is already in sync)
+  socket.on('clock-ping', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    const t1 = Date.now();
+    ack({ t0: data && data.t0, t1, t2: Date.now() });
+  });
+
+  // Phones say which room they want in the handshake (from /?room=CODE)
+  const requestedRoom = socket.handshake.auth && socket.handshake.auth.room;
+  const code = normalizeRoomCode(requestedRoom);
+
+  if (!code) {
+    enterLobby(socket, requestedRoom ? `"${requestedRoom}" is not a room code` : null);
+    return;
+  }
+
+  const room = getRoom(code);
+  if (socket.handshake.auth && socket.handshake.auth.dashboard) {
+    if (!room) {
+      socket.emit('dashboard-error', { error: `Room ${code} not found` });
+      socket.disconnect(true);
+      return;
+    }
+    joinDashboard(socket, room);
+  } else if (!room) {
+    enterLobby(socket, `Room ${code} not found`);
   } else {
-    // Everyone else is a client
-    socket.emit('role', { role: 'client', sessionId, syncStarted });
-    console.log(`📱 Client assigned: ${socket.id}`);
+    joinRoom(socket, room);
+  }
+});
+
+// Operator dashboard (/dashboard): watches every phone of a room and can identify,
+// rename or kick them. Needs the conductor PIN when one is set.
+function joinDashboard(socket, room) {
+  if (CONDUCTOR_PIN) {
+    const error = room.pinGuard.isLocked() ? 'Too many wrong PINs - wait a minute'
+      : !secretsMatch(String(socket.handshake.auth.pin || ''), CONDUCTOR_PIN) ? 'Wrong PIN'
+      : null;
+    if (error) {
+      if (error === 'Wrong PIN') room.pinGuard.recordFailure();
+      socket.emit('dashboard-error', { error, pinRequired: true });
+      socket.disconnect(true);
+      return;
+    }
+  }
+
+  console.log(`🖥️ Dashboard opened for room ${room.code}: ${socket.id}`);
+  socket.join(dashboardsOf(room));
+  socket.emit('dashboard', dashboardState(room));
+  relayThumbnails(room, Array.from(room.thumbnails.values()), socket.id);
+
+  // Flash a phone's screen so the operator can find it on the rig
+  socket.on('identify-device', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const sockets = socketsOfDevice(room, data.deviceId);
+    if (sockets.length === 0) {
+      return reply({ success: false, error: 'That phone is not connected' });
+    }
+    sockets.forEach(id => io.to(id).emit('identify', { durationMs: IDENTIFY_DURATION_MS }));
+    reply({ success: true });
+  });
+
+  socket.on('update-device', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      reply({ success: true, device: renameDevice(room, data) });
+    } catch (error) {
+      reply({ success: false, error: error.message });
+    }
+  });
+
+  // Send a phone out of the session (it doesn't reconnect until it's reloaded)
+  socket.on('kick-device', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const sockets = socketsOfDevice(room, data.deviceId);
+    if (sockets.length === 0) {
+      return reply({ success: false, error: 'That phone is not connected' });
+    }
+    if (sockets.includes(room.conductorClient)) {
+      return reply({ success: false, error: 'That phone is the conductor - hand control to another phone first' });
+    }
+
+    console.log(`👢 Room ${room.code}: dashboard kicked ${data.deviceId}`);
+    sockets.forEach(id => {
+      io.to(id).emit('kicked', { reason: 'Removed from the session by the operator' });
+      const phone = io.sockets.sockets.get(id);
+      if (phone) phone.disconnect(true);
+    });
+    reply({ success: true });
+  });
+
+  socket.on('disconnect', () => {
+    console.log(`🖥️ Dashboard closed for room ${room.code}: ${socket.id}`);
+  });
+}
+
+// No room yet: the phone can only start a new one (and then reconnect into it)
+function enterLobby(socket, error) {
+  console.log(`🚪 Phone in the lobby: ${socket.id}${error ? ` (${error})` : ''}`);
+  socket.emit('lobby', { error });
+
+  socket.on('create-room', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const room = openRoom(generateRoomCode(rooms));
+    // Whoever starts the room runs it: they reconnect into it with this token
+    room.conductorToken = createConductorToken();
+    stateStore.save();
+    reply({ success: true, room: room.code, conductorToken: room.conductorToken });
+  });
+}
+
+function joinRoom(socket, room) {
+  const { clients, devices } = room;
+
+  // The phone's stable ID (kept in its localStorage); old pages without one use the socket id.
+  // Device IDs aren't secret (manifests list them): the conductor's only counts with its token -
+  // anyone else showing it joins as a new phone and the conductor stays where it is.
+  const requestedId = socket.handshake.auth && socket.handshake.auth.deviceId;
+  const offeredToken = socket.handshake.auth && socket.handshake.auth.conductorToken;
+  const reclaiming = secretsMatch(offeredToken, room.conductorToken);
+  const conductor = room.conductorClient && clients.get(room.conductorClient);
+  const takesConductorsId = conductor && conductor.deviceId === requestedId && !reclaiming;
+  if (takesConductorsId) {
+    console.log(`⚠️ Room ${room.code}: ${socket.id} shows the conductor's device ID without its token - joining as a new phone`);
   }
+  const deviceId = isValidDeviceId(requestedId) && !takesConductorsId ? requestedId : socket.id;
+  let device;
+  try {
+    device = devices.register(deviceId, new Set(Array.from(clients.values(), client => client.deviceId)));
+  } catch (error) {
+    // Every chirp index is on a connected phone - another one couldn't be told apart
+    enterLobby(socket, error.message);
+    return;
+  }
+  socket.join(`room:${room.code}`);
+  room.lastActiveAt = Date.now();
+  stateStore.save();
+
+  console.log(`📱 New phone connected to room ${room.code}: ${socket.id} (device ${deviceId}${device.name ? `, ${device.name}` : ''})`);
+  console.log(`   Total active sockets: ${io.sockets.sockets.size}`);
+
+  // Same phone reconnecting before its old connection timed out - drop the old one
+  // (and if that was the conductor, this connection takes over - it showed the token)
+  socketsOfDevice(room, deviceId).forEach(oldId => {
+    console.log(`   Replacing old connection ${oldId}`);
+    clients.delete(oldId);
+    if (room.conductorClient === oldId) room.conductorClient = socket.id;
+    const oldSocket = io.sockets.sockets.get(oldId);
+    if (oldSocket) oldSocket.disconnect(true);
+  });
 
-  // Add this phone to our list
+  const isConductor = () => socket.id === room.conductorClient;
+
+  // Add this phone to the room's list
   clients.set(socket.id, {
     id: socket.id,
-    role: socket.id === conductorClient ? 'conductor' : 'client',
+    deviceId,
+    role: 'client',
     connected: new Date(),
-    hasFlash: false // Will be updated when client registers
+    hasFlash: false, // Will be updated when client registers
+    readiness: null // Pre-flight report (lib/readiness.js), sent by the phone
   });
 
-  // Tell all phones how many are connected
-  io.emit('status', {
-    totalClients: clients.size,
-    sessionId
-  });
+  socket.emit('device-info', device);
+  socket.emit('capture-profile', room.captureProfile);
+  socket.emit('naming', namingInfo(room));
+
+  if (reclaiming) {
+    // The conductor reconnecting (or reloading) - control comes back to it
+    setConductor(room, socket.id, { keepToken: true });
+  } else if (!room.conductorToken && !CONDUCTOR_PIN) {
+    // Nobody runs this room yet (e.g. opened from a link to a new room): first phone does
+    setConductor(room, socket.id);
+  } else {
+    // Everyone else is a client
+    sendRole(room, socket.id);
+    console.log(`📱 Client assigned: ${socket.id}`);
+    sendDeviceLists(room);
+    sendStatus(room);
+    // After a restart the room still has its conductor's token - with failover on,
+    // don't wait for them forever
+    if (!room.conductorClient && !room.failoverTimer) scheduleFailover(room);
+  }
 
   // When a phone registers its flash capability
-  socket.on('register-flash', (data) => {
+  socket.on('register-flash', (data = {}) => {
     const client = clients.get(socket.id);
     if (client) {
-      client.hasFlash = data.hasFlash;
+      client.hasFlash = !!data.hasFlash;
       console.log(`📸 ${socket.id} flash capability: ${data.hasFlash}`);
 
       // Send updated flash-capable phones list to conductor
-      if (conductorClient) {
-        const flashPhones = Array.from(clients.entries())
-          .filter(([id, client]) => client.hasFlash)
-          .map(([id, client]) => ({ id, role: client.role }));
+      sendDeviceLists(room);
+    }
+  });
 
-        io.to(conductorClient).emit('flash-phones-list', { phones: flashPhones });
-        console.log(`📋 Sent flash phones list to conductor: ${flashPhones.length} phones`);
-      }
+  // Pre-flight report: camera, mic, battery, storage, network... (see lib/readiness.js)
+  socket.on('readiness', (report) => {
+    const client = clients.get(socket.id);
+    if (!client || !report || typeof report !== 'object') return;
+    client.readiness = { ...report, reportedAt: Date.now() };
+    sendReadiness(room);
+    updateDashboards(room);
+  });
+
+  // Live thumbnail from this phone's camera (small JPEG) → conductor and dashboards
+  socket.on('thumbnail', (data = {}) => {
+    const client = clients.get(socket.id);
+    if (!client || !Buffer.isBuffer(data.image) || data.image.length > MAX_THUMBNAIL_BYTES) return;
+
+    // A phone sending faster than asked gets dropped, not relayed
+    const now = Date.now();
+    const previous = room.thumbnails.get(deviceId);
+    if (previous && now - previous.receivedAt < thumbnailInterval(room) / 2) return;
+
+    const thumbnail = {
+      deviceId,
+      image: data.image,
+      width: Number(data.width) || null,
+      height: Number(data.height) || null,
+      takenAt: Number(data.takenAt) || now,
+      receivedAt: now
+    };
+    room.thumbnails.set(deviceId, thumbnail);
+    relayThumbnails(room, [thumbnail]);
+  });
+
+  // Conductor opened / closed its preview list (no thumbnails for it while closed)
+  socket.on('watch-thumbnails', (data = {}) => {
+    const client = clients.get(socket.id);
+    if (!client || !isConductor()) return;
+    client.watchingThumbnails = !!data.enabled;
+    if (client.watchingThumbnails) {
+      relayThumbnails(room, Array.from(room.thumbnails.values()), socket.id);
     }
   });
 
   // When conductor selects a flash phone
-  socket.on('select-flash-phone', (data) => {
-    if (socket.id === conductorClient) {
-      const selectedId = data.phoneId;
+  socket.on('select-flash-phone', (data = {}) => {
+    if (isConductor()) {
+      const selectedId = data.phoneId; // A device ID
       console.log(`⚡ Conductor selected flash phone: ${selectedId}`);
+      room.flashDeviceId = selectedId && selectedId !== 'none' ? selectedId : null;
+      stateStore.save();
+      updateDashboards(room);
 
       // Tell all phones they are NOT the flash phone
-      clients.forEach((client, id) => {
-        io.to(id).emit('set-flash-phone', { isFlashPhone: false });
-      });
+      inRoom(room).emit('set-flash-phone', { isFlashPhone: false });
 
       // Tell the selected phone it IS the flash phone
       if (selectedId && selectedId !== 'none') {
-        io.to(selectedId).emit('set-flash-phone', { isFlashPhone: true });
+        socketsOfDevice(room, selectedId).forEach(id => io.to(id).emit('set-flash-phone', { isFlashPhone: true }));
+      }
+    }
+  });
+
+  // A phone asks for control: with the PIN (if one is set), or because nobody has it
+  socket.on('claim-conductor', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (isConductor()) {
+      return reply({ success: true });
+    }
+
+    if (CONDUCTOR_PIN) {
+      if (room.pinGuard.isLocked()) {
+        return reply({ success: false, error: 'Too many wrong PINs - wait a minute' });
+      }
+      if (!secretsMatch(String(data.pin || ''), CONDUCTOR_PIN)) {
+        room.pinGuard.recordFailure();
+        console.log(`🔒 Wrong conductor PIN from ${socket.id} in room ${room.code}`);
+        return reply({ success: false, error: 'Wrong PIN' });
+      }
+      room.pinGuard.reset();
+    } else if (room.conductorClient) {
+      return reply({ success: false, error: 'This room has a conductor - ask them to hand over control' });
+    }
+
+    setConductor(room, socket.id);
+    reply({ success: true });
+  });
+
+  // Conductor passes control to another phone
+  socket.on('hand-off-conductor', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!isConductor()) {
+      return reply({ success: false, error: 'Only the conductor can hand over control' });
+    }
+
+    const [target] = socketsOfDevice(room, data.deviceId);
+    if (!target) {
+      return reply({ success: false, error: 'That phone is not connected' });
+    }
+
+    console.log(`🤝 Room ${room.code}: ${socket.id} hands control to ${target}`);
+    setConductor(room, target);
+    reply({ success: true });
+  });
+
+  // Conductor turns automatic failover on or off for this room
+  socket.on('set-failover', (data = {}) => {
+    if (!isConductor()) return;
+    room.failover = !!data.enabled;
+    stateStore.save();
+    console.log(`🔁 Room ${room.code}: failover ${room.failover ? 'on' : 'off'}`);
+  });
+
+  // Conductor turns the full-screen slate at capture on or off for this room
+  socket.on('set-show-slate', (data = {}) => {
+    if (!isConductor()) return;
+    room.showSlate = !!data.enabled;
+    stateStore.save();
+    console.log(`🎬 Room ${room.code}: slate on screen ${room.showSlate ? 'on' : 'off'}`);
+  });
+
+  // Conductor rates a capture or changes its note - now or any time later.
+  // The manifest and every sidecar already stored get the new slate.
+  socket.on('annotate-capture', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!isConductor()) {
+      return reply({ success: false, error: 'Only the conductor can change the slate' });
+    }
+    if (!data.folderName || !isSafeFolder(data.folderName)) {
+      return reply({ success: false, error: 'Invalid capture folder name' });
+    }
+
+    const { folderName } = data;
+    const recent = room.recentTakes.find(take => take.folderName === folderName);
+    try {
+      const tracked = room.tracker.get(folderName);
+      let current = (recent && recent.slate) || (tracked && tracked.slate);
+      if (!current) {
+        // An older capture - its manifest knows
+        const manifest = await room.storage.getObject(`captures/${folderName}/manifest.json`);
+        current = manifest && JSON.parse(manifest.body.toString('utf8')).slate;
       }
+      if (!current) {
+        return reply({ success: false, error: 'Capture not found (or it has no slate)' });
+      }
+
+      const slate = updateSlate(current, { note: data.note, rating: data.rating });
+      if (recent) recent.slate = slate;
+      room.tracker.setSlate(folderName, slate);
+      stateStore.save();
+      const files = await writeSlate(room.storage, folderName, slate);
+
+      console.log(`🎬 Room ${room.code}: ${folderName} ${slate.rating || 'unrated'}${slate.note ? ` - "${slate.note}"` : ''} (${files} files)`);
+      sendRecentTakes(room);
+      if (room.lastCapture && room.lastCapture.folderName === folderName) {
+        room.lastCapture.slate = slate;
+        updateDashboards(room);
+      }
+      reply({ success: true, slate });
+    } catch (error) {
+      if (!error.status) console.error(`❌ Could not update the slate of ${folderName}:`, error.message);
+      reply({ success: false, error: error.message });
+    }
+  });
+
+  // Conductor changes the room's camera/encoder settings → every phone applies them
+  socket.on('set-capture-profile', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!isConductor()) {
+      return reply({ success: false, error: 'Only the conductor can change camera settings' });
+    }
+
+    try {
+      room.captureProfile = updateCaptureProfile(room.captureProfile, data);
+      stateStore.save();
+    } catch (error) {
+      return reply({ success: false, error: error.message });
+    }
+
+    const p = room.captureProfile;
+    console.log(`🎛️ Room ${room.code}: capture profile v${p.version} - ${p.width}x${p.height}@${p.frameRate} ` +
+      `${p.facingMode}, ${p.codec}, ${p.videoBitsPerSecond / 1000000} Mbps, ${p.bufferMs / 1000}s buffer`);
+    inRoom(room).emit('capture-profile', p);
+    sendReadiness(room); // Phones show "not applied yet" until they report back
+    updateDashboards(room);
+    reply({ success: true, profile: p });
+  });
+
+  // Conductor sets project/scene/take or the naming templates
+  socket.on('set-naming', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!isConductor()) {
+      return reply({ success: false, error: 'Only the conductor can change naming' });
+    }
+
+    const { project, scene, take, folderTemplate, clipTemplate } = data;
+    try {
+      room.naming = updateNaming(room.naming, { project, scene, take, folderTemplate, clipTemplate });
+      stateStore.save();
+    } catch (error) {
+      return reply({ success: false, error: error.message });
+    }
+
+    const naming = namingInfo(room);
+    console.log(`🎬 Room ${room.code}: next capture ${naming.nextFolder} (${naming.folderTemplate} / ${naming.clipTemplate})`);
+    inRoom(room).emit('naming', naming);
+    updateDashboards(room);
+    reply({ success: true, naming });
+  });
+
+  // Conductor names a phone and/or gives it a camera position
+  socket.on('update-device', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!isConductor()) {
+      return reply({ success: false, error: 'Only the conductor can rename phones' });
+    }
+
+    try {
+      reply({ success: true, device: renameDevice(room, data) });
+    } catch (error) {
+      reply({ success: false, error: error.message });
     }
   });
 
   // When the conductor presses START SYNC button
-  socket.on('start-sync', () => {
-    console.log(`📩 start-sync received from ${socket.id}`);
-    console.log(`   Is conductor? ${socket.id === conductorClient}`);
-    console.log(`   Current conductorClient: ${conductorClient}`);
-    console.log(`   syncStarted? ${syncStarted}`);
-
-    if (socket.id === conductorClient && !syncStarted) {
-      syncStarted = true;
-
-      console.log(`🎬 SYNC STARTED by conductor at ${new Date().toLocaleString()}`);
-      console.log(`   Broadcasting countdown to ${clients.size} phones`);
-
-      // Send countdown: 3... 2... 1... GO!
-      let countdown = 3;
-
-      const countdownInterval = setInterval(() => {
-        if (countdown > 0) {
-          io.emit('sync-countdown', { count: countdown });
-          console.log(`   Countdown: ${countdown}...`);
-          countdown--;
-        } else {
-          clearInterval(countdownInterval);
-          // Send the GO signal
-          io.emit('sync-go');
-          console.log(`   🚀 GO! All phones should start NOW`);
-        }
-      }, 1000);
+  // data.quorum: how many phones must be ready - "all" (default) or a number
+  socket.on('start-sync', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    console.log(`📩 start-sync received from ${socket.id} in room ${room.code}`);
+    console.log(`   Is conductor? ${isConductor()}`);
+    console.log(`   Current conductorClient: ${room.conductorClient}`);
+    console.log(`   syncStarted? ${room.syncStarted}`);
+
+    if (!isConductor() || room.syncStarted) {
+      return reply({ success: false, error: room.syncStarted ? 'Sync already started' : 'Only the conductor can start sync' });
+    }
+
+    const readiness = readinessOf(room);
+    const needed = requiredReady(data && data.quorum, readiness.total);
+    if (readiness.ready < needed) {
+      console.log(`   ✋ Only ${readiness.ready}/${readiness.total} phones ready (need ${needed})`);
+      return reply({ success: false, error: `Only ${readiness.ready} of ${readiness.total} phones ready (need ${needed})`, readiness });
+    }
+
+    room.syncStarted = true;
+    stateStore.save();
+    reply({ success: true });
+
+    console.log(`🎬 SYNC STARTED by conductor at ${new Date().toLocaleString()}`);
+    console.log(`   Broadcasting countdown to ${clients.size} phones`);
+
+    // Send countdown: 3... 2... 1... GO!
+    let countdown = 3;
+
+    room.countdownTimer = setInterval(() => {
+      if (countdown > 0) {
+        inRoom(room).emit('sync-countdown', { count: countdown });
+        console.log(`   Countdown: ${countdown}...`);
+        countdown--;
+      } else {
+        clearInterval(room.countdownTimer);
+        room.countdownTimer = null;
+        // Send the GO signal with a start time slightly in the future,
+        // so every phone starts on its corrected clock at the same moment
+        const executeAt = Date.now() + SCHEDULE_LEAD_MS;
+        inRoom(room).emit('sync-go', { executeAt });
+        console.log(`   🚀 GO! All phones start at ${new Date(executeAt).toISOString()}`);
+      }
+    }, 1000);
+  });
+
+  // Conductor stops recording everywhere (START SYNC can then be pressed again)
+  socket.on('stop-sync', () => {
+    if (isConductor()) {
+      stopSync(room);
+    }
+  });
+
+  // Conductor stops recording and starts a new session
+  socket.on('reset-session', () => {
+    if (isConductor()) {
+      stopSync(room, { newSession: true });
     }
   });
 
   // When the conductor presses the capture button
-  socket.on('trigger-capture', () => {
-    if (socket.id === conductorClient) {
-      const captureTime = Date.now();
-      const captureDate = new Date(captureTime);
-
-      // Create human-readable folder name with sequential counter
-      // Format: XX_YYYYMMDD_HHMMSS_timestamp
-      // Example: 00_20251020_152430_1729442670000
-      const year = captureDate.getFullYear();
-      const month = String(captureDate.getMonth() + 1).padStart(2, '0');
-      const day = String(captureDate.getDate()).padStart(2, '0');
-      const hours = String(captureDate.getHours()).padStart(2, '0');
-      const minutes = String(captureDate.getMinutes()).padStart(2, '0');
-      const seconds = String(captureDate.getSeconds()).padStart(2, '0');
-
-      // Increment counter and pad to 2 digits (00, 01, 02, etc.)
-      const counterStr = String(captureCounter).padStart(2, '0');
-      captureCounter++;
-
-      const folderName = `${counterStr}_${year}${month}${day}_${hours}${minutes}${seconds}_${captureTime}`;
-
-      console.log(`🔴 CAPTURE TRIGGERED at ${captureDate.toLocaleString()}`);
-      console.log(`   Folder: ${folderName} (capture #${captureCounter})`);
-      console.log(`   Broadcasting to ${clients.size} phones`);
-
-      // Tell ALL phones to save their last 6 seconds RIGHT NOW
-      io.emit('capture', {
-        timestamp: captureTime,
-        sessionId,
-        folderName: folderName
+  socket.on('trigger-capture', async (data = {}) => {
+    await room.ready; // (right after startup the counter may still be read from storage)
+    if (isConductor()) {
+      triggerCapture(room, {
+        preRollMs: data.preRollMs,
+        postRollMs: data.postRollMs,
+        note: data.note
       });
     }
   });
 
+  // When the conductor starts a burst: N captures, one every intervalMs
+  socket.on('trigger-burst', async (data = {}) => {
+    await room.ready;
+    if (!isConductor()) return;
+
+    if (room.activeBurst) {
+      console.log('⚠️ Burst already running, ignoring');
+      return;
+    }
+
+    const count = Math.min(Math.max(parseInt(data.count, 10) || 0, 1), MAX_BURST_COUNT);
+    const intervalMs = Math.min(Math.max(parseInt(data.intervalMs, 10) || 0, MIN_BURST_INTERVAL_MS), MAX_BURST_INTERVAL_MS);
+    startBurst(room, { count, intervalMs, preRollMs: data.preRollMs, postRollMs: data.postRollMs, note: data.note });
+  });
+
+  socket.on('cancel-burst', () => {
+    if (isConductor()) {
+      cancelBurst(room);
+    }
+  });
+
+  // Upload progress reports from phones (for the conductor's capture-progress)
+  // A phone only ever reports on its own clips (this connection's device - queued uploads
+  // that finish after a reconnect come back with the same device ID)
+  socket.on('capture-ack', (data = {}) => {
+    if (!isSafeFolder(String(data.folderName || ''))) return;
+    room.tracker.update(data.folderName, deviceId, 'acknowledged');
+  });
+
+  socket.on('upload-started', (data = {}) => {
+    if (!isSafeFolder(String(data.folderName || ''))) return;
+    room.tracker.update(data.folderName, deviceId, 'uploading', {
+      filename: String(data.filename || '').slice(0, 200) || null,
+      size: Number.isInteger(data.size) ? data.size : null
+    });
+  });
+
+  socket.on('upload-failed', (data = {}) => {
+    if (!isSafeFolder(String(data.folderName || ''))) return;
+    const error = String(data.error || 'Unknown error').slice(0, 200);
+    console.log(`❌ Upload failed on ${socket.id}: ${error}${data.retrying ? ' (will retry)' : ''}`);
+
+    // A phone that's going to retry is still "uploading" as far as the conductor cares
+    room.tracker.update(data.folderName, deviceId, data.retrying ? 'uploading' : 'failed', { error });
+  });
+
   // When a phone uploads a video
-  socket.on('video-uploaded', (data) => {
+  socket.on('video-uploaded', (data = {}) => {
     console.log(`✅ Video received from ${socket.id}`);
     console.log(`   File: ${data.filename}`);
   });
 
   // When a phone disconnects
   socket.on('disconnect', () => {
-    console.log(`📱 Phone disconnected: ${socket.id}`);
+    console.log(`📱 Phone disconnected from room ${room.code}: ${socket.id}`);
+    // Already replaced by a newer connection from the same phone? Then nothing changes.
+    if (!clients.has(socket.id)) return;
     clients.delete(socket.id);
 
-    // Broadcast updated count to remaining phones
-    io.emit('status', {
-      totalClients: clients.size,
-      sessionId
+    // If the conductor leaves, keep their token so they can reclaim control when they're back
+    // (with failover on, another phone takes over if they aren't back in time)
+    if (isConductor()) {
+      room.conductorClient = null;
+      console.log(`🎵 Room ${room.code}: conductor left`);
+      scheduleFailover(room);
+    }
+
+    if (clients.size === 0) {
+      clearTimeout(room.failoverTimer);
+      room.failoverTimer = null;
+      console.log(`🔄 Room ${room.code}: no phones connected`);
+      stopSync(room, { newSession: true }); // New session for next connection
+    } else {
+      // Broadcast updated count to remaining phones
+      sendStatus(room);
+    }
+    sendDeviceLists(room);
+  });
+}
+
+// Which room a clip belongs to (from its metadata). Clips from before rooms → null.
+function roomOfClip(metadata) {
+  if (!metadata.room) return null;
+  const code = normalizeRoomCode(metadata.room);
+  if (!code) {
+    const error = new Error(`"${metadata.room}" is not a room code`);
+    error.status = 400;
+    throw error;
+  }
+  // (the clip's upload token was checked already - this server sent it for this room)
+  return openRoom(code);
+}
+
+// Save a finished clip + its .json sidecar to storage (used by both upload routes)
+async function saveClip(videoBuffer, metadata) {
+  // A room's clips go to its own folder; clips with no room to the top-level captures/
+  const room = roomOfClip(metadata);
+  const clipStorage = room ? room.storage : storage;
+
+  console.log(`📤 Uploading ${metadata.filename} to ${storage.name}${room ? ` (room ${room.code})` : ''}...`);
+  console.log(`   Size: ${(videoBuffer.length / 1024 / 1024).toFixed(2)} MB`);
+
+  const folderName = metadata.folderName || metadata.sessionId;
+
+  // WebM (Android/Chrome) or MP4 (iPhone/Safari) - the file itself decides, not its name.
+  // Either way it must be complete (a corrupted/truncated one throws a 422 WebmError/Mp4Error).
+  if (isMp4(videoBuffer)) {
+    // Played and seeked fine as recorded; trimming and the chirp check only know WebM/Opus
+    metadata.media = describeMp4(parseMp4(videoBuffer));
+    metadata.syncChirp = { found: false, skipped: 'MP4 (AAC) audio is not checked' };
+  } else {
+    videoBuffer = await prepareWebm(room, videoBuffer, metadata, folderName);
+  }
+  console.log(`   ${metadata.media.container}, ${metadata.media.video ? metadata.media.video.codec : 'no video'}, ${(metadata.media.durationMs / 1000).toFixed(2)}s`);
+
+  // Extension and content type follow the real format (.webm / .mp4)
+  metadata.filename = withExtension(metadata.filename, metadata.media.container);
+
+  // Upload video using folderName for organization
+  const videoKey = `captures/${folderName}/${metadata.filename}`;
+  await clipStorage.putObject(videoKey, videoBuffer, CONTENT_TYPES[metadata.media.container]);
+  console.log(`✅ Video uploaded: ${folderName}/${metadata.filename}`);
+
+  // What it was shot as - from the capture itself, not from what the phone says
+  const capture = room && room.tracker.get(folderName);
+  if (capture && capture.slate) metadata.slate = capture.slate;
+
+  // Upload metadata as JSON
+  const metadataKey = `captures/${folderName}/${metadata.filename}.json`;
+  await clipStorage.putObject(metadataKey, JSON.stringify(metadata, null, 2), 'application/json');
+  console.log(`✅ Metadata uploaded: ${metadata.filename}.json`);
+
+  if (room) {
+    room.tracker.update(folderName, metadata.deviceId, 'done', {
+      filename: metadata.filename,
+      size: videoBuffer.length,
+      format: clipFormat(metadata.media),
+      error: null
     });
+  }
+
+  return {
+    success: true,
+    message: 'Upload successful',
+    filename: metadata.filename,
+    size: videoBuffer.length
+  };
+}
 
-    // If the conductor leaves, assign a new conductor
-    if (socket.id === conductorClient && clients.size > 0) {
-      const newConductor = clients.keys().next().value;
-      conductorClient = newConductor;
-      io.to(newConductor).emit('role', { role: 'conductor', sessionId, syncStarted });
-      console.log(`🎵 New conductor assigned: ${newConductor}`);
-    } else if (clients.size === 0) {
-      conductorClient = null;
-      sessionId = Date.now(); // New session for next connection
-      syncStarted = false; // Reset sync state
-      console.log('🔄 Session reset - no phones connected');
+// WebM from MediaRecorder: check it, rewrite it so players can seek, trim it to the
+// capture's window and find our sync chirp in it. Returns the buffer to store.
+async function prepareWebm(room, videoBuffer, metadata, folderName) {
+  const webm = parseWebm(videoBuffer);
+  metadata.media = describeWebm(webm);
+
+  // MediaRecorder files have no Duration or Cues - rewrite them so players can seek
+  try {
+    videoBuffer = remuxWebm(webm);
+    metadata.media.remuxed = true;
+  } catch (error) {
+    console.error(`⚠️ Could not remux ${metadata.filename}, storing it as recorded:`, error.message);
+    metadata.media.remuxed = false;
+  }
+
+  if (TRIM_CLIPS && metadata.media.remuxed) {
+    videoBuffer = await trimToCaptureWindow(room, webm, videoBuffer, metadata, folderName);
+  }
+
+  // Find our sync chirp in the audio: exact position + which capture/phone it says
+  try {
+    metadata.syncChirp = detectSyncChirp(parseWebm(videoBuffer), { hintMs: metadata.captureOffsetMs });
+    if (metadata.syncChirp && metadata.syncChirp.found && metadata.chirpPayload) {
+      // The chirp only carries the low bits (capture 1024 chirps as 0) - compare with what it really played
+      const { counter, deviceIndex } = metadata.chirpPayload;
+      const played = decodeChirpPayload(encodeChirpPayload(counter, deviceIndex));
+      metadata.syncChirp.matchesPayload = metadata.syncChirp.valid &&
+        Number.isInteger(counter) && Number.isInteger(deviceIndex) &&
+        metadata.syncChirp.counter === played.counter &&
+        metadata.syncChirp.deviceIndex === played.deviceIndex;
+    }
+    if (metadata.syncChirp) {
+      console.log(metadata.syncChirp.found
+        ? `   🔊 Chirp at sample ${metadata.syncChirp.sampleOffset}: capture ${metadata.syncChirp.counter}, device ${metadata.syncChirp.deviceIndex}${metadata.syncChirp.valid ? '' : ' (bad CRC)'}`
+        : '   🔇 No sync chirp found');
     }
+  } catch (error) {
+    console.error(`⚠️ Could not look for the sync chirp in ${metadata.filename}:`, error.message);
+  }
+
+  return videoBuffer;
+}
+
+// "cam03_left_1729442670000.webm" with the right extension for its container
+function withExtension(filename, container) {
+  return `${filename.replace(/\.(webm|mp4|mov)$/i, '')}.${container}`;
+}
+
+// Short description of a clip's format for the manifest → { container, video, audio }
+function clipFormat(media) {
+  return {
+    container: media.container,
+    video: media.video ? media.video.codec : null,
+    audio: media.audio ? media.audio.codec : null
+  };
+}
+
+// Cut a clip to the same window as every other clip of its capture. The untrimmed
+// file goes to original/ and the sidecar is updated to describe the trimmed one.
+// Returns the buffer to store (unchanged if there was nothing to trim).
+async function trimToCaptureWindow(room, webm, videoBuffer, metadata, folderName) {
+  // The server's own window for this capture; the phone's copy for late uploads
+  const capture = room && room.tracker.get(folderName);
+  const window = (capture && capture.window) || metadata;
+
+  let trimmed;
+  try {
+    trimmed = trimWebm(webm, {
+      captureOffsetMs: metadata.captureOffsetMs,
+      preRollMs: window.preRollMs,
+      postRollMs: window.postRollMs
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not trim ${metadata.filename}, keeping it whole:`, error.message);
+    return videoBuffer;
+  }
+  if (!trimmed) return videoBuffer;
+
+  const original = originalName(metadata.filename);
+  await (room ? room.storage : storage).putObject(`captures/${folderName}/${original}`, videoBuffer, 'video/webm');
+
+  metadata.trim = {
+    original,
+    ...trimmed.cut,
+    originalDurationMs: metadata.media.durationMs,
+    originalCaptureOffsetMs: metadata.captureOffsetMs,
+    originalClipStartServerTime: metadata.clipStartServerTime
+  };
+  metadata.media = { ...trimmed.media, remuxed: true };
+  metadata.duration = trimmed.media.durationMs;
+  metadata.captureOffsetMs -= trimmed.cut.startMs;
+  if (Number.isFinite(metadata.clipStartServerTime)) {
+    metadata.clipStartServerTime += trimmed.cut.startMs;
+  }
+
+  console.log(`✂️ Trimmed to ${trimmed.cut.startMs}-${trimmed.cut.endMs}ms (keyframe snap ${trimmed.cut.keyframeSnapMs}ms), original kept as ${original}`);
+  return trimmed.buffer;
+}
+
+// Answer for a refused or failed upload (code says why - see lib/upload-auth.js)
+function sendUploadError(res, error, label) {
+  console.error(`❌ ${label}:`, error.status ? error.message : error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    missing: error.missing
   });
-});
+}
 
-// Upload endpoint - receives videos from phones and uploads to AWS S3
-app.post('/upload', upload.single('video'), async (req, res) => {
+// Clip metadata sent as a form field → object (400 if it isn't JSON)
+function parseMetadata(value) {
   try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw Object.assign(new Error('metadata is not valid JSON'), { status: 400, code: 'invalid-metadata' });
+  }
+}
+
+// multer with its errors (file too big...) turned into our 4xx answers
+function receiveVideo(req, res, next) {
+  upload.single('video')(req, res, (error) => {
+    if (!error) return next();
+    error.status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    error.code = error.code === 'LIMIT_FILE_SIZE' ? 'too-large' : 'invalid-metadata';
+    sendUploadError(res, error, 'Upload error');
+  });
+}
+
+// Upload endpoint - receives videos from phones and saves them to storage
+app.post('/upload', receiveVideo, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No video file', code: 'invalid-size' });
+    }
     // Get the video file from multer (it's in memory as a Buffer)
-    const videoBuffer = req.file.buffer;
-    const metadata = JSON.parse(req.body.metadata);
-
-    console.log(`📤 Uploading ${metadata.filename} to AWS S3...`);
-    console.log(`   Size: ${(videoBuffer.length / 1024 / 1024).toFixed(2)} MB`);
-
-    // Upload video to S3 using folderName for organization
-    const folderName = metadata.folderName || metadata.sessionId;
-    const videoKey = `captures/${folderName}/${metadata.filename}`;
-    const uploadCommand = new PutObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: videoKey,
-      Body: videoBuffer,
-      ContentType: 'video/webm'
+    const metadata = checkUpload(uploadTokens, parseMetadata(req.body.metadata), {
+      size: req.file.size,
+      contentType: req.file.mimetype,
+      maxBytes: MAX_MULTIPART_UPLOAD_BYTES
     });
 
-    await s3Client.send(uploadCommand);
-    console.log(`✅ Video uploaded: ${folderName}/${metadata.filename}`);
+    res.json(await withClipSlot(() => saveClip(req.file.buffer, metadata)));
 
-    // Upload metadata as JSON
-    const metadataKey = `captures/${folderName}/${metadata.filename}.json`;
-    const metadataCommand = new PutObjectCommand({
-      Bucket: S3_BUCKET_NAME,
-      Key: metadataKey,
-      Body: JSON.stringify(metadata, null, 2),
-      ContentType: 'application/json'
+  } catch (error) {
+    sendUploadError(res, error, 'Upload error');
+  }
+});
+
+// === CHUNKED (RESUMABLE) UPLOADS ===
+// Phones send a clip in parts, can ask which parts already arrived, then "complete" it.
+// Every step can be repeated safely, so a phone can just retry after any failure.
+
+// Whose upload this is: the capture, phone and clip its token was issued for.
+// The first request with an upload id claims it - tokens for other clips can't touch it.
+function claimUpload(uploadId, claims) {
+  const owner = JSON.stringify([claims.room || null, claims.folderName, claims.deviceId, claims.clipName || null]);
+  return chunkStore.claim(uploadId, owner);
+}
+
+// Which parts of this upload have we already got?
+app.get('/upload/chunks/:uploadId', async (req, res) => {
+  try {
+    await claimUpload(req.params.uploadId, uploadTokens.verify(req.get('X-Upload-Token')));
+    const finished = await chunkStore.getFinished(req.params.uploadId);
+    const parts = finished ? [] : await chunkStore.listParts(req.params.uploadId);
+    res.json({ success: true, parts, complete: !!finished });
+  } catch (error) {
+    sendUploadError(res, error, 'Chunked upload error');
+  }
+});
+
+// Receive one part (raw bytes in the request body)
+app.put('/upload/chunks/:uploadId/:index', express.raw({ type: '*/*', limit: '10mb' }), async (req, res) => {
+  try {
+    // Only phones that were sent a capture can store parts here, and only for their own clip
+    await claimUpload(req.params.uploadId, uploadTokens.verify(req.get('X-Upload-Token')));
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ success: false, error: 'Send parts as raw bytes (application/octet-stream)', code: 'unsupported-type' });
+    }
+    const index = parseInt(req.params.index, 10);
+    await chunkStore.putPart(req.params.uploadId, index, req.body);
+    res.json({ success: true, index, size: req.body.length });
+  } catch (error) {
+    sendUploadError(res, error, 'Chunk upload error');
+  }
+});
+
+// All parts sent - glue them together and save the clip
+app.post('/upload/chunks/:uploadId/complete', async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    const { totalParts, size } = req.body;
+    const metadata = checkUpload(uploadTokens, req.body.metadata, {
+      size,
+      contentType: req.body.metadata && req.body.metadata.mimeType,
+      maxBytes: MAX_CLIP_BYTES
+    });
+    await claimUpload(uploadId, uploadTokens.verify(req.body.metadata.uploadToken));
+
+    // Already done? (the phone probably never got our answer) - same answer again
+    const finished = await chunkStore.getFinished(uploadId);
+    if (finished) {
+      return res.json(finished);
+    }
+
+    if (!Number.isInteger(totalParts) || totalParts < 1 || totalParts > MAX_UPLOAD_PARTS) {
+      return res.status(400).json({ success: false, error: `totalParts must be 1-${MAX_UPLOAD_PARTS}`, code: 'invalid-metadata' });
+    }
+
+    const result = await withClipSlot(async () => {
+      const videoBuffer = await chunkStore.assemble(uploadId, totalParts);
+
+      if (videoBuffer.length !== size) {
+        // Parts are there but don't add up - make the phone send everything again
+        await chunkStore.discard(uploadId);
+        const error = new Error(`Size mismatch: expected ${size} bytes, got ${videoBuffer.length}`);
+        error.status = 409;
+        error.code = 'size-mismatch';
+        throw error;
+      }
+
+      return saveClip(videoBuffer, metadata);
     });
+    await chunkStore.finish(uploadId, result);
+    res.json(result);
+
+  } catch (error) {
+    if (error.name === 'WebmError' || error.name === 'Mp4Error') {
+      // Sending the same bytes again won't fix a broken file - free the disk space
+      await chunkStore.discard(uploadId).catch(() => {});
+    }
+    sendUploadError(res, error, 'Chunked upload error');
+  }
+});
+
+// === DIRECT UPLOADS ===
+// With DIRECT_UPLOADS=true (S3 only) the clip's bytes go from the phone straight to the bucket:
+//   1. POST /upload/direct/:uploadId           - we start a multipart upload for this clip and
+//                                                hand out presigned URLs for the parts it still needs
+//   2. PUT <url> for each part                  - phone → bucket, we never see the bytes
+//   3. POST /upload/direct/:uploadId/complete   - we join the parts, check the clip and write its sidecar
+// The parts land under uploads/<folderName>/<deviceId>/ (one per capture and phone) and are
+// removed once the clip is saved. Like the chunked upload, every step can be repeated safely.
+
+// Check a direct upload's token and metadata → { metadata, clipStorage, key } (where it goes).
+// Like a chunked upload, the upload id then belongs to this clip.
+async function directUploadTarget(uploadId, { metadata, size }) {
+  if (!chunkStore.isValidId(uploadId)) {
+    throw Object.assign(new Error('Invalid upload id'), { status: 400, code: 'invalid-metadata' });
+  }
+  const checked = checkUpload(uploadTokens, metadata, {
+    size,
+    contentType: metadata && metadata.mimeType,
+    maxBytes: MAX_CLIP_BYTES
+  });
+  await claimUpload(uploadId, uploadTokens.verify(metadata.uploadToken));
+
+  const room = roomOfClip(checked);
+  return {
+    metadata: checked,
+    clipStorage: room ? room.storage : storage,
+    key: `uploads/${checked.folderName}/${checked.deviceId}/${uploadId}`
+  };
+}
+
+// Read a stored clip's stream into a Buffer - but no more than maxBytes (already checked
+// against the size the storage reported; this makes sure the bytes agree)
+async function readStream(stream, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of stream) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      stream.destroy();
+      const error = new Error(`Size mismatch: got more than ${maxBytes} bytes`);
+      error.status = 409;
+      error.code = 'size-mismatch';
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+// Size of part n (1-based) of a clip
+function directPartSize(size, partNumber) {
+  return Math.min(DIRECT_PART_SIZE, size - (partNumber - 1) * DIRECT_PART_SIZE);
+}
+
+// Start (or resume) a direct upload → presigned URLs for the parts the bucket doesn't have yet
+app.post('/upload/direct/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    if (!DIRECT_UPLOADS || !supportsDirectUploads(storage)) {
+      // 501 tells phones to use /upload/chunks instead
+      return res.status(501).json({ success: false, error: 'Direct uploads are off on this server' });
+    }
+
+    const { size } = req.body;
+    const { clipStorage, key } = await directUploadTarget(uploadId, req.body);
 
-    await s3Client.send(metadataCommand);
-    console.log(`✅ Metadata uploaded: ${metadata.filename}.json`);
+    // Already done? Same answer again
+    const finished = await chunkStore.getFinished(uploadId);
+    if (finished) {
+      return res.json({ ...finished, complete: true });
+    }
+
+    // Resume the phone's multipart upload if the bucket still has it, otherwise start a new one
+    let multipartId = req.body.multipartId || null;
+    let parts = multipartId ? await clipStorage.listParts(key, multipartId) : null;
+    if (!parts) {
+      multipartId = await clipStorage.createMultipartUpload(key, 'application/octet-stream');
+      parts = [];
+    }
+
+    const totalParts = Math.ceil(size / DIRECT_PART_SIZE);
+    const have = new Set(parts
+      .filter(part => part.size === directPartSize(size, part.partNumber))
+      .map(part => part.partNumber));
+
+    const urls = [];
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      if (have.has(partNumber)) continue;
+      urls.push({ partNumber, url: await clipStorage.signPartUrl(key, multipartId, partNumber, DIRECT_URL_EXPIRES_SEC) });
+    }
 
     res.json({
       success: true,
-      message: 'Upload successful',
-      filename: metadata.filename,
-      size: videoBuffer.length
+      multipartId,
+      partSize: DIRECT_PART_SIZE,
+      totalParts,
+      parts: urls,
+      expiresInSec: DIRECT_URL_EXPIRES_SEC
     });
-
   } catch (error) {
-    console.error('❌ Upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendUploadError(res, error, 'Direct upload error');
+  }
+});
+
+// All parts are in the bucket - join them, then check and save the clip like any other upload
+app.post('/upload/direct/:uploadId/complete', async (req, res) => {
+  const { uploadId } = req.params;
+  let target = null;
+
+  try {
+    if (!DIRECT_UPLOADS || !supportsDirectUploads(storage)) {
+      return res.status(501).json({ success: false, error: 'Direct uploads are off on this server' });
+    }
+
+    const { size, multipartId } = req.body;
+    target = await directUploadTarget(uploadId, req.body);
+    const { metadata, clipStorage, key } = target;
+
+    const finished = await chunkStore.getFinished(uploadId);
+    if (finished) {
+      return res.json(finished);
+    }
+    if (!multipartId) {
+      return res.status(400).json({ success: false, error: 'multipartId is required', code: 'invalid-metadata' });
+    }
+
+    // No multipart upload any more = an earlier "complete" already joined the parts
+    const parts = await clipStorage.listParts(key, multipartId);
+    if (parts) {
+      const totalParts = Math.ceil(size / DIRECT_PART_SIZE);
+      const missing = [];
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        const part = parts.find(p => p.partNumber === partNumber);
+        if (!part || part.size !== directPartSize(size, partNumber)) missing.push(partNumber);
+      }
+      if (missing.length > 0) {
+        // 409: the phone asks for fresh URLs and sends these again
+        return res.status(409).json({ success: false, error: `Missing parts: ${missing.join(', ')}`, code: 'missing-parts', missing });
+      }
+      await clipStorage.completeMultipartUpload(key, multipartId, parts.filter(p => p.partNumber <= totalParts));
+    }
+
+    const result = await withClipSlot(async () => {
+      // Size first (from the response headers), so a wrong-sized object is never read in
+      const object = await clipStorage.getObjectStream(key);
+      if (!object) {
+        const error = new Error('Upload not found - send the clip again');
+        error.status = 409;
+        error.code = 'missing-parts';
+        throw error;
+      }
+      if (object.size !== size) {
+        object.stream.destroy();
+        await clipStorage.deleteObject(key);
+        const error = new Error(`Size mismatch: expected ${size} bytes, got ${object.size}`);
+        error.status = 409;
+        error.code = 'size-mismatch';
+        throw error;
+      }
+      return saveClip(await readStream(object.stream, size), metadata);
     });
+
+    await clipStorage.deleteObject(key);
+    await chunkStore.finish(uploadId, result);
+    res.json(result);
+
+  } catch (error) {
+    if (target && (error.name === 'WebmError' || error.name === 'Mp4Error')) {
+      // Sending the same bytes again won't fix a broken file - don't keep it in the bucket
+      await target.clipStorage.deleteObject(target.key).catch(() => {});
+    }
+    sendUploadError(res, error, 'Direct upload error');
+  }
+});
+
+// Capture browser API (list captures, clips, sidecars, stream clips)
+// /api/captures has the clips uploaded without a room (before rooms existed)
+app.use('/api/captures', createCapturesRouter({ storage }));
+
+// The same API for one room's captures
+app.use('/api/rooms/:room/captures', (req, res, next) => {
+  const code = normalizeRoomCode(req.params.room);
+  if (!code) {
+    return res.status(400).json({ success: false, error: 'Invalid room code' });
+  }
+  const room = getRoom(code);
+  if (!room) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+  room.capturesApi(req, res, next);
+});
+
+// QR code of a room's join link, for the conductor to show the other phones
+app.get('/api/rooms/:room/qr.svg', async (req, res) => {
+  const code = normalizeRoomCode(req.params.room);
+  if (!code) {
+    return res.status(400).json({ success: false, error: 'Invalid room code' });
   }
+
+  try {
+    // Behind a proxy (Render, ngrok...) the phones need the public address, not ours
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    const joinUrl = `${protocol}://${req.get('host')}/?room=${code}`;
+    const svg = await QRCode.toString(joinUrl, { type: 'svg', margin: 1 });
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Gallery page - browse captures and play a take's clips in lockstep
+app.get('/gallery', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'gallery.html'));
+});
+
+// Dashboard page - an operator's live view of every phone in a room
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Put back the rooms from before a restart (rooms nobody used for a month are dropped)
+const ROOM_STATE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+Object.entries(savedState.rooms || {}).forEach(([code, saved]) => {
+  if (Date.now() - (saved.lastActiveAt || 0) > ROOM_STATE_MAX_AGE_MS) return;
+  rooms.set(code, createRoom(code, saved));
+  console.log(`🚪 Room ${code} restored: session ${saved.sessionId}, next capture ${String(saved.captureCounter).padStart(2, '0')}`);
+});
+console.log(`💾 State: ${stateStore.file}`);
+
+// Save the state before stopping (Ctrl+C, or the host restarting us)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    stateStore.flush();
+    process.exit(0);
+  });
 });
 
 // Start the server
@@ -340,8 +1885,14 @@ server.listen(PORT, () => {
   console.log(`🌐 Open this on your phones: http://YOUR_COMPUTER_IP:${PORT}`);
   console.log('');
   console.log('📋 Instructions:');
-  console.log('   1. First phone to connect becomes the MASTER');
-  console.log('   2. All other phones are CLIENTS');
-  console.log('   3. Master presses CAPTURE button to save last 5 seconds');
-  console.log('   4. Videos automatically upload to AWS S3');
+  console.log('   1. First phone starts a new session and gets a join code (and QR code)');
+  console.log('   2. It becomes the MASTER of that room');
+  console.log('   3. Other phones join with the code (or /?room=CODE) and become CLIENTS');
+  console.log('   4. Master presses CAPTURE button to save last 5 seconds');
+  console.log(`   5. Videos automatically upload to ${storage.name === 's3' ? 'AWS S3' : 'local disk'}`);
+  if (DIRECT_UPLOADS) {
+    console.log(supportsDirectUploads(storage)
+      ? '📡 Direct uploads on: phones send clips straight to the bucket'
+      : `⚠️ DIRECT_UPLOADS needs S3 storage - phones upload through the server (${storage.name})`);
+  }
 });